@@ -12,44 +12,363 @@
  */
 
 // ─── PRICING CONFIG ───────────────────────────────────────────────────────────
-// Matches pricing.json — update here if prices change
-const PRICING = {
-  "Better Sweater Jacket": { 6: 175.00, 18: 173.58, 50: 162.68, 72: 159.68 },
-  "Better Sweater Vest": { 6: 132.88, 18: 131.28, 50: 123.58, 72: 119.88 },
-  "Better Sweater Quarter Zip": { 6: 155.00, 18: 152.00, 50: 142.68, 72: 139.58 },
+// To change prices or products, edit pricing.json or products.json, sync, then
+// paste this file into Code.gs again
+// BEGIN GENERATED PRICING — from campaigns/patagonia/pricing.json by: node invoice.js pricing sync. Do not edit.
+const PRICING_CONFIG = {
+  "minQuantity": 6,
+  "tiers": [
+    6,
+    18,
+    50,
+    72
+  ],
+  "products": {
+    "Better Sweater Jacket": {
+      "6": 175,
+      "18": 173.58,
+      "50": 162.68,
+      "72": 159.68
+    },
+    "Better Sweater Vest": {
+      "6": 132.88,
+      "18": 131.28,
+      "50": 123.58,
+      "72": 119.88
+    },
+    "Better Sweater Quarter Zip": {
+      "6": 155,
+      "18": 152,
+      "50": 142.68,
+      "72": 139.58
+    }
+  },
+  "embroideryFee": 8,
+  "logoFee": 10,
+  "foldingFee": 0.75,
+  "extras": [],
+  "tierGrouping": {
+    "by": "product+color",
+    "colorAliases": {
+      "Birch White": "Gray",
+      "Stonewash": "Gray"
+    }
+  },
+  "taxName": "NC Sales Tax",
+  "taxRate": 0.0725,
+  "processingFee": {
+    "policy": "pass-through",
+    "percent": 0.029,
+    "fixed": 0.3,
+    "max": null
+  }
+};
+// END GENERATED PRICING
+// BEGIN GENERATED CATALOG — from campaigns/patagonia/products.json by: node invoice.js pricing sync. Do not edit.
+const PRODUCT_CATALOG = {
+  "products": [
+    {
+      "name": "Better Sweater Jacket",
+      "label": "Jacket",
+      "title": "Better Sweater® Jacket (Full Zip)",
+      "styles": [
+        "Mens",
+        "Womens"
+      ],
+      "colors": {
+        "Mens": [
+          "Black",
+          "New Navy",
+          "Stonewash"
+        ],
+        "Womens": [
+          "Black",
+          "New Navy",
+          "Birch White"
+        ]
+      }
+    },
+    {
+      "name": "Better Sweater Vest",
+      "label": "Vest",
+      "title": "Better Sweater® Vest",
+      "styles": [
+        "Mens",
+        "Womens"
+      ],
+      "colors": {
+        "Mens": [
+          "Black",
+          "New Navy",
+          "Stonewash"
+        ],
+        "Womens": [
+          "Black",
+          "New Navy",
+          "Birch White"
+        ]
+      }
+    },
+    {
+      "name": "Better Sweater Quarter Zip",
+      "label": "Quarter Zip",
+      "title": "Better Sweater® Quarter Zip",
+      "styles": [
+        "Mens",
+        "Womens"
+      ],
+      "colors": {
+        "Mens": [
+          "Black",
+          "New Navy",
+          "Stonewash"
+        ],
+        "Womens": [
+          "Black",
+          "New Navy",
+          "Birch White"
+        ]
+      }
+    }
+  ],
+  "styles": {
+    "Mens": {
+      "label": "Men's",
+      "sizes": [
+        "XS",
+        "S",
+        "M",
+        "L",
+        "XL",
+        "XXL",
+        "3XL"
+      ]
+    },
+    "Womens": {
+      "label": "Women's",
+      "sizes": [
+        "XXS",
+        "XS",
+        "S",
+        "M",
+        "L",
+        "XL",
+        "XXL"
+      ]
+    }
+  },
+  "colors": {
+    "Black": {
+      "label": "Black",
+      "swatch": "#1a1a1a"
+    },
+    "New Navy": {
+      "label": "New Navy",
+      "swatch": "#1a2d47"
+    },
+    "Stonewash": {
+      "label": "Stonewash (Heather Gray)",
+      "swatch": "#8a9a9a"
+    },
+    "Birch White": {
+      "label": "Birch White (Heather Gray)",
+      "swatch": "#d4cfc7"
+    }
+  },
+  "logos": [
+    {
+      "name": "Option 1",
+      "label": "Original CMC Logo - Solid Teal (Option 1)",
+      "image": "images/logos.jpg"
+    },
+    {
+      "name": "Option 2",
+      "label": "Original CMC Logo - Solid White (Option 2)",
+      "image": "images/logos.jpg"
+    },
+    {
+      "name": "Option 3",
+      "label": "Skyline Logo - Teal and White (Option 3)",
+      "image": "images/logos.jpg"
+    }
+  ],
+  "threadColors": [
+    "Black",
+    "White"
+  ],
+  "embroideredNameMaxLength": 20
 };
-const EMBROIDERY_FEE = 8.00;
-const LOGO_FEE = 10.00;
-const TAX_RATE = 0.0725;
+// END GENERATED CATALOG
+
+// Per-unit price by product, then by tier
+const PRICING = PRICING_CONFIG.products;
+const EMBROIDERY_FEE = PRICING_CONFIG.embroideryFee;
+const LOGO_FEE = PRICING_CONFIG.logoFee;
+const FOLDING_FEE = PRICING_CONFIG.foldingFee;
+
+// Size and color surcharges and optional add-ons (listExtras in lib/pricing.js)
+const EXTRAS = PRICING_CONFIG.extras;
+const TAX_NAME = PRICING_CONFIG.taxName;
+const TAX_RATE = PRICING_CONFIG.taxRate;
+
+// Tier thresholds, lowest first; below the minimum a tier group isn't ordered
+const TIERS = PRICING_CONFIG.tiers;
+const MIN_QUANTITY = PRICING_CONFIG.minQuantity;
 
-// Colors that count as "Gray" for grouping purposes
-const GRAY_COLORS = ["Birch White", "Stonewash"];
+// How items pool volume into tiers, and colors that count as one (see getTierGrouping in lib/pricing.js)
+const TIER_GROUPING = PRICING_CONFIG.tierGrouping;
 
 // ──────────────────────────────────────────────────────────────────────────────
 
 /**
- * Normalizes color for grouping: Birch White and Stonewash → "Gray"
+ * Normalizes color through the color aliases, e.g. Birch White → "Gray"
  */
 function normalizeColor(color) {
-  if (GRAY_COLORS.indexOf(color) !== -1) {
-    return "Gray";
+  return TIER_GROUPING.colorAliases[color] || color;
+}
+
+/**
+ * The tier group an item counts toward, as tierGroupKey in lib/pricing.js:
+ * "Product|Color", "Product" or "logo|Option 1"
+ */
+function tierGroupKey(product, color, logo) {
+  if (TIER_GROUPING.by === "product") return product;
+  if (TIER_GROUPING.by === "logo") return "logo|" + logo;
+  return product + "|" + normalizeColor(color);
+}
+
+/**
+ * The Product and Color cells for a tier group on the Summary tab
+ */
+function describeTierGroup(key) {
+  if (TIER_GROUPING.by === "product") return [key, "All colors"];
+  if (TIER_GROUPING.by === "logo") return ["All products", "Logo " + key.slice("logo|".length)];
+  return key.split("|");
+}
+
+/**
+ * Surcharges and add-ons on an item, in dollars, as getItemExtras in lib/pricing.js
+ * addOns is the list of add-on names the item picked
+ */
+function itemExtrasTotal(size, color, addOns) {
+  var total = 0;
+  for (var i = 0; i < EXTRAS.length; i++) {
+    var extra = EXTRAS[i];
+    var applies = extra.type === "size" ? extra.name === size
+      : extra.type === "color" ? extra.name === color
+      : addOns.indexOf(extra.name) !== -1;
+    if (applies) total += extra.amount;
   }
-  return color;
+  return total;
+}
+
+/**
+ * Splits the "Add-ons" column into add-on names, as parseAddOns in lib/pricing.js
+ */
+function parseAddOns(value) {
+  return String(value || "").split(",").map(function (name) { return name.trim(); }).filter(Boolean);
+}
+
+/**
+ * Checks a submitted item against the product catalog
+ * Returns an error message, or "" when the item can be ordered
+ */
+function validateItem(item) {
+  var product = null;
+  for (var i = 0; i < PRODUCT_CATALOG.products.length; i++) {
+    if (PRODUCT_CATALOG.products[i].name === item.product) product = PRODUCT_CATALOG.products[i];
+  }
+  if (!product) return 'Product "' + item.product + '" is not offered';
+  if (product.styles.indexOf(item.style) === -1) {
+    return 'Style "' + item.style + '" is not offered for ' + product.name;
+  }
+  if (PRODUCT_CATALOG.styles[item.style].sizes.indexOf(item.size) === -1) {
+    return 'Size "' + item.size + '" is not a ' + item.style + " size";
+  }
+  if (product.colors[item.style].indexOf(item.color) === -1) {
+    return 'Color "' + item.color + '" is not a ' + item.style + " " + product.name + " color";
+  }
+  var logoNames = PRODUCT_CATALOG.logos.map(function (logo) { return logo.name; });
+  if (logoNames.indexOf(item.logo) === -1) return 'Logo "' + item.logo + '" is not offered';
+
+  var name = item.embroideredName || "";
+  var maxLength = PRODUCT_CATALOG.embroideredNameMaxLength;
+  if (maxLength && name.length > maxLength) {
+    return "Embroidered Name is " + name.length + " characters (max " + maxLength + ")";
+  }
+  if (name && PRODUCT_CATALOG.threadColors.indexOf(item.threadColor) === -1) {
+    return "Thread Color is missing for the embroidered name";
+  }
+
+  var addOns = item.addOns || [];
+  for (var j = 0; j < addOns.length; j++) {
+    var offered = EXTRAS.some(function (extra) { return extra.type === "addOn" && extra.name === addOns[j]; });
+    if (!offered) return 'Add-on "' + addOns[j] + '" is not offered';
+  }
+  return "";
 }
 
 /**
  * Get the price tier based on total quantity of a product
  */
 function getPriceTier(qty) {
-  if (qty >= 72) return 72;
-  if (qty >= 50) return 50;
-  if (qty >= 18) return 18;
-  return 6;
+  for (var i = TIERS.length - 1; i > 0; i--) {
+    if (qty >= TIERS[i]) return TIERS[i];
+  }
+  return TIERS[0];
+}
+
+/**
+ * Current count and tier of every tier group (product+color combo by default),
+ * for live pricing on the order form. Read-only, and carries no customer details.
+ * Returns { minimum: 6, tiers: [...], combos: { "Better Sweater Jacket|Gray": { count, tier, ... } } }
+ */
+function getComboStats() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
+  const data = sheet.getDataRange().getValues();
+  const headers = data[0] || [];
+  const productIdx = headers.indexOf("Product");
+  const colorIdx = headers.indexOf("Color");
+  const logoIdx = headers.indexOf("Logo");
+
+  var counts = {};
+  for (var i = 1; i < data.length; i++) {
+    var product = data[i][productIdx];
+    if (!product) continue;
+    var key = tierGroupKey(product, data[i][colorIdx], data[i][logoIdx]);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  var combos = {};
+  Object.keys(counts).forEach(function(key) {
+    var count = counts[key];
+    // A logo group spans products, so it has no one unit price
+    var prices = TIER_GROUPING.by === "logo" ? null : PRICING[key.split("|")[0]];
+    var tier = getPriceTier(count);
+    var nextTier = null;
+    for (var t = 0; t < TIERS.length; t++) {
+      if (TIERS[t] > count) {
+        nextTier = TIERS[t];
+        break;
+      }
+    }
+    combos[key] = {
+      count: count,
+      belowMinimum: count < MIN_QUANTITY,
+      tier: tier,
+      unitPrice: prices ? prices[tier] : null,
+      nextTier: nextTier,
+      toNextTier: nextTier === null ? 0 : nextTier - count,
+    };
+  });
+
+  return { minimum: MIN_QUANTITY, tiers: TIERS, combos: combos };
 }
 
 /**
  * Creates or updates the Summary tab with item counts, pricing, and totals.
- * Pricing tier is determined per product+color combination.
+ * Pricing tier is determined per tier group (product+color by default).
  * Can be run manually from the Apps Script editor or via custom menu.
  */
 function updateSummary() {
@@ -76,23 +395,32 @@ function updateSummary() {
   const productIdx = headers.indexOf("Product");
   const colorIdx = headers.indexOf("Color");
   const embroideredNameIdx = headers.indexOf("Embroidered Name");
+  const sizeIdx = headers.indexOf("Size");
+  const addOnsIdx = headers.indexOf("Add-ons");
+  const logoIdx = headers.indexOf("Logo");
 
-  // Count items by product+color (this is the key unit for pricing tiers)
-  const productColorData = {}; // { "Better Sweater Jacket|Black": { count: 5, embroideryCount: 2 } }
+  // Count items by tier group, product+color unless pricing.json groups them otherwise
+  // { "Better Sweater Jacket|Black": { count: 5, products: { "Better Sweater Jacket": 5 }, embroideryCount: 2, extras: 4 } }
+  const productColorData = {};
 
   for (var i = 1; i < data.length; i++) {
     var row = data[i];
     var product = row[productIdx];
-    var color = normalizeColor(row[colorIdx]);
     var embName = row[embroideredNameIdx];
 
     if (!product) continue;
 
-    var key = product + "|" + color;
+    var key = tierGroupKey(product, row[colorIdx], row[logoIdx]);
     if (!productColorData[key]) {
-      productColorData[key] = { product: product, color: color, count: 0, embroideryCount: 0 };
+      productColorData[key] = { key: key, count: 0, products: {}, embroideryCount: 0, extras: 0 };
     }
     productColorData[key].count++;
+    productColorData[key].products[product] = (productColorData[key].products[product] || 0) + 1;
+    productColorData[key].extras += itemExtrasTotal(
+      row[sizeIdx],
+      row[colorIdx],
+      addOnsIdx === -1 ? [] : parseAddOns(row[addOnsIdx])
+    );
     if (embName && embName.toString().trim()) {
       productColorData[key].embroideryCount++;
     }
@@ -103,22 +431,32 @@ function updateSummary() {
   var grandTotalCost = 0;
   var grandTotalEmbroidery = 0;
   var grandTotalLogoFees = 0;
+  var grandTotalFoldingFees = 0;
+  var grandTotalExtras = 0;
   var hasUnfulfilled = false;
 
-  // Process each product+color combo
+  // Process each tier group
   var comboKeys = Object.keys(productColorData).sort();
   var comboRows = [];
 
   for (var k = 0; k < comboKeys.length; k++) {
     var combo = productColorData[comboKeys[k]];
     var tier = getPriceTier(combo.count);
-    var unitPrice = PRICING[combo.product] ? PRICING[combo.product][tier] : 0;
-    var subtotal = combo.count * unitPrice;
+    // Every product in the group is priced at the group's tier
+    var groupProducts = Object.keys(combo.products);
+    var subtotal = 0;
+    for (var p = 0; p < groupProducts.length; p++) {
+      var prices = PRICING[groupProducts[p]];
+      subtotal += combo.products[groupProducts[p]] * (prices ? prices[tier] : 0);
+    }
+    var unitPrice = groupProducts.length === 1 ? subtotal / combo.count : null;
+    var cells = describeTierGroup(combo.key);
     var logoFees = combo.count * LOGO_FEE;
+    var foldingFees = combo.count * FOLDING_FEE;
     var embFees = combo.embroideryCount * EMBROIDERY_FEE;
 
     var status = "";
-    if (combo.count < 6) {
+    if (combo.count < MIN_QUANTITY) {
       status = "⚠️ NOT FULFILLED";
       hasUnfulfilled = true;
     } else {
@@ -126,12 +464,14 @@ function updateSummary() {
       grandTotalItems += combo.count;
       grandTotalCost += subtotal;
       grandTotalLogoFees += logoFees;
+      grandTotalFoldingFees += foldingFees;
       grandTotalEmbroidery += embFees;
+      grandTotalExtras += combo.extras;
     }
 
     comboRows.push({
-      product: combo.product,
-      color: combo.color,
+      product: cells[0],
+      color: cells[1],
       count: combo.count,
       tier: tier,
       unitPrice: unitPrice,
@@ -153,7 +493,10 @@ function updateSummary() {
   output.push(["", "", "", "", "", "", ""]);
 
   // Main breakdown table
-  output.push(["PRODUCT + COLOR BREAKDOWN (Tier is per combo)", "", "", "", "", "", ""]);
+  var breakdownTitle = TIER_GROUPING.by === "product+color"
+    ? "PRODUCT + COLOR BREAKDOWN (Tier is per combo)"
+    : "BREAKDOWN BY " + TIER_GROUPING.by.toUpperCase() + " (Tier is per group)";
+  output.push([breakdownTitle, "", "", "", "", "", ""]);
   rowTracker.tableTitle = output.length;
 
   output.push(["Product", "Color", "Qty", "Tier", "Unit Price", "Subtotal", "Status"]);
@@ -173,9 +516,9 @@ function updateSummary() {
       cr.product,
       cr.color,
       String(cr.count),
-      cr.count < 6 ? "N/A" : cr.tier + "+",
-      cr.count < 6 ? "-" : "$" + cr.unitPrice.toFixed(2),
-      cr.count < 6 ? "-" : "$" + cr.subtotal.toFixed(2),
+      cr.count < MIN_QUANTITY ? "N/A" : cr.tier + "+",
+      cr.count < MIN_QUANTITY ? "-" : cr.unitPrice === null ? "Varies" : "$" + cr.unitPrice.toFixed(2),
+      cr.count < MIN_QUANTITY ? "-" : "$" + cr.subtotal.toFixed(2),
       cr.status
     ]);
   }
@@ -186,20 +529,24 @@ function updateSummary() {
   output.push(["TOTALS (fulfilled items only)", "", "", "", "", "", ""]);
   rowTracker.totalsTitle = output.length;
 
-  var subtotal = grandTotalCost + grandTotalLogoFees + grandTotalEmbroidery;
+  var subtotal = grandTotalCost + grandTotalLogoFees + grandTotalEmbroidery + grandTotalFoldingFees + grandTotalExtras;
   var taxAmount = subtotal * TAX_RATE;
 
   output.push(["Total Items:", String(grandTotalItems), "", "Product Cost:", "$" + grandTotalCost.toFixed(2), "", ""]);
   output.push(["", "", "", "Logo Embroidery:", "$" + grandTotalLogoFees.toFixed(2), "", ""]);
   output.push(["", "", "", "Name Embroidery:", "$" + grandTotalEmbroidery.toFixed(2), "", ""]);
-  output.push(["", "", "", "Sales Tax (" + (TAX_RATE * 100).toFixed(2) + "%):", "$" + taxAmount.toFixed(2), "", ""]);
+  output.push(["", "", "", "Folding:", "$" + grandTotalFoldingFees.toFixed(2), "", ""]);
+  if (EXTRAS.length > 0) {
+    output.push(["", "", "", "Surcharges & Add-ons:", "$" + grandTotalExtras.toFixed(2), "", ""]);
+  }
+  output.push(["", "", "", TAX_NAME + " (" + (TAX_RATE * 100).toFixed(2) + "%):", "$" + taxAmount.toFixed(2), "", ""]);
   output.push(["", "", "", "GRAND TOTAL:", "$" + (subtotal + taxAmount).toFixed(2), "", ""]);
   rowTracker.grandTotal = output.length;
 
   // Warning if any unfulfilled
   if (hasUnfulfilled) {
     output.push(["", "", "", "", "", "", ""]);
-    output.push(["⚠️ WARNING: Combos marked 'NOT FULFILLED' are below the 6-item minimum and will not be ordered.", "", "", "", "", "", ""]);
+    output.push(["⚠️ WARNING: Combos marked 'NOT FULFILLED' are below the " + MIN_QUANTITY + "-item minimum and will not be ordered.", "", "", "", "", "", ""]);
     rowTracker.warning = output.length;
   }
 
@@ -471,9 +818,21 @@ function setupChangeTrigger() {
 /**
  * GET endpoint — returns all orders as JSON for the invoice script.
  * Usage: fetch(APPS_SCRIPT_URL) returns { orders: [...] }
+ * Each order carries its sheet row number as _row.
+ *
+ * fetch(APPS_SCRIPT_URL + "?action=stats") returns only the per-combo counts
+ * and tiers (see getComboStats), which the order form uses for live pricing.
  */
 function doGet(e) {
   try {
+    if (e && e.parameter && e.parameter.action === "stats") {
+      const stats = getComboStats();
+      stats.status = "ok";
+      return ContentService.createTextOutput(
+        JSON.stringify(stats)
+      ).setMimeType(ContentService.MimeType.JSON);
+    }
+
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
     const data = sheet.getDataRange().getValues();
@@ -485,11 +844,12 @@ function doGet(e) {
     }
 
     const headers = data[0];
-    const orders = data.slice(1).map(function(row) {
+    const orders = data.slice(1).map(function(row, r) {
       const order = {};
       headers.forEach(function(header, i) {
         order[header] = row[i];
       });
+      order._row = r + 2; // 1-based, after the header row
       return order;
     });
 
@@ -508,9 +868,18 @@ function doPost(e) {
     const data = JSON.parse(e.postData.contents);
     const ss = SpreadsheetApp.getActiveSpreadsheet();
 
-    // Route based on action type
-    if (data.action === "updateInvoiceId") {
-      return handleInvoiceIdUpdate(ss, data);
+    // Route based on action type. invoice.js writes back invoice IDs for
+    // several customers at once, so sheet updates take turns.
+    if (data.action === "updateInvoiceId" || data.action === "clearInvoiceId") {
+      var lock = LockService.getScriptLock();
+      lock.waitLock(30000);
+      try {
+        return data.action === "updateInvoiceId"
+          ? handleInvoiceIdUpdate(ss, data)
+          : handleInvoiceIdClear(ss, data);
+      } finally {
+        lock.releaseLock();
+      }
     }
 
     // Default: handle order submission
@@ -524,7 +893,9 @@ function doPost(e) {
 
 /**
  * Handles updating Invoice ID for rows matching an email address.
- * POST body: { action: "updateInvoiceId", email: "...", invoiceId: "in_xxx" }
+ * POST body: { action: "updateInvoiceId", email: "...", emails: ["...", alias], invoiceId: "in_xxx", rows: [2, 5] }
+ * If rows is given, only those sheet rows are updated, and only while they
+ * still hold one of the customer's emails; the others come back as skippedRows.
  */
 function handleInvoiceIdUpdate(ss, data) {
   const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
@@ -545,14 +916,63 @@ function handleInvoiceIdUpdate(ss, data) {
     sheet.getRange(1, invoiceIdIdx + 1).setValue("Invoice ID");
   }
 
-  // Update all rows matching the email
+  // The customer's emails: a merged customer's rows can be under aliases
+  var emails = (data.emails || [data.email]).map(function(email) {
+    return email.toLowerCase().trim();
+  });
+  function isCustomerRow(i) {
+    var rowEmail = allData[i][emailIdx];
+    return !!rowEmail && emails.indexOf(rowEmail.toString().toLowerCase().trim()) !== -1;
+  }
+
+  // Update the requested rows, or all rows for the customer. A requested row
+  // under another email moved since invoice.js read the sheet (sorted, or a
+  // row inserted or deleted), so it is skipped rather than marking someone else.
   var updatedCount = 0;
-  var targetEmail = data.email.toLowerCase().trim();
+  var skippedRows = [];
+  var targetRows = data.rows && data.rows.length ? data.rows : null;
 
   for (var i = 1; i < allData.length; i++) {
-    var rowEmail = allData[i][emailIdx];
-    if (rowEmail && rowEmail.toString().toLowerCase().trim() === targetEmail) {
-      sheet.getRange(i + 1, invoiceIdIdx + 1).setValue(data.invoiceId);
+    if (targetRows && targetRows.indexOf(i + 1) === -1) continue;
+    if (!isCustomerRow(i)) {
+      if (targetRows) skippedRows.push(i + 1);
+      continue;
+    }
+    sheet.getRange(i + 1, invoiceIdIdx + 1).setValue(data.invoiceId);
+    updatedCount++;
+  }
+  if (targetRows) {
+    targetRows.forEach(function(row) {
+      if (row > allData.length) skippedRows.push(row);
+    });
+  }
+
+  return ContentService.createTextOutput(
+    JSON.stringify({ status: "ok", updatedRows: updatedCount, skippedRows: skippedRows })
+  ).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Handles clearing an Invoice ID (e.g. after the invoice was voided by a rollback).
+ * POST body: { action: "clearInvoiceId", invoiceId: "in_xxx" }
+ */
+function handleInvoiceIdClear(ss, data) {
+  const sheet = ss.getSheetByName("Orders") || ss.getSheets()[0];
+  const allData = sheet.getDataRange().getValues();
+  const headers = allData[0];
+
+  var invoiceIdIdx = headers.indexOf("Invoice ID");
+  if (invoiceIdIdx === -1) {
+    return ContentService.createTextOutput(
+      JSON.stringify({ status: "ok", updatedRows: 0 })
+    ).setMimeType(ContentService.MimeType.JSON);
+  }
+
+  var updatedCount = 0;
+  for (var i = 1; i < allData.length; i++) {
+    var cell = allData[i][invoiceIdIdx];
+    if (cell && cell.toString().trim() === data.invoiceId) {
+      sheet.getRange(i + 1, invoiceIdIdx + 1).setValue("");
       updatedCount++;
     }
   }
@@ -567,6 +987,16 @@ function handleInvoiceIdUpdate(ss, data) {
  * POST body: { name, phone, email, position, items: [...] }
  */
 function handleOrderSubmission(ss, data) {
+  // Reject the whole order before writing anything if an item isn't in the catalog
+  for (var i = 0; i < data.items.length; i++) {
+    var error = validateItem(data.items[i]);
+    if (error) {
+      return ContentService.createTextOutput(
+        JSON.stringify({ status: "error", message: "Item " + (i + 1) + ": " + error })
+      ).setMimeType(ContentService.MimeType.JSON);
+    }
+  }
+
   // Get or create Orders sheet
   let sheet = ss.getSheetByName("Orders");
   if (!sheet) {
@@ -594,14 +1024,25 @@ function handleOrderSubmission(ss, data) {
       "Logo",
       "Embroidered Name",
       "Thread Color",
+      "Add-ons",
     ]);
   }
 
+  // Add-ons go by header: sheets made before the column existed get it added
+  // at the end, after any Invoice ID and Paid columns
+  var headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  var addOnsIdx = headers.indexOf("Add-ons");
+  var hasAddOns = data.items.some(function (item) { return item.addOns && item.addOns.length > 0; });
+  if (addOnsIdx === -1 && hasAddOns) {
+    addOnsIdx = headers.length;
+    sheet.getRange(1, addOnsIdx + 1).setValue("Add-ons");
+  }
+
   const timestamp = new Date().toISOString();
 
   // One row per line item, person info repeated
   data.items.forEach(function (item) {
-    sheet.appendRow([
+    var row = [
       timestamp,
       data.name,
       data.phone,
@@ -614,7 +1055,12 @@ function handleOrderSubmission(ss, data) {
       item.logo,
       item.embroideredName || "",
       item.threadColor || "",
-    ]);
+    ];
+    if (addOnsIdx !== -1) {
+      while (row.length < addOnsIdx) row.push("");
+      row[addOnsIdx] = (item.addOns || []).join(", ");
+    }
+    sheet.appendRow(row);
   });
 
   return ContentService.createTextOutput(
@@ -9,12 +9,40 @@
  *   node invoice.js                         # Fetch from Google Sheet, create drafts
  *   node invoice.js --send                  # Fetch from Google Sheet, send invoices
  *   node invoice.js --dry-run               # Fetch from Google Sheet, preview only
- *   node invoice.js --no-min                # Include items below 6-qty minimum (testing)
+ *   node invoice.js --format json|csv       # Preview as a structured report on stdout
+ *   node invoice.js --no-min                # Include items below the minimum (testing)
+ *   node invoice.js --resume                # Clean up drafts left by a crashed run and continue
+ *   node invoice.js --delta                 # Supplemental invoices for rows added since last run
+ *   node invoice.js --concurrency=8         # Customers invoiced in parallel (default 4)
+ *   node invoice.js --due 30 --memo "..."   # Override invoice settings from pricing.json
+ *   node invoice.js --campaign scrubs       # Run one campaign (needed when there are several)
  *   node invoice.js orders.csv              # Use local CSV file instead
+ *   node invoice.js reprice [--dry-run]     # Credit/revise invoices after late orders cross a tier
+ *   node invoice.js reprice --refund        # Refund credit notes to the card instead of the balance
+ *   node invoice.js rollback <run-id>       # Delete/void everything a run created
+ *   node invoice.js plan [plan.json]        # Write the invoices to create to a plan file
+ *   node invoice.js apply plan.json         # Create exactly the invoices in a plan
+ *   node invoice.js catalog sync            # Create/update Stripe products and tier prices
+ *   node invoice.js pricing sync            # Copy pricing.json and products.json into the form and Apps Script
+ *   node invoice.js pricing check           # Fail if any copy disagrees with the campaign
+ *   node invoice.js department statement    # Subsidies owed by the department, as CSV on stdout
+ *   node invoice.js department invoice      # One invoice to the department for every subsidy
+ *   node invoice.js validate                # Check every order row against the campaign's products.json
+ *   node invoice.js duplicates              # List customers who may be one person under two emails
+ *   node invoice.js po [purchase-order]     # Write the supplier purchase order as .csv and .html
+ *   node invoice.js packing [packing-slips] # Write packing slips and the pickup checklist as .html
+ *     [--group-by position|name]
+ *
+ * Every run that touches Stripe writes a journal to runs/<campaign>/<run-id>.json.
+ * Set BILLING_PROVIDER=fake to run against an offline fake instead of Stripe.
+ *
+ * Customers who already have an invoice (an "Invoice ID" on their sheet rows,
+ * or a Stripe invoice tagged with the campaign's metadata.source) are skipped,
+ * so re-running never double-bills anyone.
  *
  * Requires:
- *   - .env file with STRIPE_SECRET_KEY and APPS_SCRIPT_URL
- *   - pricing.json with tiered product prices
+ *   - .env file with STRIPE_SECRET_KEY and the campaign's sheet URL (APPS_SCRIPT_URL)
+ *   - campaigns/<id>/campaign.json and campaigns/<id>/pricing.json (see lib/campaigns.js)
  */
 
 const fs = require("fs");
@@ -26,64 +54,252 @@ require("dotenv").config();
 // Local modules
 const { parseCSV } = require("./lib/csv");
 const {
-  normalizeColor,
   countByProductColor,
-  getTierLabel,
+  getTierGrouping,
+  describeTierGroup,
   buildTierMap,
-  getItemPrice,
   groupByEmail,
   filterByMinimum,
-  calculateTax,
-  calculateStripeFee,
-  formatItemDescription,
+  getSubsidyRule,
+  listExtras,
+  getTaxConfig,
+  isTaxExempt,
+  getProcessingFeeConfig,
+  formatProcessingFeeRate,
+  describeProcessingFee,
+  taxPercentage,
+  calculateInvoiceTotal,
 } = require("./lib/pricing");
+const { indexInvoicesByEmail, getInvoiceStatus } = require("./lib/invoices");
+const { resolveCampaignId, loadCampaign, campaignMetadata, addCustomerCampaign } = require("./lib/campaigns");
+const { createBillingProvider, createRetryingProvider } = require("./lib/billing");
+const { mapWithConcurrency } = require("./lib/concurrency");
+const { buildReport, formatReportCSV } = require("./lib/report");
+const { resolveInvoiceSettings, checkDueDate, buildInvoicePresentation, describeDue } = require("./lib/presentation");
+const {
+  buildCatalog,
+  diffCatalog,
+  resolveCatalog,
+  buildInvoiceItemParams,
+  catalogLookupKeys,
+} = require("./lib/catalog");
+const { diffInvoice } = require("./lib/reprice");
+const { buildDepartmentStatement, formatStatementCSV, buildDepartmentInvoiceLines } = require("./lib/department");
+const { validateRows } = require("./lib/validate");
+const { findDuplicates, resolveEmail } = require("./lib/identity");
+const { buildPurchaseOrder, formatPurchaseOrderCSV, formatPurchaseOrderHTML } = require("./lib/po");
+const { GROUP_BY, buildPackingSlips, formatPackingSlipsHTML } = require("./lib/packing");
+const { buildEmbeddedPricing, formatBlock, replaceBlock, readBlock, diffEmbedded } = require("./lib/embed");
+const { buildFormCatalog } = require("./lib/products");
+const { planCustomer, createPlan, verifyPlan, checkPlanEntry } = require("./lib/plan");
+const {
+  createJournal,
+  recordCreated,
+  saveJournal,
+  loadJournal,
+  listRuns,
+  getRollbackTargets,
+} = require("./lib/journal");
 
 // ─── CLI Arguments ───────────────────────────────────────────────────────────
 
 const args = process.argv.slice(2);
-const csvFile = args.find((a) => !a.startsWith("--") && a.endsWith(".csv"));
-const dryRun = args.includes("--dry-run");
+
+// Flags that take a value, as "--flag value" or "--flag=value"
+const VALUE_FLAGS = ["--campaign", "--format", "--concurrency", "--due", "--memo", "--footer", "--custom-field", "--group-by"];
+
+// Every value given for a flag, in order
+function getFlagValues(name) {
+  const values = [];
+  args.forEach((a, i) => {
+    if (a === name && i + 1 < args.length) values.push(args[i + 1]);
+    else if (a.startsWith(`${name}=`)) values.push(a.slice(name.length + 1));
+  });
+  return values;
+}
+
+function getFlagValue(name) {
+  return getFlagValues(name)[0];
+}
+
+const positional = args.filter((a, i) => !a.startsWith("--") && !VALUE_FLAGS.includes(args[i - 1]));
+const csvFile = positional.find((a) => a.endsWith(".csv"));
+const [command, commandArg] = positional.filter((a) => !a.endsWith(".csv"));
+const format = getFlagValue("--format");
+// The department statement goes to stdout, like a --format report
+const statementMode = command === "department" && commandArg === "statement";
+// plan only previews; it never touches Stripe. Reports, statements, validation, the printouts
+// and the pricing copies don't either.
+const dryRun = args.includes("--dry-run")
+  || ["plan", "validate", "duplicates", "po", "packing", "pricing"].includes(command)
+  || Boolean(format)
+  || statementMode;
+const previewTag = command === "plan" ? "[PLAN]" : "[DRY RUN]";
 const autoSend = args.includes("--send");
 const ignoreMinimum = args.includes("--no-min");
+const resume = args.includes("--resume");
+const deltaMode = args.includes("--delta");
+const refund = args.includes("--refund");
+const invoiceOverrides = {
+  due: getFlagValue("--due"),
+  memo: getFlagValue("--memo"),
+  footer: getFlagValue("--footer"),
+  customFields: getFlagValues("--custom-field"),
+};
+const hasInvoiceOverrides = Object.values(invoiceOverrides).some((v) => (Array.isArray(v) ? v.length > 0 : v !== undefined));
+const concurrencyArg = getFlagValue("--concurrency");
+const concurrency = concurrencyArg === undefined ? 4 : Number(concurrencyArg);
+const groupBy = getFlagValue("--group-by") || "position";
 
 // ─── Validation ──────────────────────────────────────────────────────────────
 
-if (!process.env.STRIPE_SECRET_KEY && !dryRun) {
+const COMMANDS = ["reprice", "rollback", "plan", "apply", "catalog", "department", "validate", "duplicates", "po", "packing", "pricing"];
+
+if (command && !COMMANDS.includes(command)) {
+  console.error(`Error: Unknown command "${command}"`);
+  process.exit(1);
+}
+
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+  console.error(`Error: --concurrency must be a whole number of at least 1 (got "${concurrencyArg}")`);
+  process.exit(1);
+}
+
+if (!GROUP_BY.includes(groupBy)) {
+  console.error(`Error: --group-by must be one of: ${GROUP_BY.join(", ")}`);
+  process.exit(1);
+}
+
+const FORMATS = ["json", "csv"];
+
+if (format !== undefined && !FORMATS.includes(format)) {
+  console.error(`Error: --format must be one of: ${FORMATS.join(", ")}`);
+  process.exit(1);
+}
+
+if (format && command && !statementMode) {
+  console.error("Error: --format only applies to the invoice preview and the department statement");
+  process.exit(1);
+}
+
+// stdout carries only the report; progress messages go to stderr
+if (format || statementMode) {
+  console.log = console.error;
+}
+
+// The fake provider needs no credentials; with Stripe, a dry run can go without a key
+const billingProviderName = process.env.BILLING_PROVIDER || "stripe";
+const hasBilling = billingProviderName !== "stripe" || Boolean(process.env.STRIPE_SECRET_KEY);
+
+// reprice, rollback and catalog read from Stripe, so they need it even for a dry run
+if (!hasBilling && (!dryRun || ["reprice", "rollback", "catalog"].includes(command))) {
   console.error("Error: STRIPE_SECRET_KEY not found in environment");
   console.error("Create a .env file with your Stripe secret key (see .env.example)");
   process.exit(1);
 }
 
-if (!csvFile && !process.env.APPS_SCRIPT_URL) {
+// ─── Config ──────────────────────────────────────────────────────────────────
+
+const CAMPAIGNS_DIR = process.env.CAMPAIGNS_DIR || path.join(__dirname, "campaigns");
+
+let campaign;
+try {
+  campaign = loadCampaign(CAMPAIGNS_DIR, resolveCampaignId(CAMPAIGNS_DIR, getFlagValue("--campaign") || process.env.CAMPAIGN));
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+const pricing = campaign.pricing;
+const sheetUrl = process.env[campaign.sheetUrlEnv];
+
+if (!["rollback", "catalog", "pricing"].includes(command) && !csvFile && !sheetUrl) {
   console.error("Error: No data source specified");
   console.error("");
   console.error("Either provide a CSV file:");
   console.error("  node invoice.js orders.csv [--dry-run] [--send]");
   console.error("");
-  console.error("Or set APPS_SCRIPT_URL in .env to fetch directly from Google Sheets");
+  console.error(`Or set ${campaign.sheetUrlEnv} in .env to fetch directly from Google Sheets`);
   process.exit(1);
 }
 
-// ─── Config ──────────────────────────────────────────────────────────────────
+// Due date, memo, footer and custom fields; apply uses the plan's instead
+let invoiceSettings;
+try {
+  invoiceSettings = resolveInvoiceSettings(pricing.invoice, invoiceOverrides);
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+
+// Only the commands that create invoices need a due date that hasn't passed
+function requireFutureDueDate(settings) {
+  try {
+    checkDueDate(settings);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
 
-const pricingPath = path.join(__dirname, "pricing.json");
-if (!fs.existsSync(pricingPath)) {
-  console.error("Error: pricing.json not found");
+if (command === "apply" && hasInvoiceOverrides) {
+  console.error("Error: apply uses the invoice settings saved in the plan; pass --due/--memo/--footer/--custom-field to plan instead");
   process.exit(1);
 }
-const pricing = JSON.parse(fs.readFileSync(pricingPath, "utf-8"));
 
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+let billing;
+try {
+  billing = createRetryingProvider(
+    createBillingProvider(billingProviderName, {
+      stripeSecretKey: process.env.STRIPE_SECRET_KEY,
+      fakeBillingFile: process.env.FAKE_BILLING_FILE,
+    }),
+    {
+      onRetry: (method, err, attempt, delay) => {
+        console.warn(`  ${method} failed (${err.statusCode || err.type}) — retry ${attempt} in ${delay}ms`);
+      },
+    }
+  );
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+console.log(`Campaign: ${campaign.name} (${campaign.id})`);
+if (billing.name !== "stripe") {
+  console.log(`Billing provider: ${billing.name}${process.env.FAKE_BILLING_FILE ? ` (${process.env.FAKE_BILLING_FILE})` : " (in memory)"}`);
+}
+
+const MIN_QUANTITY = campaign.minQuantity;
+// Each campaign keeps its own journals, so a rollback never reaches into another campaign's run
+const RUNS_DIR = path.join(process.env.RUNS_DIR || path.join(__dirname, "runs"), campaign.id);
+
+// ─── Run Journal ─────────────────────────────────────────────────────────────
 
-const MIN_QUANTITY = 6;
+let journal = null;
+
+function startJournal(rows) {
+  if (dryRun) return; // Nothing is created
+  journal = createJournal(RUNS_DIR, { campaign: campaign.id, command: command || "invoice", args, pricing, rows });
+  console.log(`Run ID: ${journal.runId} (journal: ${path.relative(process.cwd(), journal.file)})`);
+}
+
+function record(type, data) {
+  if (journal) recordCreated(journal, type, data);
+}
+
+/**
+ * Idempotency key for a create call. Keys are scoped to the run, so a retry
+ * within the run reuses the first result and a later run starts fresh.
+ */
+function idempotencyKey(...parts) {
+  return { idempotencyKey: [journal?.runId, ...parts].filter((p) => p != null).join(":") };
+}
 
 // ─── Data Fetching ───────────────────────────────────────────────────────────
 
 async function fetchFromSheet() {
-  const url = process.env.APPS_SCRIPT_URL;
   console.log("Fetching orders from Google Sheet...");
 
-  const response = await fetch(url);
+  const response = await fetch(sheetUrl);
   const data = await response.json();
 
   if (data.status === "error") {
@@ -93,53 +309,95 @@ async function fetchFromSheet() {
   return data.orders;
 }
 
-async function saveInvoiceIdToSheet(email, invoiceId) {
-  const url = process.env.APPS_SCRIPT_URL;
-  if (!url) return; // Skip if using CSV mode
+/**
+ * Writes an invoice ID to the customer's rows. When sheet row numbers are
+ * given only those rows are updated; otherwise every row for the email is.
+ * The script skips rows that no longer hold one of the customer's emails.
+ */
+async function saveInvoiceIdToSheet(email, invoiceId, rowNumbers, out = console) {
+  if (!sheetUrl) return; // Skip if using CSV mode
 
+  const aliases = Object.keys(campaign.merges).filter((alias) => resolveEmail(alias, campaign.merges) === email);
   try {
-    const response = await fetch(url, {
+    const response = await fetch(sheetUrl, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
       body: JSON.stringify({
         action: "updateInvoiceId",
         email: email,
+        emails: [email, ...aliases],
         invoiceId: invoiceId,
+        // Older Apps Script deployments don't return row numbers
+        rows: rowNumbers?.every(Boolean) ? rowNumbers : undefined,
       }),
     });
     const result = await response.json();
     if (result.status === "ok") {
-      console.log(`  Saved invoice ID to sheet (${result.updatedRows} rows)`);
+      out.log(`  Saved invoice ID to sheet (${result.updatedRows} rows)`);
+      if (result.skippedRows?.length > 0) {
+        out.log(`  Warning: Row(s) ${result.skippedRows.join(", ")} no longer belong to ${email} (the sheet changed); ` +
+          `enter ${invoiceId} on their rows by hand`);
+      }
     } else {
-      console.log(`  Warning: Could not save invoice ID to sheet: ${result.message}`);
+      out.log(`  Warning: Could not save invoice ID to sheet: ${result.message}`);
     }
   } catch (err) {
-    console.log(`  Warning: Could not save invoice ID to sheet: ${err.message}`);
+    out.log(`  Warning: Could not save invoice ID to sheet: ${err.message}`);
+  }
+}
+
+async function clearInvoiceIdOnSheet(invoiceId) {
+  if (!sheetUrl) return; // Skip if using CSV mode
+
+  try {
+    const response = await fetch(sheetUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        action: "clearInvoiceId",
+        invoiceId: invoiceId,
+      }),
+    });
+    const result = await response.json();
+    if (result.status === "ok") {
+      console.log(`  Cleared invoice ID on sheet (${result.updatedRows} rows)`);
+    } else {
+      console.log(`  Warning: Could not clear invoice ID on sheet: ${result.message}`);
+    }
+  } catch (err) {
+    console.log(`  Warning: Could not clear invoice ID on sheet: ${err.message}`);
   }
 }
 
 async function loadOrders() {
   if (csvFile) {
     const csvContent = fs.readFileSync(csvFile, "utf-8");
-    const rows = parseCSV(csvContent);
+    // Row numbers as they appear in the spreadsheet (header is row 1)
+    const rows = parseCSV(csvContent).map((row, i) => ({ ...row, _row: i + 2 }));
     console.log(`Loaded ${rows.length} line items from CSV`);
     return rows;
   } else {
     const rows = await fetchFromSheet();
     console.log(`Fetched ${rows.length} line items from Google Sheet`);
+    if (deltaMode && rows.some((row) => !row._row)) {
+      throw new Error("Sheet rows have no row numbers — redeploy google-apps-script.js before using --delta");
+    }
     return rows;
   }
 }
 
 // ─── Tax Rate ────────────────────────────────────────────────────────────────
 
-async function getOrCreateTaxRate(taxRate) {
+async function getOrCreateTaxRate(tax) {
   // Look for an existing active tax rate we created
-  const existing = await stripe.taxRates.list({ active: true, limit: 100 });
-  const percentage = Math.round(taxRate * 10000) / 100;
-
-  const match = existing.data.find(
-    (tr) => tr.metadata?.source === "cmc-patagonia-order" && tr.percentage === percentage
+  const existing = await billing.listTaxRates();
+  const percentage = taxPercentage(tax.rate);
+
+  const match = existing.find((tr) =>
+    tr.metadata?.source === campaign.source
+    && tr.percentage === percentage
+    && tr.jurisdiction === tax.jurisdiction
+    && tr.display_name === tax.name
   );
 
   if (match) {
@@ -147,238 +405,1233 @@ async function getOrCreateTaxRate(taxRate) {
     return match.id;
   }
 
-  const created = await stripe.taxRates.create({
-    display_name: "NC Sales Tax",
+  const created = await billing.createTaxRate({
+    display_name: tax.name,
     percentage: percentage,
     inclusive: false,
-    jurisdiction: "NC",
-    metadata: { source: "cmc-patagonia-order" },
-  });
+    jurisdiction: tax.jurisdiction,
+    metadata: campaignMetadata(campaign),
+  }, idempotencyKey("tax-rate", tax.jurisdiction, percentage));
 
-  console.log(`Created Stripe tax rate: ${created.id} (${created.percentage}%)`);
+  console.log(`Created Stripe tax rate: ${created.id} (${tax.name}, ${created.percentage}%)`);
+  record("taxRate", { id: created.id });
   return created.id;
 }
 
+// ─── Product Catalog ─────────────────────────────────────────────────────────
+
+let catalogPromise = null;
+
+// Synced catalog prices, looked up once per run
+function getCatalog() {
+  if (!catalogPromise) {
+    catalogPromise = (async () => {
+      const catalog = buildCatalog(pricing, campaign.source);
+      const prices = await billing.listPrices(catalogLookupKeys(catalog));
+      return resolveCatalog(catalog, prices);
+    })();
+  }
+  return catalogPromise;
+}
+
+/**
+ * Reports whether invoice lines will reference catalog prices. Refuses to
+ * invoice from a catalog that no longer matches pricing.json.
+ */
+async function checkCatalog() {
+  const resolved = await getCatalog();
+  if (resolved.status === "none") {
+    console.log("Stripe catalog not synced — invoice lines use plain amounts (run: node invoice.js catalog sync)");
+  } else if (resolved.status === "stale") {
+    const message = `Stripe catalog is out of date with pricing.json (${resolved.stale.join(", ")})`;
+    if (!dryRun) throw new Error(`${message} — run: node invoice.js catalog sync`);
+    console.warn(`WARNING: ${message}`);
+  } else {
+    console.log(`Using Stripe catalog prices (${Object.keys(resolved.prices).length} prices)`);
+  }
+}
+
+async function syncCatalog(subcommand) {
+  if (subcommand !== "sync") {
+    throw new Error("Usage: node invoice.js catalog sync [--dry-run]");
+  }
+  console.log(dryRun ? "=== CATALOG SYNC (DRY RUN) ===" : "=== CATALOG SYNC ===");
+  console.log("");
+
+  const catalog = buildCatalog(pricing, campaign.source);
+  const existingProducts = {};
+  for (const product of catalog) {
+    const existing = await billing.getProduct(product.id);
+    if (existing) existingProducts[product.id] = existing;
+  }
+  const existingPrices = await billing.listPrices(catalogLookupKeys(catalog));
+  const changes = diffCatalog(catalog, existingProducts, existingPrices);
+
+  const changeCount = changes.createProducts.length + changes.updateProducts.length + changes.createPrices.length;
+  if (changeCount === 0) {
+    console.log(`Catalog is up to date (${catalog.length} products).`);
+    return;
+  }
+  startJournal([]);
+  const tag = dryRun ? "[DRY RUN] Would create" : "Created";
+
+  for (const product of changes.createProducts) {
+    if (!dryRun) {
+      await billing.createProduct(
+        { id: product.id, name: product.name, metadata: product.metadata },
+        idempotencyKey("product", product.id)
+      );
+      record("product", { id: product.id });
+    }
+    console.log(`  ${tag} product: ${product.name} (${product.id})`);
+  }
+
+  for (const product of changes.updateProducts) {
+    if (!dryRun) {
+      await billing.updateProduct(product.id, { name: product.name, active: true });
+    }
+    console.log(`  ${dryRun ? "[DRY RUN] Would update" : "Updated"} product: ${product.name} (${product.id})`);
+  }
+
+  for (const { product, price, replaces } of changes.createPrices) {
+    const amount = `$${(price.unitAmount / 100).toFixed(2)}`;
+    if (!dryRun) {
+      const created = await billing.createPrice({
+        product: product.id,
+        unit_amount: price.unitAmount,
+        currency: price.currency,
+        nickname: price.nickname,
+        lookup_key: price.lookupKey,
+        transfer_lookup_key: true,
+        metadata: price.metadata,
+      }, idempotencyKey("price", price.lookupKey, price.unitAmount));
+      record("price", { id: created.id, lookupKey: price.lookupKey });
+      // Stripe prices can't be edited; the old one is archived
+      if (replaces) await billing.updatePrice(replaces.id, { active: false });
+    }
+    const replaced = replaces ? ` (replaces $${(replaces.unit_amount / 100).toFixed(2)})` : "";
+    console.log(`  ${tag} price: ${price.nickname} ${amount}${replaced}`);
+  }
+
+  console.log("");
+  console.log("=== SUMMARY ===");
+  console.log(`Products ${dryRun ? "to create" : "created"}: ${changes.createProducts.length}`);
+  console.log(`Products ${dryRun ? "to update" : "updated"}: ${changes.updateProducts.length}`);
+  console.log(`Prices ${dryRun ? "to create" : "created"}: ${changes.createPrices.length}`);
+}
+
+// ─── Existing Invoices ───────────────────────────────────────────────────────
+
+async function fetchExistingInvoices() {
+  if (!hasBilling) return {}; // Dry run without a key: sheet only
+
+  console.log("Checking Stripe for existing invoices...");
+  const invoices = await billing.listInvoices();
+  return indexInvoicesByEmail(invoices, campaign.source, campaign.merges);
+}
+
+/**
+ * Collects line descriptions from the customer's Stripe invoices whose IDs
+ * never made it onto the sheet, so findUninvoicedItems can treat those
+ * items as covered.
+ */
+async function fetchUnrecordedLineDescriptions(customer, existingInvoices) {
+  const recorded = new Set(customer.items.map((item) => item.invoiceId).filter(Boolean));
+  const descriptions = [];
+
+  for (const invoice of existingInvoices[customer.email] || []) {
+    if (invoice.status === "draft" || recorded.has(invoice.id)) continue;
+    const lines = await billing.listInvoiceLines(invoice.id);
+    descriptions.push(...lines.map((line) => line.description));
+  }
+
+  return descriptions;
+}
+
+async function deleteDraftInvoices(draftIds, out = console) {
+  for (const id of draftIds) {
+    await billing.deleteInvoice(id, idempotencyKey("delete", id));
+    out.log(`  Deleted incomplete draft invoice: ${id}`);
+  }
+}
+
 // ─── Invoice Creation ────────────────────────────────────────────────────────
 
-async function createInvoice(customer, lineItems, taxRateId) {
+/**
+ * Creates and finalizes an invoice for a customer (finding or creating them in Stripe).
+ * Presentation defaults to the invoice settings filled in for the customer.
+ * `out` is console, or a per-customer buffer when customers run concurrently.
+ */
+async function createInvoice(customer, lineItems, taxRateId, { metadata = {}, presentation } = {}, out = console) {
   // Find or create Stripe customer
-  const existingCustomers = await stripe.customers.list({ email: customer.email, limit: 1 });
-  let stripeCustomer;
-
-  if (existingCustomers.data.length > 0) {
-    stripeCustomer = existingCustomers.data[0];
-    console.log(`  Using existing Stripe customer: ${stripeCustomer.id}`);
+  let stripeCustomer = await billing.findCustomerByEmail(customer.email);
+
+  if (stripeCustomer) {
+    out.log(`  Using existing Stripe customer: ${stripeCustomer.id}`);
+    // Customers are shared between campaigns; note this one on them too.
+    // An exemption is recorded but never removed, since another campaign may have set it.
+    const update = {};
+    const campaigns = addCustomerCampaign(stripeCustomer, campaign);
+    if (campaigns) update.metadata = campaigns;
+    if (customer.taxExempt && stripeCustomer.tax_exempt !== "exempt") update.tax_exempt = "exempt";
+    if (Object.keys(update).length > 0) await billing.updateCustomer(stripeCustomer.id, update);
   } else {
-    stripeCustomer = await stripe.customers.create({
+    stripeCustomer = await billing.createCustomer({
       email: customer.email,
       name: customer.name,
       phone: customer.phone,
-      metadata: { source: "cmc-patagonia-order" },
-    });
-    console.log(`  Created Stripe customer: ${stripeCustomer.id}`);
+      tax_exempt: customer.taxExempt ? "exempt" : "none",
+      metadata: { source: campaign.source, campaigns: campaign.id },
+    }, idempotencyKey("customer", customer.email));
+    out.log(`  Created Stripe customer: ${stripeCustomer.id}`);
+    record("customer", { id: stripeCustomer.id, email: customer.email });
   }
 
   // Create invoice
-  const invoice = await stripe.invoices.create({
+  const invoice = await billing.createInvoice({
     customer: stripeCustomer.id,
     collection_method: "send_invoice",
-    days_until_due: 14,
-    metadata: { source: "cmc-patagonia-order" },
-  });
-
-  // Add line items
-  for (const item of lineItems) {
+    ...(presentation || buildInvoicePresentation(invoiceSettings, customer)),
+    metadata: { ...campaignMetadata(campaign), ...metadata },
+  }, idempotencyKey("invoice", customer.email, metadata.revised_from));
+  record("invoice", { id: invoice.id, email: customer.email });
+
+  // Add line items, referencing catalog prices once they are synced
+  const resolved = await getCatalog();
+  const catalog = resolved.status === "ok" ? resolved : null;
+  for (const [index, item] of lineItems.entries()) {
     const params = {
       customer: stripeCustomer.id,
       invoice: invoice.id,
-      description: item.description,
-      amount: item.amount,
-      currency: item.currency,
+      ...buildInvoiceItemParams(item, catalog),
     };
     if (item.taxable) {
       params.tax_rates = [taxRateId];
     }
-    await stripe.invoiceItems.create(params);
+    const invoiceItem = await billing.addInvoiceItem(params, idempotencyKey("invoice-item", invoice.id, index));
+    record("invoiceItem", { id: invoiceItem.id, invoice: invoice.id });
   }
 
   // Finalize invoice
-  const finalizedInvoice = await stripe.invoices.finalizeInvoice(invoice.id);
+  const finalizedInvoice = await billing.finalizeInvoice(invoice.id, idempotencyKey("finalize", invoice.id));
+  const totalMatches = checkInvoiceTotal(customer, lineItems, finalizedInvoice, out);
 
-  if (autoSend) {
-    await stripe.invoices.sendInvoice(invoice.id);
-    console.log(`  Invoice sent: ${finalizedInvoice.hosted_invoice_url}`);
+  if (autoSend && totalMatches) {
+    await billing.sendInvoice(invoice.id, idempotencyKey("send", invoice.id));
+    out.log(`  Invoice sent: ${finalizedInvoice.hosted_invoice_url}`);
   } else {
-    console.log(`  Draft invoice created: ${finalizedInvoice.hosted_invoice_url}`);
+    out.log(`  Draft invoice created: ${finalizedInvoice.hosted_invoice_url}`);
   }
 
   return finalizedInvoice;
 }
 
-// ─── Main ────────────────────────────────────────────────────────────────────
+// ─── Repricing ───────────────────────────────────────────────────────────────
 
-async function main() {
-  console.log(dryRun ? "=== DRY RUN MODE ===" : "=== INVOICE GENERATION ===");
-  console.log(`Mode: ${autoSend ? "Create and SEND" : "Create as DRAFTS"}`);
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+// Finalized invoices whose Stripe total isn't what we worked out, for the run summary
+const totalMismatches = [];
+
+/**
+ * Compares a finalized invoice's total with the total worked out for its
+ * lines, and flags a mismatch (e.g. a tax rate or rounding Stripe applied
+ * differently) in the output and the run journal. Returns whether they match;
+ * a mismatched invoice is not auto-sent.
+ */
+function checkInvoiceTotal(customer, lineItems, invoice, out = console) {
+  const { total: expected } = calculateInvoiceTotal(lineItems, getTaxConfig(pricing).rate);
+  if (invoice.total === expected) return true;
+
+  const mismatch = { invoice: invoice.id, email: customer.email, expected, actual: invoice.total };
+  totalMismatches.push(mismatch);
+  out.error(`  WARNING: Stripe total ${formatCents(invoice.total)} differs from the expected ${formatCents(expected)} — check invoice ${invoice.id}`);
+  if (journal) {
+    journal.totalMismatches = totalMismatches;
+    saveJournal(journal);
+  }
+  return false;
+}
+
+// Lists the mismatches from checkInvoiceTotal at the end of a run
+function printTotalMismatches() {
+  if (totalMismatches.length === 0) return;
+  console.log("");
+  console.log(`=== TOTAL MISMATCHES (${totalMismatches.length}) ===`);
+  for (const m of totalMismatches) {
+    const diff = m.actual - m.expected;
+    console.log(`  ${m.invoice} <${m.email}>: Stripe ${formatCents(m.actual)}, expected ${formatCents(m.expected)} (${diff > 0 ? "+" : "-"}${formatCents(Math.abs(diff))})`);
+  }
+  console.log(`Review these invoices in the Stripe dashboard${autoSend ? "; they were left unsent" : " before sending them"}.`);
+  process.exitCode = 1;
+}
+
+async function issueCreditNote(invoice, adjustments) {
+  const params = {
+    invoice: invoice.id,
+    lines: adjustments.map((a) => ({
+      type: "invoice_line_item",
+      invoice_line_item: a.lineId,
+      amount: a.credit,
+    })),
+    reason: "order_change",
+    memo: "Volume pricing adjustment — final order volume reached a lower price tier.",
+    metadata: campaignMetadata(campaign),
+  };
+
+  // Stripe adds tax on top of the line amounts; refund the full credit total
+  if (refund) {
+    const preview = await billing.previewCreditNote(params);
+    params.refund_amount = preview.total;
+  }
+
+  const creditNote = await billing.createCreditNote(params, idempotencyKey("credit-note", invoice.id));
+  record("creditNote", { id: creditNote.id, invoice: invoice.id });
+  console.log(`  Credit note issued: ${creditNote.id} (${formatCents(creditNote.total)}${refund ? ", refunded" : ""})`);
+  return creditNote;
+}
+
+async function reviseInvoice(customer, invoice, diff, taxRateId) {
+  // Create the replacement first so the customer is never left without an invoice
+  const revised = await createInvoice(customer, diff.repriced.lineItems, taxRateId, { metadata: { revised_from: invoice.id } });
+  await billing.voidInvoice(invoice.id, idempotencyKey("void", invoice.id));
+  record("voidedInvoice", { id: invoice.id, replacedBy: revised.id });
+  console.log(`  Voided original invoice: ${invoice.id}`);
+  await saveInvoiceIdToSheet(customer.email, revised.id, diff.billedItems.map((item) => item.row));
+  return revised;
+}
+
+async function reprice() {
+  console.log(dryRun ? "=== REPRICE (DRY RUN) ===" : "=== REPRICE ===");
+  console.log(`Paid invoices: credit note${refund ? " refunded to card" : " to customer balance"}`);
+  console.log("Unpaid invoices: void and reissue at current prices");
   console.log("");
+  try {
+    checkDueDate(invoiceSettings);
+  } catch (err) {
+    console.log(`Warning: ${err.message}; Stripe will refuse to reissue unpaid invoices`);
+    console.log("");
+  }
 
-  // Load orders
   const rows = await loadOrders();
-  const customers = groupByEmail(rows);
-  console.log(`Found ${customers.length} unique customers`);
+  const customers = groupByEmail(rows, campaign.merges);
+  startJournal(rows);
+
+  // Billed items keep a price even if their combo has since dropped below the minimum
+  const productColorCounts = countByProductColor(rows, pricing);
+  const tierMap = buildTierMap(productColorCounts, pricing.tiers);
+  console.log("");
+
+  let taxRateId = null;
+  let creditNoteCount = 0;
+  let revisedCount = 0;
+  let totalCredit = 0;
+
+  for (const customer of customers) {
+    // Sheet marks and pricing.json's list together; a reissued invoice's new Stripe customer needs it too
+    customer.taxExempt = isTaxExempt(customer, pricing);
+    const itemsByInvoice = {};
+    for (const item of customer.items) {
+      if (!item.invoiceId) continue;
+      if (!itemsByInvoice[item.invoiceId]) itemsByInvoice[item.invoiceId] = [];
+      itemsByInvoice[item.invoiceId].push(item);
+    }
+
+    // The subsidy cap is per person, so later invoices count items billed on earlier ones
+    let subsidizedBefore = 0;
+    for (const [invoiceId, items] of Object.entries(itemsByInvoice)) {
+      const invoice = await billing.getInvoice(invoiceId);
+      if (!invoice) {
+        console.warn(`  WARNING: Invoice ${invoiceId} on ${customer.email}'s rows not found — skipped`);
+        continue;
+      }
+      if (invoice.status === "void" || invoice.status === "draft") continue;
+
+      const lines = await billing.listInvoiceLines(invoiceId);
+      const diff = diffInvoice(lines, items, productColorCounts, tierMap, pricing, {
+        position: customer.position,
+        subsidizedBefore,
+        taxExempt: customer.taxExempt,
+      });
+      subsidizedBefore += diff.billedItems.length;
+      if (diff.adjustments.length === 0 && diff.undercharges.length === 0) continue;
+
+      console.log(`--- ${customer.name} (${customer.email}) — ${invoiceId} [${invoice.status}] ---`);
+      for (const a of diff.adjustments) {
+        console.log(`  ${a.description.split("\n")[0]}: ${formatCents(a.invoiced)} → ${formatCents(a.current)} (credit ${formatCents(a.credit)} + tax)`);
+      }
+      for (const u of diff.undercharges) {
+        console.log(`  ${u.description.split("\n")[0]}: ${formatCents(u.invoiced)} → ${formatCents(u.current)} (undercharged — not adjusted)`);
+      }
+
+      if (diff.adjustments.length === 0) {
+        console.log("");
+        continue;
+      }
+
+      console.log(`  Adjustment: ${formatCents(diff.totalCredit)} before tax`);
+      totalCredit += diff.totalCredit;
+
+      // Unpaid invoices are reissued; anything with money collected gets a credit note
+      const unpaid = invoice.status === "open" && invoice.amount_paid === 0;
+
+      if (dryRun) {
+        console.log(unpaid ? "  [DRY RUN] Would void and reissue invoice" : "  [DRY RUN] Would issue credit note");
+        if (unpaid) revisedCount++;
+        else creditNoteCount++;
+        console.log("");
+        continue;
+      }
+
+      try {
+        if (unpaid) {
+          if (!taxRateId) {
+            taxRateId = await getOrCreateTaxRate(getTaxConfig(pricing));
+            await checkCatalog();
+          }
+          await reviseInvoice(customer, invoice, diff, taxRateId);
+          revisedCount++;
+        } else {
+          await issueCreditNote(invoice, diff.adjustments);
+          creditNoteCount++;
+        }
+      } catch (err) {
+        console.error(`  ERROR: ${err.message}`);
+      }
+
+      console.log("");
+    }
+  }
+
+  console.log("=== SUMMARY ===");
+  console.log(`Credit notes ${dryRun ? "to issue" : "issued"}: ${creditNoteCount}`);
+  console.log(`Invoices ${dryRun ? "to revise" : "revised"}: ${revisedCount}`);
+  console.log(`Total adjustment: ${formatCents(totalCredit)} before tax`);
+  printTotalMismatches();
+}
+
+// ─── Rollback ────────────────────────────────────────────────────────────────
+
+async function rollback(runId) {
+  if (!runId) {
+    const runs = listRuns(RUNS_DIR);
+    console.error("Usage: node invoice.js rollback <run-id> [--dry-run]");
+    console.error("");
+    console.error(runs.length > 0 ? `Runs: ${runs.join(", ")}` : "No runs recorded yet.");
+    process.exit(1);
+  }
+
+  const runJournal = loadJournal(RUNS_DIR, runId);
+  console.log(dryRun ? "=== ROLLBACK (DRY RUN) ===" : "=== ROLLBACK ===");
+  console.log(`Run: ${runJournal.runId} (${runJournal.command}, started ${runJournal.startedAt})`);
+  if (runJournal.rolledBackAt) {
+    console.log(`Already rolled back at ${runJournal.rolledBackAt}`);
+    return;
+  }
+  console.log("");
+
+  const { creditNotes, invoices, voidedInvoices } = getRollbackTargets(runJournal);
+  let undone = 0;
+  let failed = 0;
+
+  // Credit notes first, while their invoices are still open
+  for (const entry of creditNotes) {
+    const creditNote = await billing.getCreditNote(entry.id);
+    if (!creditNote || creditNote.status === "void") continue;
+    if (dryRun) {
+      console.log(`  [DRY RUN] Would void credit note ${entry.id}`);
+      undone++;
+      continue;
+    }
+    try {
+      await billing.voidCreditNote(entry.id, idempotencyKey("void", entry.id));
+      console.log(`  Voided credit note ${entry.id}`);
+      undone++;
+    } catch (err) {
+      console.error(`  ERROR voiding credit note ${entry.id}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  for (const entry of invoices) {
+    // Deleted drafts no longer exist
+    const invoice = (await billing.getInvoice(entry.id)) || { id: entry.id, status: "deleted" };
 
-  // Count by product+color and filter by minimum
-  const productColorCounts = countByProductColor(rows);
+    console.log(`--- ${entry.email} — ${entry.id} [${invoice.status}] ---`);
+
+    if (invoice.status === "paid") {
+      console.log("  Paid — not voided. Refund it in the Stripe dashboard if needed.");
+      failed++;
+      continue;
+    }
+
+    if (dryRun) {
+      if (invoice.status === "draft") console.log("  [DRY RUN] Would delete draft");
+      if (invoice.status === "open" || invoice.status === "uncollectible") console.log("  [DRY RUN] Would void invoice");
+      console.log("  [DRY RUN] Would clear invoice ID on sheet");
+      undone++;
+      continue;
+    }
+
+    try {
+      if (invoice.status === "draft") {
+        await billing.deleteInvoice(entry.id, idempotencyKey("delete", entry.id));
+        console.log("  Deleted draft");
+      } else if (invoice.status === "open" || invoice.status === "uncollectible") {
+        await billing.voidInvoice(entry.id, idempotencyKey("void", entry.id));
+        console.log("  Voided invoice");
+      }
+      await clearInvoiceIdOnSheet(entry.id);
+      undone++;
+    } catch (err) {
+      console.error(`  ERROR: ${err.message}`);
+      failed++;
+    }
+  }
+
+  if (voidedInvoices.length > 0) {
+    console.log("");
+    console.log("This run voided invoices it replaced; voided invoices cannot be restored:");
+    for (const entry of voidedInvoices) {
+      console.log(`  ${entry.id} (replaced by ${entry.replacedBy})`);
+    }
+    console.log("Re-run invoice.js to bill those customers again.");
+  }
+
+  console.log("");
+  console.log("=== SUMMARY ===");
+  console.log(`Objects ${dryRun ? "to undo" : "undone"}: ${undone}`);
+  if (failed > 0) console.log(`Needs attention: ${failed}`);
+  console.log("Customers and tax rates are left in place; the next run reuses them.");
+
+  if (!dryRun && failed === 0) {
+    runJournal.rolledBackAt = new Date().toISOString();
+    saveJournal(runJournal);
+  }
+}
+
+// ─── Department Billing ──────────────────────────────────────────────────────
+
+async function departmentBilling(subcommand) {
+  if (subcommand !== "statement" && subcommand !== "invoice") {
+    throw new Error("Usage: node invoice.js department statement|invoice [--dry-run] [--send]");
+  }
+
+  const rows = await loadOrders();
+  const { eligibleCombos, tierMap } = priceCombos(rows);
+  const existingInvoices = await fetchExistingInvoices();
+  const statement = buildDepartmentStatement(groupByEmail(rows, campaign.merges), { eligibleCombos, tierMap, pricing }, existingInvoices);
+
+  if (statementMode) {
+    console.log(`Subsidies: ${formatCents(statement.total)} for ${statement.itemCount} item(s), ${statement.people.length} people`);
+    process.stdout.write(format === "json" ? JSON.stringify(statement, null, 2) + "\n" : formatStatementCSV(statement));
+    return;
+  }
+
+  const contact = campaign.department;
+  if (!contact) {
+    throw new Error(`Campaign ${campaign.id} has no department billing contact (set "department" in campaign.json)`);
+  }
+
+  console.log(dryRun ? "=== DEPARTMENT INVOICE (DRY RUN) ===" : "=== DEPARTMENT INVOICE ===");
+  console.log(`Bill to: ${contact.name || contact.email} <${contact.email}>${contact.costCenter ? `, cost center ${contact.costCenter}` : ""}`);
+  console.log("");
+  for (const person of statement.people) {
+    console.log(`  ${person.name} (${person.position}): ${person.items.length} item(s), ${formatCents(person.subsidy)}`);
+  }
+  console.log("");
+  console.log(`Total subsidies: ${formatCents(statement.total)} (${statement.itemCount} item(s), ${statement.people.length} people)`);
+
+  if (statement.total === 0) {
+    console.log("Nothing to bill.");
+    return;
+  }
+
+  // One department invoice per campaign; replacing it is a deliberate void
+  if (hasBilling) {
+    const existing = (await billing.listInvoices()).find((inv) =>
+      inv.metadata?.source === campaign.source && inv.metadata?.billing === "department" && inv.status !== "void"
+    );
+    if (existing) {
+      console.log(`Department invoice already exists: ${existing.id} [${existing.status}], ${formatCents(existing.total)}`);
+      console.log("Void or delete it in Stripe to issue a new one.");
+      return;
+    }
+  }
+
+  if (dryRun) {
+    console.log("[DRY RUN] Would create department invoice");
+    return;
+  }
+  requireFutureDueDate(invoiceSettings);
+
+  startJournal(rows);
+  const taxRateId = await getOrCreateTaxRate(getTaxConfig(pricing));
+  const departmentCustomer = {
+    name: contact.name,
+    email: contact.email.toLowerCase(),
+    position: "",
+    orderDate: "",
+    taxExempt: Boolean(contact.taxExempt),
+  };
+  departmentCustomer.taxExempt = isTaxExempt(departmentCustomer, pricing);
+  const presentation = {
+    ...buildInvoicePresentation(invoiceSettings, departmentCustomer),
+    description: `Department share of ${campaign.name} subsidies: ${statement.itemCount} item(s) for ${statement.people.length} people.`,
+  };
+  delete presentation.custom_fields;
+  if (contact.costCenter) presentation.custom_fields = [{ name: "Cost center", value: String(contact.costCenter) }];
+
+  const invoice = await createInvoice(
+    departmentCustomer,
+    buildDepartmentInvoiceLines(statement, pricing.currency, { taxExempt: departmentCustomer.taxExempt }),
+    taxRateId,
+    { metadata: { billing: "department" }, presentation }
+  );
+  console.log(`Department invoice: ${invoice.id} (${formatCents(invoice.total)})`);
+  printTotalMismatches();
+}
+
+// ─── Embedded Pricing ────────────────────────────────────────────────────────
+
+// Files that carry generated copies of pricing.json and products.json (see lib/embed.js)
+const EMBEDDED_CONFIG_FILES = ["index.html", "google-apps-script.js"];
+
+function syncEmbeddedPricing(subcommand) {
+  if (subcommand !== "sync" && subcommand !== "check") {
+    throw new Error("Usage: node invoice.js pricing sync|check");
+  }
+  console.log(subcommand === "sync" ? "=== PRICING SYNC ===" : "=== PRICING CHECK ===");
+
+  if (!campaign.products) {
+    throw new Error(`Campaign ${campaign.id} has no products.json; the order form is built from it`);
+  }
+  const blocks = [
+    { name: "pricing", value: buildEmbeddedPricing(pricing, MIN_QUANTITY), sourcePath: campaign.pricingPath },
+    {
+      name: "catalog",
+      value: buildFormCatalog(campaign.products),
+      sourcePath: path.join(CAMPAIGNS_DIR, campaign.id, "products.json"),
+    },
+  ];
+  let outOfDate = 0;
+
+  for (const file of EMBEDDED_CONFIG_FILES) {
+    const filePath = path.join(__dirname, file);
+    const text = fs.readFileSync(filePath, "utf-8");
+
+    if (subcommand === "sync") {
+      let updated = text;
+      try {
+        for (const { name, value, sourcePath } of blocks) {
+          updated = replaceBlock(updated, name, formatBlock(name, value, path.relative(__dirname, sourcePath)));
+        }
+      } catch (err) {
+        throw new Error(`${file}: ${err.message}`);
+      }
+      if (updated === text) {
+        console.log(`  ${file}: up to date`);
+      } else {
+        fs.writeFileSync(filePath, updated);
+        console.log(`  ${file}: updated`);
+      }
+      continue;
+    }
+
+    for (const { name, value, sourcePath } of blocks) {
+      const source = path.relative(__dirname, sourcePath);
+      const embedded = readBlock(text, name);
+      const differences = embedded ? diffEmbedded(value, embedded) : [];
+      if (embedded && differences.length === 0) {
+        console.log(`  ${file}: matches ${source}`);
+        continue;
+      }
+      outOfDate++;
+      if (!embedded) console.log(`  ${file}: has no generated ${name} block`);
+      for (const { path: at, expected, actual } of differences) {
+        console.log(`  ${file}: ${at} is ${JSON.stringify(actual)}, ${path.basename(source)} has ${JSON.stringify(expected)}`);
+      }
+    }
+  }
+
+  if (outOfDate > 0) {
+    console.error("Error: Copies in the form or Apps Script disagree with the campaign — run: node invoice.js pricing sync");
+    process.exitCode = 1;
+  }
+}
+
+// ─── Order Validation ────────────────────────────────────────────────────────
+
+// Prints validation errors by sheet row; returns how many rows have errors
+function printValidationErrors(errors) {
+  for (const error of errors) {
+    console.log(`  Row ${error.row}${error.email ? ` (${error.email})` : ""}: ${error.message}`);
+  }
+  return new Set(errors.map((error) => error.row)).size;
+}
+
+async function validateOrders() {
+  console.log("=== VALIDATE ===");
+  const rows = await loadOrders();
+  console.log(campaign.products
+    ? `Checking against ${path.relative(process.cwd(), path.join(CAMPAIGNS_DIR, campaign.id, "products.json"))}`
+    : `Campaign ${campaign.id} has no products.json; checking required columns and pricing.json products only`);
+  console.log("");
+
+  const errors = validateRows(rows, campaign.products, pricing);
+  if (errors.length === 0) {
+    console.log(`All ${rows.length} rows are valid.`);
+    return;
+  }
+
+  const rowCount = printValidationErrors(errors);
+  console.log("");
+  console.log(`${errors.length} error(s) in ${rowCount} of ${rows.length} rows. Fix them in the sheet and validate again.`);
+  process.exitCode = 1;
+}
+
+/**
+ * Checks the rows before invoicing. Errors stop any run that creates or plans
+ * invoices; a dry run lists them and carries on, so the preview is still shown.
+ * @returns {boolean} Whether to go on
+ */
+function checkOrders(rows) {
+  const errors = validateRows(rows, campaign.products, pricing);
+  if (errors.length === 0) return true;
+
+  // A plan or printout built on bad rows would be wrong, so those refuse too
+  const proceed = dryRun && !["plan", "po", "packing"].includes(command);
+  console.log("=== ORDER ERRORS ===");
+  const rowCount = printValidationErrors(errors);
+  console.log("");
+  console.log(`${errors.length} error(s) in ${rowCount} row(s) — see: node invoice.js validate`);
+  if (proceed) {
+    console.log("Invoicing will refuse to run until they are fixed.");
+    console.log("");
+    return true;
+  }
+  console.error("Error: Fix the order errors above before invoicing");
+  process.exitCode = 1;
+  return false;
+}
+
+// ─── Duplicate Customers ─────────────────────────────────────────────────────
+
+async function listDuplicates() {
+  console.log("=== DUPLICATES ===");
+  const rows = await loadOrders();
+  const customers = groupByEmail(rows, campaign.merges);
+  const merged = Object.keys(campaign.merges).length;
+  console.log(`Checking ${customers.length} customers${merged > 0 ? ` (${merged} alias email(s) merged by merges.json)` : ""}`);
+  console.log("");
+
+  const duplicates = findDuplicates(customers);
+  if (duplicates.length === 0) {
+    console.log("No likely duplicates.");
+    return;
+  }
+
+  console.log("Possibly the same person:");
+  for (const { emails, names, reasons } of duplicates) {
+    console.log(`  ${emails[0]} (${names[0]}) and ${emails[1]} (${names[1]}): ${reasons.join(", ")}`);
+  }
+  console.log("");
+  console.log(`${duplicates.length} possible duplicate(s). To bill one as the other, map the alias`);
+  console.log(`to the email to bill in ${path.relative(process.cwd(), path.join(CAMPAIGNS_DIR, campaign.id, "merges.json"))}, e.g.:`);
+  const example = {};
+  for (const [email, alias] of duplicates.map((d) => d.emails)) {
+    if (!example[alias]) example[alias] = example[email] || email;
+  }
+  console.log(JSON.stringify(example, null, 2).split("\n").map((line) => `  ${line}`).join("\n"));
+}
+
+// ─── Purchase Order ──────────────────────────────────────────────────────────
+
+async function writePurchaseOrder(basename) {
+  console.log("=== PURCHASE ORDER ===");
+  const rows = await loadOrders();
+  if (!checkOrders(rows)) return;
+
+  const { eligibleCombos, excludedCombos } = priceCombos(rows);
+  const po = buildPurchaseOrder(rows, eligibleCombos, pricing, campaign.products);
+  if (po.unitCount === 0) {
+    console.error("Error: No product+color combination meets the minimum; nothing to order");
+    process.exitCode = 1;
+    return;
+  }
+
+  const excluded = Object.entries(excludedCombos);
+  if (excluded.length > 0) {
+    console.log(`Left out (below minimum of ${MIN_QUANTITY}):`);
+    for (const [key, count] of excluded) {
+      console.log(`  ${describeTierGroup(key, pricing).label}: ${count} pcs — NOT ORDERED`);
+    }
+  }
+  console.log(`Units: ${po.unitCount} (${po.lines.length} product/style/color/logo line(s))`);
+  console.log(`Name embroideries: ${po.embroidery.length}`);
+  for (const [addOn, count] of Object.entries(po.addOns)) {
+    console.log(`Add-on ${addOn}: ${count} unit(s)`);
+  }
+  console.log("");
+
+  const csvPath = `${basename}.csv`;
+  const htmlPath = `${basename}.html`;
+  fs.writeFileSync(csvPath, formatPurchaseOrderCSV(po));
+  fs.writeFileSync(htmlPath, formatPurchaseOrderHTML(po, {
+    title: campaign.name,
+    date: new Date().toISOString().slice(0, 10),
+  }));
+  console.log(`Purchase order written to ${csvPath} and ${htmlPath}`);
+}
+
+// ─── Packing Slips ───────────────────────────────────────────────────────────
+
+async function writePackingSlips(basename) {
+  console.log("=== PACKING SLIPS ===");
+  const rows = await loadOrders();
+  if (!checkOrders(rows)) return;
+
+  const customers = groupByEmail(rows, campaign.merges);
+  const { eligibleCombos } = priceCombos(rows);
+  const packing = buildPackingSlips(customers, eligibleCombos, pricing, { groupBy });
+  if (packing.itemCount === 0) {
+    console.error("Error: No product+color combination meets the minimum; nothing to pack");
+    process.exitCode = 1;
+    return;
+  }
+
+  const slipCount = packing.groups.reduce((count, group) => count + group.slips.length, 0);
+  console.log(`Slips: ${slipCount} (grouped by ${groupBy}), items: ${packing.itemCount}`);
+  if (packing.excludedCount > 0) {
+    console.log(`Items not ordered (below minimum of ${MIN_QUANTITY}): ${packing.excludedCount}`);
+  }
+  for (const customer of packing.emptyCustomers) {
+    console.log(`  No slip for ${customer.name} <${customer.email}>: none of their items were ordered`);
+  }
+  console.log("");
+
+  const htmlPath = `${basename}.html`;
+  fs.writeFileSync(htmlPath, formatPackingSlipsHTML(packing, {
+    title: campaign.name,
+    date: new Date().toISOString().slice(0, 10),
+  }));
+  console.log(`Packing slips written to ${htmlPath}`);
+}
+
+// ─── Planning ────────────────────────────────────────────────────────────────
+
+// Counts by tier group (product+color unless pricing.json says otherwise),
+// filtered by the minimum, and their tiers
+function priceCombos(rows) {
+  const productColorCounts = countByProductColor(rows, pricing);
   const { eligible: eligibleCombos, excluded: excludedCombos } = ignoreMinimum
     ? { eligible: productColorCounts, excluded: {} }
     : filterByMinimum(productColorCounts, MIN_QUANTITY);
+  return { eligibleCombos, excludedCombos, tierMap: buildTierMap(eligibleCombos, pricing.tiers) };
+}
 
-  const tierMap = buildTierMap(eligibleCombos, pricing.tiers);
+async function computePlan(rows, customers) {
+  const existingInvoices = await fetchExistingInvoices();
+  const { eligibleCombos, excludedCombos, tierMap } = priceCombos(rows);
 
-  console.log("");
+  const entries = [];
+  for (const customer of customers) {
+    // --delta needs the lines of invoices whose IDs never reached the sheet,
+    // and a backfill the lines of the invoice it records
+    let covered = [];
+    if (deltaMode && hasBilling) {
+      covered = await fetchUnrecordedLineDescriptions(customer, existingInvoices);
+    } else {
+      const existing = getInvoiceStatus(customer, existingInvoices);
+      if (existing.status === "invoiced" && !existing.onSheet) {
+        covered = (await billing.listInvoiceLines(existing.invoiceId)).map((line) => line.description);
+      }
+    }
+    entries.push(planCustomer(customer, existingInvoices, covered, {
+      eligibleCombos,
+      tierMap,
+      pricing,
+      deltaMode,
+      resume,
+    }));
+  }
+
+  return createPlan({
+    campaign: campaign.id,
+    rows,
+    pricing,
+    eligibleCombos,
+    excludedCombos,
+    tierMap,
+    entries,
+    invoice: invoiceSettings,
+    options: { delta: deltaMode, noMin: ignoreMinimum, resume },
+  });
+}
 
-  if (ignoreMinimum) {
+/**
+ * Prints excluded combos and combo pricing.
+ * Returns false if no combo meets the minimum.
+ */
+function printPricing(plan) {
+  if (plan.options.noMin) {
     console.log("=== --no-min: Ignoring minimum quantity requirement ===");
     console.log("");
   }
 
   // Show excluded combos
-  if (Object.keys(excludedCombos).length > 0) {
-    console.log("=== EXCLUDED (below minimum of 6) ===");
-    for (const key of Object.keys(excludedCombos).sort()) {
-      const [product, color] = key.split("|");
-      const count = excludedCombos[key];
-      console.log(`  ${product} (${color}): ${count} pcs — NOT INVOICED`);
+  if (plan.excluded.length > 0) {
+    console.log(`=== EXCLUDED (below minimum of ${MIN_QUANTITY}) ===`);
+    for (const { key, count } of plan.excluded) {
+      console.log(`  ${describeTierGroup(key, pricing).label}: ${count} pcs — NOT INVOICED`);
     }
     console.log("");
   }
 
   // Show eligible pricing
   console.log("=== PRICING BY PRODUCT + COLOR ===");
-  const sortedKeys = Object.keys(eligibleCombos).sort();
-  if (sortedKeys.length === 0) {
-    console.log("  No product+color combos meet the minimum quantity of 6.");
+  if (plan.combos.length === 0) {
+    console.log(`  No product+color combos meet the minimum quantity of ${MIN_QUANTITY}.`);
     console.log("");
-    return;
+    return false;
   }
-  for (const key of sortedKeys) {
-    const [product, color] = key.split("|");
-    const count = eligibleCombos[key];
-    const tier = tierMap[key];
-    const unitPrice = pricing.products[product]?.[tier] || 0;
-    console.log(`  ${product} (${color}): ${count} pcs @ $${unitPrice.toFixed(2)} [${getTierLabel(tier, pricing.tiers)}]`);
+  for (const { key, count, unitPrice, tierLabel } of plan.combos) {
+    const price = unitPrice === null ? "" : ` @ $${unitPrice.toFixed(2)}`;
+    console.log(`  ${describeTierGroup(key, pricing).label}: ${count} pcs${price} [${tierLabel}]`);
   }
   console.log(`  Embroidery fee: $${pricing.embroideryFee.toFixed(2)} per item`);
   console.log(`  Logo embroidery fee: $${pricing.logoFee.toFixed(2)} per item`);
   console.log(`  Folding fee: $${pricing.foldingFee.toFixed(2)} per item`);
-  console.log(`  Sales tax: ${(pricing.taxRate * 100).toFixed(2)}%`);
+  for (const extra of listExtras(pricing)) {
+    console.log(`  ${extra.description}: $${extra.amount.toFixed(2)} per item${extra.type === "addOn" ? " that picks it" : ""}`);
+  }
+  const tax = getTaxConfig(pricing);
+  console.log(`  Sales tax: ${tax.name} (${tax.jurisdiction}) ${(tax.rate * 100).toFixed(2)}%`);
+  if (tax.exempt.length > 0) console.log(`  Tax-exempt buyers listed: ${tax.exempt.length}`);
+  console.log(`  Processing fee: ${describeProcessingFee(getProcessingFeeConfig(pricing))}`);
+  for (const position of Object.keys(pricing.subsidies || {})) {
+    const rule = getSubsidyRule(position, pricing);
+    const off = rule.type === "percent" ? `${rule.amount}% off` : `$${rule.amount.toFixed(2)} off`;
+    const cap = rule.maxItems ? `, up to ${rule.maxItems} item(s) per person` : "";
+    console.log(`  ${rule.position} subsidy: ${off} each item's price${cap}`);
+  }
+  console.log("");
+
+  const settings = plan.invoice || invoiceSettings;
+  console.log("=== INVOICE SETTINGS ===");
+  console.log(`  Due: ${describeDue(settings)}`);
+  if (settings.memo) console.log(`  Memo: ${settings.memo}`);
+  if (settings.footer) console.log(`  Footer: ${settings.footer}`);
+  for (const field of settings.customFields) {
+    console.log(`  Custom field: ${field.name} = ${field.value}`);
+  }
   console.log("");
+  return true;
+}
+
+function printPlanEntry(entry, out = console) {
+  out.log(`--- ${entry.name} (${entry.email}) ---`);
+
+  if (entry.reason === "invoiced") {
+    out.log(`  Already invoiced (${entry.invoiceId}) — skipping`);
+    return;
+  }
+  if (entry.reason === "no-new-items") {
+    out.log(`  Already invoiced (${entry.invoiceId}) — no new items`);
+    return;
+  }
+  if (entry.reason === "incomplete") {
+    out.log(`  Incomplete draft invoice from a previous run: ${entry.draftIds.join(", ")}`);
+    out.log("  Skipping — re-run with --resume to replace it");
+    return;
+  }
+
+  if (entry.supplementalTo) {
+    out.log(`  Already invoiced (${entry.supplementalTo}) — ${entry.items.length} new item(s) for a supplemental invoice`);
+  }
+
+  for (const item of entry.items || []) {
+    const embNote = item.embroideredName ? ` + $${pricing.embroideryFee} name embroidery` : "";
+    out.log(`  ${item.product} ${item.color} (${item.size}): ${formatCents(item.price)}${embNote} (incl. $${pricing.logoFee} logo + $${pricing.foldingFee} folding)`);
+  }
+
+  if (entry.excludedCount > 0) {
+    out.log(`  (${entry.excludedCount} item(s) excluded — below minimum quantity)`);
+  }
+
+  // Skip if no eligible items
+  if (entry.action !== "create") {
+    out.log("  No eligible items — skipping invoice");
+    return;
+  }
+
+  for (const line of entry.lineItems.filter((l) => l.kind === "discount")) {
+    out.log(`  ${line.description}: -${formatCents(-line.amount)}`);
+  }
+  if (entry.taxExempt) {
+    out.log("  Sales tax: exempt");
+  } else {
+    out.log(`  Sales tax (${(getTaxConfig(pricing).rate * 100).toFixed(2)}%): ${formatCents(entry.tax)} (applied by Stripe)`);
+  }
+  const feeConfig = getProcessingFeeConfig(pricing);
+  if (feeConfig.policy !== "absorb") {
+    out.log(`  Processing fee (${formatProcessingFeeRate(feeConfig)}${feeConfig.grossUp ? ", grossed up" : ""}): ${formatCents(entry.fee)}`);
+  }
+  out.log(`  TOTAL: ${formatCents(entry.total)}`);
+}
+
+/**
+ * Collects console output so concurrent work can print it in one piece
+ * @returns {{log: Function, error: Function, flush: Function}}
+ */
+function createOutputBuffer() {
+  const lines = [];
+  return {
+    log: (message = "") => lines.push(["log", message]),
+    error: (message) => lines.push(["error", message]),
+    flush: () => lines.splice(0).forEach(([level, message]) => console[level](message)),
+  };
+}
+
+/**
+ * Prints a plan and, unless this is a dry run, carries it out. When applying
+ * a saved plan, existingInvoices is the current Stripe index used to re-check
+ * each entry; otherwise it is null.
+ */
+async function executePlan(plan, existingInvoices) {
+  if (!printPricing(plan)) return;
 
   // Get or create Stripe tax rate
   let taxRateId = null;
   if (!dryRun) {
-    taxRateId = await getOrCreateTaxRate(pricing.taxRate);
+    taxRateId = await getOrCreateTaxRate(getTaxConfig(pricing));
+  }
+  if (hasBilling) {
+    await checkCatalog();
     console.log("");
   }
 
   // Process each customer
   let totalRevenue = 0;
   let invoiceCount = 0;
+  let alreadyInvoicedCount = 0;
+  let incompleteCount = 0;
+  let changedSincePlanCount = 0;
+
+  const failed = [];
+
+  // Customers run concurrently; each one's output is buffered and printed
+  // in one piece when it finishes so the log stays readable
+  await mapWithConcurrency(plan.customers, concurrency, async (entry) => {
+    const out = createOutputBuffer();
+    await processPlanEntry(entry, out);
+    out.flush();
+  });
 
-  for (const customer of customers) {
-    console.log(`--- ${customer.name} (${customer.email}) ---`);
-
-    const lineItems = [];
-    let customerTotal = 0;
-    let excludedCount = 0;
+  async function processPlanEntry(entry, out) {
+    printPlanEntry(entry, out);
 
-    for (const item of customer.items) {
-      // Check eligibility
-      const color = normalizeColor(item.color);
-      const comboKey = `${item.product}|${color}`;
-      if (!eligibleCombos[comboKey]) {
-        excludedCount++;
-        continue;
+    if (entry.action !== "create") {
+      if (entry.action === "backfill" && !dryRun) {
+        if (entry.rows.length > 0) {
+          await saveInvoiceIdToSheet(entry.email, entry.invoiceId, entry.rows, out);
+        } else {
+          out.log(`  Warning: none of the rows match the lines of ${entry.invoiceId}; not saving its ID to the sheet`);
+        }
       }
-
-      const result = getItemPrice(item, tierMap, pricing);
-      if (result === null) continue;
-
-      const { price } = result;
-      customerTotal += price;
-      lineItems.push({
-        description: formatItemDescription(item),
-        amount: Math.round(price * 100),
-        currency: pricing.currency,
-        taxable: true,
-      });
-
-      const embNote = item.embroideredName ? ` + $${pricing.embroideryFee} name embroidery` : "";
-      console.log(`  ${item.product} ${item.color} (${item.size}): $${price.toFixed(2)}${embNote} (incl. $${pricing.logoFee} logo + $${pricing.foldingFee} folding)`);
-    }
-
-    if (excludedCount > 0) {
-      console.log(`  (${excludedCount} item(s) excluded — below minimum quantity)`);
+      if (entry.reason === "invoiced" || entry.reason === "no-new-items") alreadyInvoicedCount++;
+      if (entry.reason === "incomplete") incompleteCount++;
+      out.log("");
+      return;
     }
 
-    // Skip if no eligible items
-    if (lineItems.length === 0) {
-      console.log("  No eligible items — skipping invoice");
-      console.log("");
-      continue;
+    let draftIds = entry.draftIds;
+    if (existingInvoices) {
+      const check = checkPlanEntry(entry, existingInvoices[entry.email] || [], plan.id);
+      if (check.action === "skip") {
+        out.log(check.reason === "already-applied"
+          ? "  Already applied from this plan — skipping"
+          : "  Invoiced by another run since the plan was made — skipping");
+        if (check.reason === "already-applied") alreadyInvoicedCount++;
+        else changedSincePlanCount++;
+        out.log("");
+        return;
+      }
+      draftIds = check.draftIds;
     }
 
-    // Tax is handled by Stripe via tax_rates on line items
-    const tax = calculateTax(customerTotal, pricing.taxRate);
-    console.log(`  Sales tax (${(pricing.taxRate * 100).toFixed(2)}%): $${tax.toFixed(2)} (applied by Stripe)`);
-
-    // Add Stripe processing fee (on subtotal + tax)
-    const stripeFee = calculateStripeFee(customerTotal + tax);
-    const orderTotal = customerTotal + tax + stripeFee;
-
-    lineItems.push({
-      description: "Payment processing fee (2.9% + $0.30)",
-      amount: Math.round(stripeFee * 100),
-      currency: pricing.currency,
-      taxable: false,
-    });
-
-    console.log(`  Processing fee (2.9% + $0.30): $${stripeFee.toFixed(2)}`);
-    console.log(`  TOTAL: $${orderTotal.toFixed(2)}`);
-    totalRevenue += orderTotal;
-
     if (dryRun) {
-      console.log("  [DRY RUN] Would create invoice");
+      totalRevenue += entry.total;
+      if (draftIds.length > 0) {
+        out.log(`  ${previewTag} Would delete incomplete draft(s): ${draftIds.join(", ")}`);
+      }
+      out.log(`  ${previewTag} Would create invoice`);
       invoiceCount++;
-      console.log("");
-      continue;
+      out.log("");
+      return;
     }
 
     try {
-      const invoice = await createInvoice(customer, lineItems, taxRateId);
+      if (draftIds.length > 0) {
+        await deleteDraftInvoices(draftIds, out);
+      }
+      const metadata = existingInvoices ? { plan: plan.id } : {};
+      const invoice = await createInvoice(entry, entry.lineItems, taxRateId, { metadata }, out);
+      totalRevenue += entry.total;
       invoiceCount++;
 
-      // Save invoice ID back to the Google Sheet
-      await saveInvoiceIdToSheet(customer.email, invoice.id);
+      // Save invoice ID back to the Google Sheet, only on the rows it covers
+      await saveInvoiceIdToSheet(entry.email, invoice.id, entry.items.map((item) => item.row), out);
     } catch (err) {
-      console.error(`  ERROR: ${err.message}`);
+      out.error(`  ERROR: ${err.message}`);
+      failed.push({ name: entry.name, email: entry.email, error: err.message });
     }
 
-    console.log("");
+    out.log("");
   }
 
   // Summary
   console.log("=== SUMMARY ===");
-  console.log(`Product+color combos: ${Object.keys(eligibleCombos).length} eligible, ${Object.keys(excludedCombos).length} excluded`);
-  console.log(`Total items: ${rows.length}`);
+  const { by } = getTierGrouping(pricing);
+  const groups = by === "product+color" ? "Product+color combos" : `Tier groups (by ${by})`;
+  console.log(`${groups}: ${plan.combos.length} eligible, ${plan.excluded.length} excluded`);
+  console.log(`Total items: ${plan.rowCount}`);
   console.log(`Invoices ${dryRun ? "to create" : "created"}: ${invoiceCount}`);
-  console.log(`Total revenue: $${totalRevenue.toFixed(2)}`);
+  console.log(`Already invoiced (skipped): ${alreadyInvoicedCount}`);
+  if (incompleteCount > 0) {
+    console.log(`Incomplete drafts (skipped): ${incompleteCount} — re-run with --resume to replace them`);
+  }
+  if (changedSincePlanCount > 0) {
+    console.log(`Invoiced since the plan was made (skipped): ${changedSincePlanCount}`);
+  }
+  console.log(`Total revenue: ${formatCents(totalRevenue)}`);
 
   if (!dryRun && !autoSend) {
     console.log("");
     console.log("Invoices created as drafts. Review them in the Stripe dashboard,");
     console.log("then send manually or re-run with --send to auto-send.");
   }
+
+  printTotalMismatches();
+
+  if (failed.length > 0) {
+    console.log("");
+    console.log(`=== FAILED (${failed.length}) ===`);
+    for (const f of failed) {
+      console.log(`  ${f.name} <${f.email}>: ${f.error}`);
+    }
+    console.log("");
+    console.log("Everyone else is invoiced, so re-running retries just these customers.");
+    console.log("Add --resume to replace any drafts they were left with.");
+    if (journal) {
+      journal.failed = failed;
+      saveJournal(journal);
+    }
+    process.exitCode = 1;
+  }
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+
+async function main() {
+  if (command === "reprice") return reprice();
+  if (command === "rollback") return rollback(commandArg);
+  if (command === "plan") return writePlan(commandArg || "plan.json");
+  if (command === "apply") return applyPlan(commandArg);
+  if (command === "catalog") return syncCatalog(commandArg);
+  if (command === "pricing") return syncEmbeddedPricing(commandArg);
+  if (command === "department") return departmentBilling(commandArg);
+  if (command === "validate") return validateOrders();
+  if (command === "duplicates") return listDuplicates();
+  if (command === "po") return writePurchaseOrder(commandArg || "purchase-order");
+  if (command === "packing") return writePackingSlips(commandArg || "packing-slips");
+  return generateInvoices();
+}
+
+async function generateInvoices() {
+  if (!dryRun) requireFutureDueDate(invoiceSettings);
+  console.log(dryRun ? "=== DRY RUN MODE ===" : "=== INVOICE GENERATION ===");
+  console.log(`Mode: ${autoSend ? "Create and SEND" : "Create as DRAFTS"}`);
+  console.log("");
+
+  // Load orders
+  const rows = await loadOrders();
+  if (!checkOrders(rows)) return;
+  const customers = groupByEmail(rows, campaign.merges);
+  console.log(`Found ${customers.length} unique customers`);
+  const duplicates = findDuplicates(customers);
+  if (duplicates.length > 0) {
+    console.log(`Possible duplicate customers: ${duplicates.length} — review with: node invoice.js duplicates`);
+  }
+  startJournal(rows);
+
+  const plan = await computePlan(rows, customers);
+  console.log("");
+
+  if (format) {
+    const report = buildReport(plan, pricing);
+    process.stdout.write(format === "csv" ? formatReportCSV(report) : JSON.stringify(report, null, 2) + "\n");
+    return;
+  }
+
+  await executePlan(plan, null);
+}
+
+async function writePlan(planFile) {
+  requireFutureDueDate(invoiceSettings);
+  console.log("=== PLAN ===");
+  console.log("");
+
+  const rows = await loadOrders();
+  if (!checkOrders(rows)) return;
+  const customers = groupByEmail(rows, campaign.merges);
+  console.log(`Found ${customers.length} unique customers`);
+
+  const plan = await computePlan(rows, customers);
+  console.log("");
+
+  await executePlan(plan, null);
+
+  fs.writeFileSync(planFile, JSON.stringify(plan, null, 2) + "\n");
+  console.log("");
+  console.log(`Plan written to ${planFile}. Once it is approved, run:`);
+  console.log(`  node invoice.js apply ${planFile}${csvFile ? ` ${csvFile}` : ""}`);
+}
+
+async function applyPlan(planFile) {
+  if (!planFile) {
+    throw new Error("Usage: node invoice.js apply <plan.json> [--dry-run] [--send]");
+  }
+
+  const plan = JSON.parse(fs.readFileSync(planFile, "utf-8"));
+  console.log(dryRun ? "=== APPLY PLAN (DRY RUN) ===" : "=== APPLY PLAN ===");
+  console.log(`Plan: ${planFile} (made ${plan.createdAt})`);
+  console.log(`Mode: ${autoSend ? "Create and SEND" : "Create as DRAFTS"}`);
+  console.log("");
+
+  // Refuse to bill from a plan that no longer matches its inputs
+  const rows = await loadOrders();
+  if (!checkOrders(rows)) return;
+  const problems = verifyPlan(plan, rows, pricing, campaign.id);
+  if (problems.length > 0) {
+    console.error("");
+    console.error("Error: Plan is out of date:");
+    for (const problem of problems) console.error(`  - ${problem}`);
+    console.error("Make a new plan with: node invoice.js plan");
+    process.exit(1);
+  }
+  startJournal(rows);
+
+  // Plans made before invoice settings existed fall back to the current config
+  if (plan.invoice) invoiceSettings = plan.invoice;
+  if (!dryRun) requireFutureDueDate(invoiceSettings);
+
+  const existingInvoices = await fetchExistingInvoices();
+  console.log("");
+
+  await executePlan(plan, existingInvoices);
 }
 
 main().catch((err) => {
@@ -6,19 +6,100 @@
 const {
   GRAY_COLORS,
   normalizeColor,
+  getTierGrouping,
+  tierGroupKey,
+  describeTierGroup,
   countByProductColor,
   getPricingTier,
   getTierLabel,
   buildTierMap,
   getItemPrice,
+  getSubsidyRule,
+  calculateSubsidy,
+  getTaxConfig,
+  isTaxExempt,
   groupByEmail,
   filterByMinimum,
   calculateTax,
+  calculateLineTax,
+  calculateInvoiceTotal,
   calculateStripeFee,
+  getProcessingFeeConfig,
+  calculateProcessingFee,
   formatItemDescription,
+  buildLineItems,
+  listExtras,
+  parseAddOns,
+  PROCESSING_FEE_DESCRIPTION,
 } = require("./lib/pricing");
 
-const { parseCSV, parseCSVLine } = require("./lib/csv");
+// Pricing with a size and a color surcharge and one add-on
+const extrasPricing = {
+  surcharges: { sizes: { XXL: 2.5 }, colors: { "Birch White": 1.5 } },
+  addOns: { "Sleeve logo": { price: 12, description: "Second logo placement (left sleeve)" }, "Gift box": { price: 4 } },
+};
+
+const { parseCSV, parseCSVLine, formatCSVField, formatCSV } = require("./lib/csv");
+const { indexInvoicesByEmail, getInvoiceStatus, findUninvoicedItems } = require("./lib/invoices");
+const { diffInvoice } = require("./lib/reprice");
+const {
+  hashRows,
+  createRunId,
+  createJournal,
+  recordCreated,
+  loadJournal,
+  listRuns,
+  getRollbackTargets,
+} = require("./lib/journal");
+const { hashPricing, planCustomer, createPlan, verifyPlan, checkPlanEntry } = require("./lib/plan");
+const { createBillingProvider, createFakeProvider, createRetryingProvider } = require("./lib/billing");
+const { isRetryableError, getRetryDelay, withRetry } = require("./lib/billing/retry");
+const { mapWithConcurrency } = require("./lib/concurrency");
+const { buildDepartmentStatement, formatStatementCSV, buildDepartmentInvoiceLines } = require("./lib/department");
+const { validateRow, validateRows, checkProductOptions } = require("./lib/validate");
+const { buildPurchaseOrder, formatPurchaseOrderCSV, formatPurchaseOrderHTML } = require("./lib/po");
+const { buildPackingSlips, formatPackingSlipsHTML } = require("./lib/packing");
+const { buildEmbeddedPricing, formatBlock, replaceBlock, readBlock, diffEmbedded } = require("./lib/embed");
+const { stylesFor, colorsFor, buildFormCatalog } = require("./lib/products");
+const {
+  normalizeName,
+  normalizePhone,
+  isOneEditAway,
+  isLikelyTypo,
+  findDuplicates,
+  checkMerges,
+  resolveEmail,
+} = require("./lib/identity");
+const { buildReport, formatReportCSV } = require("./lib/report");
+const {
+  buildCatalog,
+  diffCatalog,
+  resolveCatalog,
+  buildInvoiceItemParams,
+  catalogLookupKeys,
+} = require("./lib/catalog");
+const {
+  listCampaigns,
+  resolveCampaignId,
+  loadCampaign,
+  campaignMetadata,
+  addCustomerCampaign,
+} = require("./lib/campaigns");
+const {
+  resolveInvoiceSettings,
+  checkDueDate,
+  formatOrderDate,
+  fillPlaceholders,
+  buildInvoicePresentation,
+} = require("./lib/presentation");
+
+const { execFile, execFileSync } = require("child_process");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { promisify } = require("util");
+const vm = require("vm");
 
 // Mock pricing config (matches pricing.json)
 const pricing = {
@@ -36,6 +117,8 @@ const pricing = {
   embroideryFee: 8.0,
   logoFee: 10.0,
   foldingFee: 0.75,
+  tierGrouping: { by: "product+color", colorAliases: { "Birch White": "Gray", "Stonewash": "Gray" } },
+  taxRate: 0.0725,
   currency: "usd",
 };
 
@@ -109,6 +192,62 @@ describe("countByProductColor", () => {
   });
 });
 
+describe("tier grouping", () => {
+  const rows = [
+    { Product: "Better Sweater Jacket", Color: "Black", Logo: "Option 1" },
+    { Product: "Better Sweater Jacket", Color: "Stonewash", Logo: "Option 2" },
+    { Product: "Better Sweater Vest", Color: "Birch White", Logo: "Option 1" },
+  ];
+  const grouped = (tierGrouping) => ({ ...pricing, tierGrouping });
+
+  it("pools every color of a product", () => {
+    expect(countByProductColor(rows, grouped({ by: "product" }))).toEqual({ "Better Sweater Jacket": 2, "Better Sweater Vest": 1 });
+  });
+
+  it("pools every product with the same logo", () => {
+    const byLogo = grouped({ by: "logo" });
+    const tierMap = { "logo|Option 1": "18" };
+
+    expect(countByProductColor(rows, byLogo)).toEqual({ "logo|Option 1": 2, "logo|Option 2": 1 });
+    // Each item is still priced as its own product, at its group's tier
+    expect(getItemPrice({ product: "Better Sweater Vest", color: "Black", logo: "Option 1" }, tierMap, byLogo)).toMatchObject({ tierKey: "18", price: 13128 + 1000 + 75 });
+  });
+
+  it("counts colors through the aliases in pricing.json only", () => {
+    const aliased = grouped({ colorAliases: { Stonewash: "Heather" } });
+
+    expect(countByProductColor(rows, aliased)).toEqual({
+      "Better Sweater Jacket|Black": 1,
+      "Better Sweater Jacket|Heather": 1,
+      "Better Sweater Vest|Birch White": 1,
+    });
+    expect(tierGroupKey({ product: "Better Sweater Vest", color: "Birch White" }, grouped({ by: "product+color" }))).toBe("Better Sweater Vest|Birch White");
+  });
+
+  it("keeps pooling the heather grays for pricing files without tierGrouping", () => {
+    const legacy = { ...pricing, tierGrouping: undefined };
+
+    expect(getTierGrouping(legacy)).toEqual({ by: "product+color", colorAliases: { "Birch White": "Gray", "Stonewash": "Gray" } });
+    expect(countByProductColor(rows, legacy)).toEqual({
+      "Better Sweater Jacket|Black": 1,
+      "Better Sweater Jacket|Gray": 1,
+      "Better Sweater Vest|Gray": 1,
+    });
+    expect(normalizeColor("Stonewash")).toBe("Gray");
+    expect(buildEmbeddedPricing(legacy, 6).tierGrouping).toEqual(getTierGrouping(legacy));
+  });
+
+  it("names each group", () => {
+    expect(describeTierGroup("Better Sweater Jacket|Gray", pricing)).toEqual({ product: "Better Sweater Jacket", color: "Gray", label: "Better Sweater Jacket (Gray)" });
+    expect(describeTierGroup("Better Sweater Vest", grouped({ by: "product" })).label).toBe("Better Sweater Vest (all colors)");
+    expect(describeTierGroup("logo|Option 1", grouped({ by: "logo" }))).toEqual({ logo: "Option 1", label: "Logo Option 1 (all products)" });
+  });
+
+  it("rejects an unknown grouping", () => {
+    expect(() => countByProductColor(rows, grouped({ by: "size" }))).toThrow('Unknown tierGrouping.by "size"');
+  });
+});
+
 describe("filterByMinimum", () => {
   it("separates combos by minimum threshold", () => {
     const counts = {
@@ -217,7 +356,7 @@ describe("getItemPrice", () => {
 
     const result = getItemPrice(item, tierMap, pricing);
 
-    expect(result.price).toBe(173.58 + 10.0 + 0.75);
+    expect(result.price).toBe(17358 + 1000 + 75);
     expect(result.tierKey).toBe("18");
   });
 
@@ -227,7 +366,7 @@ describe("getItemPrice", () => {
 
     const result = getItemPrice(item, tierMap, pricing);
 
-    expect(result.price).toBe(173.58 + 8.0 + 10.0 + 0.75);
+    expect(result.price).toBe(17358 + 800 + 1000 + 75);
     expect(result.tierKey).toBe("18");
   });
 
@@ -237,10 +376,21 @@ describe("getItemPrice", () => {
 
     const result = getItemPrice(item, tierMap, pricing);
 
-    expect(result.price).toBe(162.68 + 10.0 + 0.75);
+    expect(result.price).toBe(16268 + 1000 + 75);
     expect(result.tierKey).toBe("50");
   });
 
+  it("adds size and color surcharges and the add-ons the item picks", () => {
+    const tierMap = { "Better Sweater Jacket|Gray": "6" };
+    const item = { product: "Better Sweater Jacket", size: "XXL", color: "Birch White", embroideredName: "", addOns: ["Gift box"] };
+
+    const result = getItemPrice(item, tierMap, { ...pricing, ...extrasPricing });
+
+    expect(result.price).toBe(17500 + 1000 + 75 + 250 + 150 + 400);
+    expect(result.extras.map((extra) => extra.key)).toEqual(["surcharge:size:XXL", "surcharge:color:Birch White", "addon:Gift box"]);
+    expect(getItemPrice({ ...item, size: "L", color: "Black", addOns: [] }, tierMap, { ...pricing, ...extrasPricing }).extras).toEqual([]);
+  });
+
   it("returns null for unknown product", () => {
     const tierMap = { "Unknown Product|Black": "6" };
     const item = { product: "Unknown Product", color: "Black", embroideredName: "" };
@@ -256,30 +406,318 @@ describe("getItemPrice", () => {
 
     const result = getItemPrice(item, tierMap, pricing);
 
-    expect(result.price).toBe(132.88 + 10.0 + 0.75);
+    expect(result.price).toBe(13288 + 1000 + 75);
     expect(result.tierKey).toBe("6");
   });
 });
 
 describe("calculateTax", () => {
-  it("calculates tax at given rate", () => {
-    expect(calculateTax(100, 0.0725)).toBeCloseTo(7.25, 2);
-    expect(calculateTax(200, 0.0725)).toBeCloseTo(14.50, 2);
-    expect(calculateTax(0, 0.0725)).toBeCloseTo(0, 2);
+  it("calculates tax at given rate, in cents", () => {
+    expect(calculateTax([{ amount: 10000, taxable: true }], 0.0725)).toBe(725);
+    expect(calculateTax([{ amount: 20000, taxable: true }], 0.0725)).toBe(1450);
+    expect(calculateTax([{ amount: 0, taxable: true }], 0.0725)).toBe(0);
+    expect(calculateTax([{ amount: 10000, taxable: false }], 0.0725)).toBe(0);
+  });
+});
+
+describe("calculateLineTax and calculateInvoiceTotal", () => {
+  it("rounds tax to the cent on each line", () => {
+    expect(calculateLineTax(17500, 0.0725)).toBe(1269);
+    expect(calculateLineTax(150, 0.0725)).toBe(11);
+    expect(calculateLineTax(-8750, 0.0725)).toBe(-634);
+  });
+
+  it("totals the lines and the tax on taxable ones", () => {
+    const lines = [
+      { amount: 17500, taxable: true },
+      { amount: 17500, taxable: true },
+      { amount: 330, taxable: false },
+    ];
+
+    expect(calculateInvoiceTotal(lines, 0.0725)).toEqual({ subtotal: 35330, tax: 2538, total: 37868 });
+    // 2 × $0.07, where 7.25% of the $2.00 subtotal would round to $0.15
+    expect(calculateInvoiceTotal([{ amount: 100, taxable: true }, { amount: 100, taxable: true }], 0.0725).tax).toBe(14);
   });
 });
 
 describe("calculateStripeFee", () => {
   it("calculates 2.9% + $0.30", () => {
-    expect(calculateStripeFee(100)).toBeCloseTo(3.20, 2);
-    expect(calculateStripeFee(200)).toBeCloseTo(6.10, 2);
-    expect(calculateStripeFee(0)).toBeCloseTo(0.30, 2);
+    expect(calculateStripeFee(10000)).toBe(320);
+    expect(calculateStripeFee(20000)).toBe(610);
+    expect(calculateStripeFee(0)).toBe(30);
+  });
+});
+
+describe("processing fee policies", () => {
+  const policy = (processingFee) => getProcessingFeeConfig({ processingFee });
+
+  it("passes the card fee through when no policy is set", () => {
+    expect(getProcessingFeeConfig({})).toEqual({ policy: "pass-through", percent: 0.029, fixed: 0.30, max: null, grossUp: false });
+    expect(calculateProcessingFee(10000, getProcessingFeeConfig({}))).toBe(320);
+  });
+
+  it("grosses up so the amount is left after the processor's cut of the whole payment", () => {
+    const config = policy({ policy: "gross-up" });
+    const fee = calculateProcessingFee(10000, config);
+
+    expect(fee).toBe(330);
+    expect((10000 + fee) - Math.round((10000 + fee) * 0.029 + 30)).toBeGreaterThanOrEqual(10000);
+  });
+
+  it("uses ACH rates, capped per payment", () => {
+    const config = policy({ policy: "ach" });
+
+    expect(calculateProcessingFee(10000, config)).toBe(81);
+    expect(calculateProcessingFee(200000, config)).toBe(500);
+    expect(calculateProcessingFee(200000, policy({ policy: "ach", max: 10 }))).toBe(1000);
+  });
+
+  it("charges nothing when the fee is absorbed", () => {
+    expect(calculateProcessingFee(10000, policy({ policy: "absorb", percent: 0.05 }))).toBe(0);
+  });
+
+  it("rejects unknown policies and bad rates", () => {
+    expect(() => policy({ policy: "split" })).toThrow('Unknown processing fee policy "split"');
+    expect(() => policy({ policy: "gross-up", percent: 2.9 })).toThrow("Processing fee settings need a percent from 0 to 1");
+  });
+});
+
+describe("buildLineItems", () => {
+  const jacket = { product: "Better Sweater Jacket", style: "Mens", size: "L", color: "Black", logo: "Option 1", embroideredName: "" };
+
+  it("builds item lines, one line per fee and a processing fee line", () => {
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+    const embroidered = { ...jacket, embroideredName: "Dr. Doe", threadColor: "White" };
+
+    const result = buildLineItems([jacket, embroidered], eligible, tierMap, pricing);
+
+    expect(result.lineItems.map((l) => l.kind)).toEqual(["item", "item", "fee", "fee", "fee", "processing-fee"]);
+    expect(result.lineItems[0]).toEqual({
+      kind: "item",
+      description: formatItemDescription(jacket),
+      amount: 17500,
+      unitAmount: 17500,
+      quantity: 1,
+      currency: "usd",
+      taxable: true,
+      priceKey: "Better Sweater Jacket|6",
+    });
+    expect(result.lineItems.slice(2, 5).map(({ priceKey, quantity, amount }) => ({ priceKey, quantity, amount }))).toEqual([
+      { priceKey: "fee:embroidery", quantity: 1, amount: 800 },
+      { priceKey: "fee:logo", quantity: 2, amount: 2000 },
+      { priceKey: "fee:folding", quantity: 2, amount: 150 },
+    ]);
+    expect(result.lineItems[5].description).toBe(PROCESSING_FEE_DESCRIPTION);
+    expect(result.lineItems[5].taxable).toBe(false);
+    expect(result.lineItems.slice(0, 5).reduce((sum, l) => sum + l.amount, 0)).toBe(37950);
+    expect(result.subtotal).toBe(37950);
+    // Tax on each line, rounded to the cent: 12.69 + 12.69 + 0.58 + 1.45 + 0.11
+    expect(result.tax).toBe(2752);
+    expect(result.fee).toBe(1210);
+    expect(result.total).toBe(41912);
+  });
+
+  it("folds fees into item lines without itemizeFees", () => {
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+
+    const result = buildLineItems([jacket], eligible, tierMap, pricing, { itemizeFees: false });
+
+    expect(result.lineItems).toHaveLength(2);
+    expect(result.lineItems[0]).toMatchObject({ kind: "item", amount: 18575 });
+    expect(result.lineItems[0]).not.toHaveProperty("priceKey");
+  });
+
+  it("bills each surcharge and add-on on its own line", () => {
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+    const [customer] = groupByEmail([
+      { Email: "a@test.com", Product: "Better Sweater Jacket", Style: "Mens", Size: "XXL", Color: "Black", Logo: "Option 1", "Add-ons": "Sleeve logo, Gift box" },
+      { Email: "a@test.com", Product: "Better Sweater Jacket", Style: "Mens", Size: "XXL", Color: "Black", Logo: "Option 1", "Add-ons": "Sleeve logo" },
+    ]);
+
+    const result = buildLineItems(customer.items, eligible, tierMap, { ...pricing, ...extrasPricing });
+
+    expect(result.lineItems[0].description).toBe("Better Sweater Jacket - Mens XXL (Black)\nLogo: Option 1\nAdd-ons: Sleeve logo, Gift box");
+    expect(result.lineItems.slice(4, 7).map(({ description, priceKey, quantity, amount }) => ({ description, priceKey, quantity, amount }))).toEqual([
+      { description: "Size XXL surcharge", priceKey: "surcharge:size:XXL", quantity: 2, amount: 500 },
+      { description: "Second logo placement (left sleeve)", priceKey: "addon:Sleeve logo", quantity: 2, amount: 2400 },
+      { description: "Gift box", priceKey: "addon:Gift box", quantity: 1, amount: 400 },
+    ]);
+
+    const folded = buildLineItems(customer.items, eligible, tierMap, { ...pricing, ...extrasPricing }, { itemizeFees: false });
+    expect(folded.lineItems.slice(0, 2).map((l) => l.amount)).toEqual([17500 + 1000 + 75 + 250 + 1200 + 400, 17500 + 1000 + 75 + 250 + 1200]);
+    expect(folded.subtotal).toBe(result.subtotal);
+  });
+
+  it("reads add-ons from a comma-separated column", () => {
+    expect(parseAddOns(" Sleeve logo,Gift box , ")).toEqual(["Sleeve logo", "Gift box"]);
+    expect(parseAddOns(undefined)).toEqual([]);
+    expect(listExtras(pricing)).toEqual([]);
+  });
+
+  it("skips fee lines for zero fees", () => {
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+
+    const result = buildLineItems([jacket], eligible, tierMap, { ...pricing, foldingFee: 0 });
+
+    expect(result.lineItems.map((l) => l.priceKey)).toEqual(["Better Sweater Jacket|6", "fee:logo", undefined]);
+  });
+
+  it("bills the processing fee by the fee policy", () => {
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+
+    const absorbed = buildLineItems([jacket], eligible, tierMap, { ...pricing, processingFee: { policy: "absorb" } });
+    const ach = buildLineItems([jacket], eligible, tierMap, { ...pricing, processingFee: { policy: "ach" } });
+
+    expect(absorbed.lineItems.some((l) => l.kind === "processing-fee")).toBe(false);
+    expect(absorbed.fee).toBe(0);
+    expect(absorbed.total).toBe(absorbed.subtotal + absorbed.tax);
+    expect(ach.lineItems.at(-1)).toMatchObject({ kind: "processing-fee", description: "Payment processing fee (0.8%, max $5.00)" });
+  });
+
+  it("leaves out items in ineligible combos", () => {
+    const navy = { ...jacket, color: "New Navy" };
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+
+    const result = buildLineItems([jacket, navy], eligible, tierMap, pricing);
+
+    expect(result.priced.map((p) => p.item)).toEqual([jacket]);
+    expect(result.excludedCount).toBe(1);
+  });
+
+  it("returns no lines and no fee when nothing is eligible", () => {
+    const result = buildLineItems([jacket], {}, {}, pricing);
+
+    expect(result.lineItems).toEqual([]);
+    expect(result.total).toBe(0);
+  });
+
+  it("subsidizes items for the customer's position on a discount line", () => {
+    const subsidized = { ...pricing, subsidies: { Resident: { type: "percent", amount: 50, maxItems: 1 } } };
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+
+    const result = buildLineItems([jacket, jacket], eligible, tierMap, subsidized, { position: "resident" });
+    const discount = result.lineItems.find((l) => l.kind === "discount");
+
+    expect(result.lineItems.map((l) => l.kind)).toEqual(["item", "item", "fee", "fee", "discount", "processing-fee"]);
+    expect(discount).toMatchObject({ description: "Resident subsidy (50% off 1 item)", amount: -8750, taxable: true });
+    expect(result.discount).toBe(8750);
+    expect(result.subtotal).toBe(35000 + 2000 + 150 - 8750);
+    // The discount line carries its own (negative) tax: 12.69 + 12.69 + 1.45 + 0.11 - 6.34
+    expect(result.tax).toBe(2060);
+  });
+
+  it("counts items subsidized on earlier invoices against the cap", () => {
+    const subsidized = { ...pricing, subsidies: { Resident: { type: "flat", amount: 40, maxItems: 2 } } };
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+
+    const partly = buildLineItems([jacket, jacket], eligible, tierMap, subsidized, { position: "Resident", subsidizedBefore: 1 });
+    const used = buildLineItems([jacket], eligible, tierMap, subsidized, { position: "Resident", subsidizedBefore: 2 });
+    const other = buildLineItems([jacket], eligible, tierMap, subsidized, { position: "Attending" });
+
+    expect(partly.lineItems.find((l) => l.kind === "discount")).toMatchObject({ description: "Resident subsidy ($40.00 off 1 item)", amount: -4000 });
+    expect(used.discount).toBe(0);
+    expect(other.lineItems.some((l) => l.kind === "discount")).toBe(false);
+  });
+});
+
+describe("tax settings", () => {
+  const taxed = { ...pricing, tax: { name: "Durham Sales Tax", jurisdiction: "NC-Durham", rate: 0.075, exempt: ["Buyer@Hospital.org"] } };
+  const jacket = { product: "Better Sweater Jacket", style: "Mens", size: "L", color: "Black", logo: "Option 1", embroideredName: "" };
+
+  it("reads the tax section, or the old top-level taxRate as NC sales tax", () => {
+    expect(getTaxConfig(taxed)).toEqual({ name: "Durham Sales Tax", jurisdiction: "NC-Durham", rate: 0.075, exempt: ["buyer@hospital.org"] });
+    expect(getTaxConfig(pricing)).toEqual({ name: "NC Sales Tax", jurisdiction: "NC", rate: 0.0725, exempt: [] });
+    expect(() => getTaxConfig({ tax: { rate: 0.05 } })).toThrow("Tax settings need a name, a jurisdiction and a rate");
+  });
+
+  it("exempts customers marked on the sheet or listed by email", () => {
+    expect(isTaxExempt({ email: "buyer@hospital.org" }, taxed)).toBe(true);
+    expect(isTaxExempt({ email: "john@test.com", taxExempt: true }, taxed)).toBe(true);
+    expect(isTaxExempt({ email: "john@test.com", taxExempt: false }, taxed)).toBe(false);
+  });
+
+  it("bills exempt customers without taxable lines or tax", () => {
+    const eligible = { "Better Sweater Jacket|Black": 10 };
+    const tierMap = { "Better Sweater Jacket|Black": "6" };
+
+    const exempt = buildLineItems([jacket], eligible, tierMap, taxed, { taxExempt: true });
+    const taxable = buildLineItems([jacket], eligible, tierMap, taxed);
+
+    expect(exempt.lineItems.some((l) => l.taxable)).toBe(false);
+    expect(exempt.tax).toBe(0);
+    expect(exempt.subtotal).toBe(taxable.subtotal);
+    expect(taxable.tax).toBe(1394);
+  });
+});
+
+describe("getSubsidyRule and calculateSubsidy", () => {
+  const subsidized = {
+    ...pricing,
+    subsidies: {
+      Fellow: { type: "flat", amount: 200, description: "Department gift" },
+      Nurse: { type: "amount", amount: 10 },
+    },
+  };
+
+  it("matches positions case-insensitively", () => {
+    expect(getSubsidyRule(" fellow ", subsidized)).toEqual({ position: "Fellow", type: "flat", amount: 200, description: "Department gift" });
+    expect(getSubsidyRule("Attending", subsidized)).toBeNull();
+    expect(getSubsidyRule("", subsidized)).toBeNull();
+    expect(getSubsidyRule("Fellow", pricing)).toBeNull();
+  });
+
+  it("rejects unknown rule types", () => {
+    expect(() => getSubsidyRule("Nurse", subsidized)).toThrow('Subsidy for Nurse: type must be "percent" or "flat"');
+  });
+
+  it("never discounts more than the item's price", () => {
+    expect(calculateSubsidy(17500, { type: "percent", amount: 20 })).toBe(3500);
+    expect(calculateSubsidy(17500, { type: "flat", amount: 40 })).toBe(4000);
+    expect(calculateSubsidy(17500, { type: "flat", amount: 200 })).toBe(17500);
+  });
+
+  it("rounds a percent subsidy that lands on a half cent up, as cents", () => {
+    // 15% of $107.90 is $16.185; in float dollars 16.185 * 100 rounds down to 1618
+    expect(calculateSubsidy(10790, { type: "percent", amount: 15 })).toBe(1619);
   });
 });
 
 // ─── Customer Grouping Tests ─────────────────────────────────────────────────
 
 describe("groupByEmail", () => {
+  it("combines rows under merged emails, with details from the billed email's rows", () => {
+    const rows = [
+      { Email: "JDoe@gmial.com", Name: "Jon Doe", Phone: "", Position: "Resident", Product: "Jacket", _row: 2 },
+      { Email: "jane@test.com", Name: "Jane Roe", Product: "Vest", _row: 3 },
+      { Email: "jdoe@gmail.com", Name: "John Doe", Phone: "555-1234", Position: "Resident", Product: "Vest", _row: 4 },
+    ];
+
+    const customers = groupByEmail(rows, { "jdoe@gmial.com": "jdoe@gmail.com" });
+
+    expect(customers.map((c) => c.email)).toEqual(["jdoe@gmail.com", "jane@test.com"]);
+    expect(customers[0]).toMatchObject({ name: "John Doe", phone: "555-1234", aliases: ["jdoe@gmial.com"] });
+    expect(customers[0].items.map((item) => item.row)).toEqual([2, 4]);
+    expect(customers[1].aliases).toEqual([]);
+  });
+
+  it("marks customers tax exempt from any of their rows", () => {
+    const rows = [
+      { Email: "john@test.com", Product: "Jacket", "Tax Exempt": "" },
+      { Email: "john@test.com", Product: "Vest", "Tax Exempt": " yes " },
+      { Email: "jane@test.com", Product: "Vest", "Tax Exempt": "no" },
+    ];
+
+    expect(groupByEmail(rows).map((c) => c.taxExempt)).toEqual([true, false]);
+  });
+
   it("groups multiple items under same email", () => {
     const rows = [
       { Email: "john@test.com", Name: "John", Phone: "555-1234", Product: "Jacket", Style: "Mens", Size: "L", Color: "Black", Logo: "A", "Embroidered Name": "", "Thread Color": "" },
@@ -326,147 +764,2278 @@ describe("groupByEmail", () => {
 
     expect(grouped).toHaveLength(1);
   });
-});
 
-// ─── CSV Parser Tests ────────────────────────────────────────────────────────
+  it("carries the Invoice ID column onto items", () => {
+    const rows = [
+      { Email: "john@test.com", Name: "John", Phone: "555-1234", Product: "Jacket", Style: "Mens", Size: "L", Color: "Black", Logo: "A", "Embroidered Name": "", "Thread Color": "", "Invoice ID": "in_123" },
+      { Email: "john@test.com", Name: "John", Phone: "555-1234", Product: "Vest", Style: "Mens", Size: "M", Color: "Navy", Logo: "B", "Embroidered Name": "", "Thread Color": "" },
+    ];
 
-describe("parseCSVLine", () => {
-  it("parses simple comma-separated values", () => {
-    const result = parseCSVLine("a,b,c");
-    expect(result).toEqual(["a", "b", "c"]);
-  });
+    const grouped = groupByEmail(rows);
 
-  it("handles quoted fields with commas", () => {
-    const result = parseCSVLine('a,"b,c",d');
-    expect(result).toEqual(["a", "b,c", "d"]);
+    expect(grouped[0].items[0].invoiceId).toBe("in_123");
+    expect(grouped[0].items[1].invoiceId).toBe("");
   });
 
-  it("handles empty fields", () => {
-    const result = parseCSVLine("a,,c");
-    expect(result).toEqual(["a", "", "c"]);
+  it("carries the sheet row number onto items", () => {
+    const rows = [
+      { Email: "john@test.com", Name: "John", Phone: "555-1234", Product: "Jacket", Style: "Mens", Size: "L", Color: "Black", Logo: "A", _row: 7 },
+    ];
+
+    expect(groupByEmail(rows)[0].items[0].row).toBe(7);
   });
 });
 
-describe("parseCSV", () => {
-  it("parses CSV content into objects", () => {
-    const csv = "Name,Email\nJohn,john@test.com\nJane,jane@test.com";
-    const result = parseCSV(csv);
+// ─── Customer Identity Tests ─────────────────────────────────────────────────
 
-    expect(result).toHaveLength(2);
-    expect(result[0]).toEqual({ Name: "John", Email: "john@test.com" });
-    expect(result[1]).toEqual({ Name: "Jane", Email: "jane@test.com" });
+describe("normalizeName and normalizePhone", () => {
+  it("drops case, punctuation, titles and credentials from names", () => {
+    expect(normalizeName("Dr. John Doe, MD")).toBe("john doe");
+    expect(normalizeName("  JOHN   doe ")).toBe("john doe");
+    expect(normalizeName("Mary-Kate O'Neil")).toBe("mary kate oneil");
+  });
+
+  it("keeps phone digits without the country code", () => {
+    expect(normalizePhone("(555) 123-4567")).toBe("5551234567");
+    expect(normalizePhone("+1 555.123.4567")).toBe("5551234567");
+    expect(normalizePhone("n/a")).toBe("");
   });
 });
 
-// ─── Formatting Tests ────────────────────────────────────────────────────────
+describe("isOneEditAway and isLikelyTypo", () => {
+  it("matches strings one insertion, deletion or change apart", () => {
+    expect(isOneEditAway("jdoe@gmail.com", "jdoe@gmial.com")).toBe(false);
+    expect(isOneEditAway("jdoe@gmail.com", "jdoe@gmai.com")).toBe(true);
+    expect(isOneEditAway("jdoe@gmail.com", "jdoe@gmaill.com")).toBe(true);
+    expect(isOneEditAway("jdoe@gmail.com", "jdoe@gmeil.com")).toBe(true);
+    expect(isOneEditAway("jdoe@gmail.com", "jdoe@gmail.com")).toBe(false);
+  });
 
-describe("formatItemDescription", () => {
-  it("formats basic item", () => {
-    const item = {
-      product: "Better Sweater Jacket",
-      style: "Mens",
-      size: "L",
-      color: "Black",
-      logo: "Original CMC Logo",
-      embroideredName: "",
-    };
+  it("doesn't count emails that differ by a digit as typos", () => {
+    expect(isLikelyTypo("jdoe@gmail.com", "jdoe@gmal.com")).toBe(true);
+    expect(isLikelyTypo("jsmith1@test.com", "jsmith2@test.com")).toBe(false);
+    expect(isLikelyTypo("jsmith@test.com", "jsmith1@test.com")).toBe(false);
+  });
+});
 
-    const desc = formatItemDescription(item);
+describe("findDuplicates", () => {
+  it("flags customers with the same phone, name or a mistyped email", () => {
+    const customers = [
+      { name: "John Doe", phone: "555-1234", email: "jdoe@gmail.com" },
+      { name: "Dr. John Doe", phone: "", email: "john.doe@hospital.org" },
+      { name: "J. Doe", phone: "(555) 1234", email: "jd@work.org" },
+      { name: "Jon Doe", phone: "", email: "jdoe@gmal.com" },
+      { name: "Jane Roe", phone: "555-9999", email: "jane@test.com" },
+    ];
 
-    expect(desc).toContain("Better Sweater Jacket - Mens L (Black)");
-    expect(desc).toContain("Logo: Original CMC Logo");
-    expect(desc).not.toContain("Embroidered");
+    expect(findDuplicates(customers).map(({ emails, reasons }) => [...emails, reasons.join(", ")])).toEqual([
+      ["jdoe@gmail.com", "john.doe@hospital.org", "same name"],
+      ["jdoe@gmail.com", "jd@work.org", "same phone"],
+      ["jdoe@gmail.com", "jdoe@gmal.com", "email one edit away"],
+    ]);
   });
+});
 
-  it("includes embroidery info when present", () => {
-    const item = {
-      product: "Better Sweater Jacket",
-      style: "Mens",
-      size: "L",
-      color: "Black",
-      logo: "Original CMC Logo",
-      embroideredName: "Dr. Smith",
-      threadColor: "White",
-    };
+describe("checkMerges and resolveEmail", () => {
+  it("follows aliases, lowercased, to the email to bill", () => {
+    const merges = checkMerges({ "JDoe@gmial.com": "jdoe@gmail.com", "john.doe@hospital.org": "JDoe@Gmial.com" });
 
-    const desc = formatItemDescription(item);
+    expect(merges).toEqual({ "jdoe@gmial.com": "jdoe@gmail.com", "john.doe@hospital.org": "jdoe@gmial.com" });
+    expect(resolveEmail("john.doe@hospital.org", merges)).toBe("jdoe@gmail.com");
+    expect(resolveEmail("jane@test.com", merges)).toBe("jane@test.com");
+  });
 
-    expect(desc).toContain('Embroidered: "Dr. Smith" (White thread)');
+  it("rejects maps that loop or don't map to an email", () => {
+    expect(() => checkMerges({ "a@test.com": "b@test.com", "b@test.com": "a@test.com" })).toThrow("loops");
+    expect(() => checkMerges({ "a@test.com": "" })).toThrow("a@test.com must map to an email");
+    expect(() => checkMerges(["a@test.com"])).toThrow("merges.json must map alias emails to the email to bill");
   });
 });
 
-// ─── Integration Tests ───────────────────────────────────────────────────────
+// ─── Existing Invoice Tests ──────────────────────────────────────────────────
 
-describe("integration: full pricing calculation", () => {
-  it("calculates correct prices for mixed order", () => {
-    const rows = [
-      // 10 Black Jackets → tier 6
-      ...Array(10).fill({ Product: "Better Sweater Jacket", Color: "Black" }),
-      // 20 Navy Jackets → tier 18
-      ...Array(20).fill({ Product: "Better Sweater Jacket", Color: "New Navy" }),
-      // 55 Black Vests → tier 50
-      ...Array(55).fill({ Product: "Better Sweater Vest", Color: "Black" }),
+describe("indexInvoicesByEmail", () => {
+  it("indexes tagged invoices by lowercased email", () => {
+    const invoices = [
+      { id: "in_1", status: "open", customer_email: "John@Test.com", metadata: { source: "cmc-patagonia-order" } },
+      { id: "in_2", status: "open", customer_email: "jane@test.com", metadata: { source: "other" } },
+      { id: "in_3", status: "paid", customer_email: "jane@test.com", metadata: {} },
     ];
 
-    const counts = countByProductColor(rows);
-    const tierMap = buildTierMap(counts, pricing.tiers);
+    const index = indexInvoicesByEmail(invoices, "cmc-patagonia-order");
 
-    expect(tierMap["Better Sweater Jacket|Black"]).toBe("6");
-    expect(tierMap["Better Sweater Jacket|New Navy"]).toBe("18");
-    expect(tierMap["Better Sweater Vest|Black"]).toBe("50");
+    expect(Object.keys(index)).toEqual(["john@test.com"]);
+    expect(index["john@test.com"].map((inv) => inv.id)).toEqual(["in_1"]);
+  });
 
-    // Verify prices
-    const blackJacket = getItemPrice({ product: "Better Sweater Jacket", color: "Black", embroideredName: "" }, tierMap, pricing);
-    const navyJacket = getItemPrice({ product: "Better Sweater Jacket", color: "New Navy", embroideredName: "" }, tierMap, pricing);
-    const blackVest = getItemPrice({ product: "Better Sweater Vest", color: "Black", embroideredName: "" }, tierMap, pricing);
+  it("ignores voided invoices", () => {
+    const invoices = [
+      { id: "in_1", status: "void", customer_email: "john@test.com", metadata: { source: "cmc-patagonia-order" } },
+    ];
 
-    expect(blackJacket.price).toBe(175.0 + 10.0 + 0.75);  // tier 6
-    expect(navyJacket.price).toBe(173.58 + 10.0 + 0.75);  // tier 18
-    expect(blackVest.price).toBe(123.58 + 10.0 + 0.75);   // tier 50
+    expect(indexInvoicesByEmail(invoices, "cmc-patagonia-order")).toEqual({});
   });
 
-  it("combines gray colors for tier calculation", () => {
-    const rows = [
-      // 5 Birch White + 5 Stonewash = 10 Gray → tier 6
-      ...Array(5).fill({ Product: "Better Sweater Jacket", Color: "Birch White" }),
-      ...Array(5).fill({ Product: "Better Sweater Jacket", Color: "Stonewash" }),
+  it("indexes invoices sent to an alias under the merged email", () => {
+    const invoices = [
+      { id: "in_1", status: "open", customer_email: "JDoe@gmial.com", metadata: { source: "cmc-patagonia-order" } },
+      { id: "in_2", status: "open", customer_email: "jdoe@gmail.com", metadata: { source: "cmc-patagonia-order" } },
     ];
 
-    const counts = countByProductColor(rows);
-    const tierMap = buildTierMap(counts, pricing.tiers);
+    const index = indexInvoicesByEmail(invoices, "cmc-patagonia-order", { "jdoe@gmial.com": "jdoe@gmail.com" });
 
-    expect(counts["Better Sweater Jacket|Gray"]).toBe(10);
-    expect(tierMap["Better Sweater Jacket|Gray"]).toBe("6");
+    expect(index).toEqual({ "jdoe@gmail.com": invoices });
+  });
+});
 
-    // Both colors should get same price
-    const birchPrice = getItemPrice({ product: "Better Sweater Jacket", color: "Birch White", embroideredName: "" }, tierMap, pricing);
-    const stonewashPrice = getItemPrice({ product: "Better Sweater Jacket", color: "Stonewash", embroideredName: "" }, tierMap, pricing);
+describe("getInvoiceStatus", () => {
+  const customer = (invoiceIds) => ({
+    email: "john@test.com",
+    items: invoiceIds.map((invoiceId) => ({ product: "Jacket", invoiceId })),
+  });
 
-    expect(birchPrice.price).toBe(175.0 + 10.0 + 0.75);
-    expect(stonewashPrice.price).toBe(175.0 + 10.0 + 0.75);
+  it("returns new when there is no sheet or Stripe invoice", () => {
+    expect(getInvoiceStatus(customer(["", ""]), {})).toEqual({ status: "new" });
   });
 
-  it("excludes combos below minimum and prices eligible correctly", () => {
-    const rows = [
-      // 3 Black Jackets → excluded (below 6)
-      ...Array(3).fill({ Product: "Better Sweater Jacket", Color: "Black" }),
-      // 10 Navy Jackets → tier 6
-      ...Array(10).fill({ Product: "Better Sweater Jacket", Color: "New Navy" }),
+  it("prefers the Invoice ID from the sheet", () => {
+    const index = { "john@test.com": [{ id: "in_stripe", status: "open" }] };
+
+    const result = getInvoiceStatus(customer(["", "in_sheet"]), index);
+
+    expect(result).toEqual({ status: "invoiced", invoiceId: "in_sheet", onSheet: true });
+  });
+
+  it("falls back to a finalized Stripe invoice missing from the sheet", () => {
+    const index = { "john@test.com": [{ id: "in_draft", status: "draft" }, { id: "in_open", status: "open" }] };
+
+    const result = getInvoiceStatus(customer([""]), index);
+
+    expect(result).toEqual({ status: "invoiced", invoiceId: "in_open", onSheet: false, draftIds: ["in_draft"] });
+  });
+
+  it("reports drafts left next to an invoice on the sheet", () => {
+    const index = { "john@test.com": [{ id: "in_draft", status: "draft" }] };
+
+    const result = getInvoiceStatus(customer(["in_sheet", ""]), index);
+
+    expect(result).toEqual({ status: "invoiced", invoiceId: "in_sheet", onSheet: true, draftIds: ["in_draft"] });
+  });
+
+  it("reports drafts left by a crashed run as incomplete", () => {
+    const index = { "john@test.com": [{ id: "in_draft", status: "draft" }] };
+
+    const result = getInvoiceStatus(customer([""]), index);
+
+    expect(result).toEqual({ status: "incomplete", draftIds: ["in_draft"] });
+  });
+});
+
+describe("findUninvoicedItems", () => {
+  const jacket = { product: "Better Sweater Jacket", style: "Mens", size: "L", color: "Black", logo: "Option 1", embroideredName: "" };
+  const vest = { product: "Better Sweater Vest", style: "Mens", size: "M", color: "Black", logo: "Option 1", embroideredName: "" };
+
+  it("returns items without an Invoice ID", () => {
+    const items = [
+      { ...jacket, invoiceId: "in_1", row: 2 },
+      { ...vest, invoiceId: "", row: 9 },
     ];
 
-    const counts = countByProductColor(rows);
-    const { eligible, excluded } = filterByMinimum(counts, 6);
+    const result = findUninvoicedItems(items, []);
 
-    expect(excluded["Better Sweater Jacket|Black"]).toBe(3);
-    expect(eligible["Better Sweater Jacket|New Navy"]).toBe(10);
+    expect(result.map((item) => item.row)).toEqual([9]);
+  });
 
-    const tierMap = buildTierMap(eligible, pricing.tiers);
+  it("treats items matching an unrecorded Stripe invoice line as covered", () => {
+    const items = [
+      { ...jacket, invoiceId: "", row: 2 },
+      { ...jacket, invoiceId: "", row: 3 },
+      { ...vest, invoiceId: "", row: 9 },
+    ];
 
-    // Navy should be priced at tier 6
-    const navyJacket = getItemPrice({ product: "Better Sweater Jacket", color: "New Navy", embroideredName: "" }, tierMap, pricing);
-    expect(navyJacket.price).toBe(175.0 + 10.0 + 0.75);
+    const result = findUninvoicedItems(items, [formatItemDescription(jacket), "Payment processing fee (2.9% + $0.30)"]);
 
-    // Black is not in tierMap (excluded)
-    expect(tierMap["Better Sweater Jacket|Black"]).toBeUndefined();
+    // One jacket line covers only one of the two jacket rows
+    expect(result.map((item) => item.row)).toEqual([3, 9]);
+  });
+});
+
+// ─── Repricing Tests ─────────────────────────────────────────────────────────
+
+describe("diffInvoice", () => {
+  const jacket = { product: "Better Sweater Jacket", style: "Mens", size: "L", color: "Black", logo: "Option 1", embroideredName: "" };
+  const eligible = { "Better Sweater Jacket|Black": 50 };
+
+  // Lines as Stripe would return them for an invoice billed at the 18 tier
+  const invoicedAt18 = () => {
+    const { lineItems } = buildLineItems([jacket], eligible, { "Better Sweater Jacket|Black": "18" }, pricing);
+    return lineItems.map((line, i) => ({ id: `il_${i}`, description: line.description, amount: line.amount }));
+  };
+
+  it("credits the item and fee difference when the tier drops", () => {
+    const result = diffInvoice(invoicedAt18(), [jacket], eligible, { "Better Sweater Jacket|Black": "50" }, pricing);
+
+    expect(result.adjustments).toHaveLength(2);
+    expect(result.adjustments[0]).toMatchObject({ lineId: "il_0", invoiced: 17358, current: 16268, credit: 1090 });
+    expect(result.adjustments[1].description).toBe(PROCESSING_FEE_DESCRIPTION);
+    expect(result.adjustments[1].credit).toBeGreaterThan(0);
+    expect(result.totalCredit).toBe(1090 + result.adjustments[1].credit);
+    expect(result.undercharges).toEqual([]);
+  });
+
+  it("reprices invoices made before fees were itemized in their own layout", () => {
+    const { lineItems } = buildLineItems([jacket], eligible, { "Better Sweater Jacket|Black": "18" }, pricing, { itemizeFees: false });
+    const lines = lineItems.map((line, i) => ({ id: `il_${i}`, description: line.description, amount: line.amount }));
+
+    const result = diffInvoice(lines, [jacket], eligible, { "Better Sweater Jacket|Black": "50" }, pricing);
+
+    expect(result.adjustments[0]).toMatchObject({ lineId: "il_0", invoiced: 18433, current: 17343, credit: 1090 });
+    expect(result.repriced.lineItems).toHaveLength(2);
+  });
+
+  it("reports no adjustments when the tier is unchanged", () => {
+    const result = diffInvoice(invoicedAt18(), [jacket], eligible, { "Better Sweater Jacket|Black": "18" }, pricing);
+
+    expect(result.adjustments).toEqual([]);
+    expect(result.totalCredit).toBe(0);
+  });
+
+  it("reports undercharges without crediting them", () => {
+    const result = diffInvoice(invoicedAt18(), [jacket], eligible, { "Better Sweater Jacket|Black": "6" }, pricing);
+
+    expect(result.adjustments).toEqual([]);
+    expect(result.undercharges.length).toBeGreaterThan(0);
+  });
+
+  it("takes a shrunken percentage subsidy off the credit", () => {
+    const subsidized = { ...pricing, subsidies: { Resident: { type: "percent", amount: 50 } } };
+    const { lineItems } = buildLineItems([jacket], eligible, { "Better Sweater Jacket|Black": "18" }, subsidized, { position: "Resident" });
+    const lines = lineItems.map((line, i) => ({ id: `il_${i}`, description: line.description, amount: line.amount }));
+
+    const result = diffInvoice(lines, [jacket], eligible, { "Better Sweater Jacket|Black": "50" }, subsidized, { position: "Resident" });
+
+    // 1090 cheaper, but the subsidy is 545 smaller
+    expect(result.adjustments[0]).toMatchObject({ lineId: "il_0", credit: 545 });
+    expect(result.undercharges).toEqual([]);
+  });
+
+  it("ignores items that were never billed on the invoice", () => {
+    const vest = { ...jacket, product: "Better Sweater Vest" };
+
+    const result = diffInvoice(invoicedAt18(), [jacket, vest], { ...eligible, "Better Sweater Vest|Black": 50 }, { "Better Sweater Jacket|Black": "50", "Better Sweater Vest|Black": "50" }, pricing);
+
+    expect(result.billedItems).toEqual([jacket]);
+  });
+});
+
+// ─── Run Journal Tests ───────────────────────────────────────────────────────
+
+describe("hashRows", () => {
+  const rows = [
+    { Email: "john@test.com", Product: "Better Sweater Jacket", Color: "Black", Size: "L" },
+    { Email: "jane@test.com", Product: "Better Sweater Vest", Color: "New Navy", Size: "S" },
+  ];
+
+  it("is stable for the same rows", () => {
+    expect(hashRows(rows)).toBe(hashRows(rows.map((r) => ({ ...r }))));
+  });
+
+  it("changes when order content changes", () => {
+    const changed = [rows[0], { ...rows[1], Size: "M" }];
+    expect(hashRows(changed)).not.toBe(hashRows(rows));
+  });
+
+  it("ignores write-back columns", () => {
+    const written = rows.map((r) => ({ ...r, "Invoice ID": "in_1", Paid: "✓" }));
+    expect(hashRows(written)).toBe(hashRows(rows));
+  });
+
+  it("hashes optional columns only when filled in", () => {
+    expect(hashRows(rows.map((r) => ({ ...r, "Tax Exempt": "" })))).toBe(hashRows(rows));
+    expect(hashRows([{ ...rows[0], "Tax Exempt": "Yes" }, rows[1]])).not.toBe(hashRows(rows));
+  });
+});
+
+describe("createRunId", () => {
+  it("formats a filename-safe timestamp", () => {
+    expect(createRunId(new Date("2026-02-10T18:30:00.000Z"))).toBe("2026-02-10T18-30-00-000Z");
+  });
+});
+
+describe("run journal", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "runs-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("writes each created object to disk as it is recorded", () => {
+    const journal = createJournal(dir, { command: "invoice", args: [], pricing, rows: [{ Email: "john@test.com" }] });
+    recordCreated(journal, "invoice", { id: "in_1", email: "john@test.com" });
+
+    const loaded = loadJournal(dir, journal.runId);
+
+    expect(loaded.rowCount).toBe(1);
+    expect(loaded.pricing).toEqual(pricing);
+    expect(loaded.created).toHaveLength(1);
+    expect(loaded.created[0]).toMatchObject({ type: "invoice", id: "in_1", email: "john@test.com" });
+    expect(listRuns(dir)).toEqual([journal.runId]);
+  });
+
+  it("throws for an unknown run", () => {
+    expect(() => loadJournal(dir, "nope")).toThrow("No journal found for run nope");
+  });
+
+  it("lists no runs when the directory does not exist", () => {
+    expect(listRuns(path.join(dir, "missing"))).toEqual([]);
+  });
+});
+
+describe("getRollbackTargets", () => {
+  it("groups journal entries by what has to be undone", () => {
+    const journal = {
+      created: [
+        { type: "customer", id: "cus_1" },
+        { type: "invoice", id: "in_1" },
+        { type: "invoiceItem", id: "ii_1", invoice: "in_1" },
+        { type: "creditNote", id: "cn_1", invoice: "in_0" },
+        { type: "voidedInvoice", id: "in_0", replacedBy: "in_1" },
+      ],
+    };
+
+    const targets = getRollbackTargets(journal);
+
+    expect(targets.invoices.map((e) => e.id)).toEqual(["in_1"]);
+    expect(targets.creditNotes.map((e) => e.id)).toEqual(["cn_1"]);
+    expect(targets.voidedInvoices.map((e) => e.id)).toEqual(["in_0"]);
+  });
+});
+
+// ─── Plan Tests ──────────────────────────────────────────────────────────────
+
+describe("planCustomer", () => {
+  const jacket = { product: "Better Sweater Jacket", style: "Mens", size: "L", color: "Black", logo: "Option 1", embroideredName: "", invoiceId: "", row: 2 };
+  const ctx = {
+    eligibleCombos: { "Better Sweater Jacket|Black": 10 },
+    tierMap: { "Better Sweater Jacket|Black": "6" },
+    pricing,
+    deltaMode: false,
+    resume: false,
+  };
+  const customer = (items) => ({ name: "John", phone: "555-1234", email: "john@test.com", items });
+
+  it("plans an invoice for a new customer", () => {
+    const entry = planCustomer(customer([jacket]), {}, [], ctx);
+
+    expect(entry.action).toBe("create");
+    expect(entry.items).toEqual([{ ...jacket, price: 18575, tierKey: "6", subsidy: 0 }]);
+    // Jacket, logo fee, folding fee, processing fee
+    expect(entry.lineItems).toHaveLength(4);
+    expect(entry.knownInvoiceIds).toEqual([]);
+    expect(entry.total).toBe(entry.subtotal + entry.tax + entry.fee);
+  });
+
+  it("skips customers invoiced on the sheet", () => {
+    const entry = planCustomer(customer([{ ...jacket, invoiceId: "in_1" }]), {}, [], ctx);
+
+    expect(entry).toMatchObject({ action: "skip", reason: "invoiced", invoiceId: "in_1" });
+  });
+
+  it("backfills invoices found only in Stripe, on the rows they billed", () => {
+    const index = { "john@test.com": [{ id: "in_1", status: "open" }] };
+    const items = [jacket, { ...jacket, size: "M", row: 9 }];
+
+    const entry = planCustomer(customer(items), index, [formatItemDescription(jacket)], ctx);
+
+    expect(entry).toMatchObject({ action: "backfill", invoiceId: "in_1", rows: [2] });
+  });
+
+  it("plans a supplemental invoice for new rows in --delta mode", () => {
+    const items = [{ ...jacket, invoiceId: "in_1" }, { ...jacket, row: 9 }];
+
+    const entry = planCustomer(customer(items), {}, [], { ...ctx, deltaMode: true });
+
+    expect(entry.action).toBe("create");
+    expect(entry.supplementalTo).toBe("in_1");
+    expect(entry.items.map((item) => item.row)).toEqual([9]);
+    expect(entry.knownInvoiceIds).toEqual(["in_1"]);
+  });
+
+  it("skips customers with drafts unless resuming", () => {
+    const index = { "john@test.com": [{ id: "in_draft", status: "draft" }] };
+
+    expect(planCustomer(customer([jacket]), index, [], ctx)).toMatchObject({ action: "skip", reason: "incomplete" });
+    expect(planCustomer(customer([jacket]), index, [], { ...ctx, resume: true })).toMatchObject({ action: "create", draftIds: ["in_draft"] });
+  });
+
+  it("skips customers with no eligible items", () => {
+    const entry = planCustomer(customer([{ ...jacket, color: "New Navy" }]), {}, [], ctx);
+
+    expect(entry).toMatchObject({ action: "skip", reason: "no-eligible-items", excludedCount: 1 });
+  });
+});
+
+describe("createPlan and verifyPlan", () => {
+  const rows = [{ Email: "john@test.com", Product: "Better Sweater Jacket", Color: "Black" }];
+  const plan = createPlan({
+    rows,
+    pricing,
+    eligibleCombos: { "Better Sweater Jacket|Black": 20 },
+    excludedCombos: { "Better Sweater Vest|Black": 2 },
+    tierMap: { "Better Sweater Jacket|Black": "18" },
+    entries: [
+      { action: "create", total: 100 },
+      { action: "skip", reason: "invoiced" },
+      { action: "create", total: 50 },
+    ],
+    options: { delta: false, noMin: false, resume: false },
+  });
+
+  it("summarizes combos, exclusions and totals", () => {
+    expect(plan.combos).toEqual([
+      { key: "Better Sweater Jacket|Black", product: "Better Sweater Jacket", color: "Black", count: 20, tier: "18", tierLabel: "18-49 pcs", unitPrice: 173.58 },
+    ]);
+    expect(plan.excluded).toEqual([{ key: "Better Sweater Vest|Black", product: "Better Sweater Vest", color: "Black", count: 2 }]);
+    expect(plan.totals).toEqual({ invoices: 2, revenue: 150 });
+    expect(plan.pricingHash).toBe(hashPricing(pricing));
+  });
+
+  it("accepts unchanged inputs", () => {
+    expect(verifyPlan(plan, rows, pricing)).toEqual([]);
+  });
+
+  it("accepts rows that only gained invoice IDs", () => {
+    expect(verifyPlan(plan, [{ ...rows[0], "Invoice ID": "in_1" }], pricing)).toEqual([]);
+  });
+
+  it("rejects changed rows or pricing", () => {
+    const problems = verifyPlan(plan, [...rows, rows[0]], { ...pricing, logoFee: 12 });
+
+    expect(problems).toHaveLength(2);
+    expect(problems[0]).toContain("Sheet rows changed");
+    expect(problems[1]).toContain("pricing.json changed");
+  });
+
+  it("rejects add-ons picked or dropped since the plan", () => {
+    const withAddOn = [{ ...rows[0], "Add-ons": "Sleeve logo" }];
+
+    expect(verifyPlan(plan, [{ ...rows[0], "Add-ons": "" }], pricing)).toEqual([]);
+    expect(verifyPlan(plan, withAddOn, pricing)[0]).toContain("Sheet rows changed");
+    expect(verifyPlan({ ...plan, rowsHash: hashRows(withAddOn) }, rows, pricing)[0]).toContain("Sheet rows changed");
+  });
+
+  it("rejects a plan made for another campaign", () => {
+    const scrubsPlan = { ...plan, campaign: "scrubs" };
+
+    expect(verifyPlan(scrubsPlan, rows, pricing, "scrubs")).toEqual([]);
+    expect(verifyPlan(scrubsPlan, rows, pricing, "patagonia")).toEqual(["Plan is for campaign scrubs, not patagonia"]);
+    expect(verifyPlan(plan, rows, pricing, "patagonia")).toEqual([]);
+  });
+});
+
+describe("checkPlanEntry", () => {
+  const entry = { knownInvoiceIds: ["in_old"], draftIds: [] };
+
+  it("creates when nothing new exists", () => {
+    const result = checkPlanEntry(entry, [{ id: "in_old", status: "paid" }], "plan_1");
+
+    expect(result).toEqual({ action: "create", draftIds: [] });
+  });
+
+  it("skips entries already applied from this plan", () => {
+    const invoices = [{ id: "in_new", status: "open", metadata: { plan: "plan_1" } }];
+
+    expect(checkPlanEntry(entry, invoices, "plan_1")).toEqual({ action: "skip", reason: "already-applied" });
+  });
+
+  it("skips customers invoiced by another run", () => {
+    const invoices = [{ id: "in_other", status: "open", metadata: {} }];
+
+    expect(checkPlanEntry(entry, invoices, "plan_1")).toEqual({ action: "skip", reason: "invoiced-since-plan" });
+  });
+
+  it("replaces drafts left by a crashed apply", () => {
+    const invoices = [{ id: "in_draft", status: "draft", metadata: { plan: "plan_1" } }];
+
+    expect(checkPlanEntry(entry, invoices, "plan_1")).toEqual({ action: "create", draftIds: ["in_draft"] });
+  });
+});
+
+// ─── Report Tests ────────────────────────────────────────────────────────────
+
+describe("buildReport", () => {
+  const eligibleCombos = { "Better Sweater Jacket|Gray": 20 };
+  const tierMap = { "Better Sweater Jacket|Gray": "18" };
+  const ctx = { eligibleCombos, tierMap, pricing, deltaMode: false, resume: false };
+  const john = {
+    name: "John Doe",
+    email: "john@test.com",
+    items: [
+      { product: "Better Sweater Jacket", style: "Mens", size: "L", color: "Birch White", logo: "Option 1", embroideredName: "Dr. Doe", threadColor: "White" },
+      { product: "Better Sweater Vest", style: "Mens", size: "L", color: "Black", logo: "Option 1", embroideredName: "" },
+    ],
+  };
+  const jane = { name: "Jane Roe", email: "jane@test.com", items: [{ product: "Better Sweater Jacket", invoiceId: "in_1" }] };
+  const plan = createPlan({
+    rows: [],
+    pricing,
+    eligibleCombos,
+    excludedCombos: { "Better Sweater Vest|Black": 1 },
+    tierMap,
+    entries: [planCustomer(john, {}, [], ctx), planCustomer(jane, {}, [], ctx)],
+    options: { delta: false, noMin: false, resume: false },
+  });
+  const report = buildReport(plan, pricing);
+
+  it("lists combos with tier and unit price, and excluded combos", () => {
+    expect(report.combos).toEqual([
+      { product: "Better Sweater Jacket", color: "Gray", count: 20, tier: "18", tierLabel: "18-49 pcs", unitPrice: 173.58 },
+    ]);
+    expect(report.excluded).toEqual([{ product: "Better Sweater Vest", color: "Black", count: 1 }]);
+  });
+
+  it("lists each customer's line items, tax, fee and total", () => {
+    const [johnReport, janeReport] = report.customers;
+
+    // Jacket, name embroidery, logo, folding, processing fee
+    expect(johnReport.lineItems).toHaveLength(5);
+    expect(johnReport.lineItems[0]).toMatchObject({
+      type: "item",
+      color: "Birch White",
+      tierLabel: "18-49 pcs",
+      unitPrice: 173.58,
+      amount: 173.58,
+    });
+    expect(johnReport.lineItems[2]).toMatchObject({ type: "fee", description: "Logo embroidery fee", quantity: 1, amount: 10 });
+    expect(johnReport.lineItems[4]).toMatchObject({ type: "fee", description: PROCESSING_FEE_DESCRIPTION, taxable: false });
+    expect(johnReport.excludedCount).toBe(1);
+    expect(johnReport.subtotal).toBe(192.33);
+    expect(johnReport.total).toBeCloseTo(johnReport.subtotal + johnReport.tax + johnReport.fee, 1);
+    expect(janeReport).toMatchObject({ action: "skip", reason: "invoiced", invoiceId: "in_1", lineItems: [] });
+  });
+
+  it("adds up grand totals over invoiced customers", () => {
+    expect(report.totals).toMatchObject({ invoices: 1, items: 1, total: report.customers[0].total });
+  });
+
+  it("has no run-specific fields, so reports diff cleanly", () => {
+    expect(report).not.toHaveProperty("id");
+    expect(report).not.toHaveProperty("createdAt");
+  });
+
+  it("flattens into one CSV table", () => {
+    const lines = formatReportCSV(report).trim().split("\n");
+
+    expect(lines[0]).toBe("Record,Name,Email,Status,Product,Color,Style,Size,Count,Tier,Unit Price,Description,Amount,Tax,Fee,Total");
+    expect(lines[1]).toBe("combo,,,,Better Sweater Jacket,Gray,,,20,18-49 pcs,173.58,,,,,");
+    expect(lines[2]).toBe("excluded,,,below minimum,Better Sweater Vest,Black,,,1,,,,,,,");
+    expect(lines).toContain("customer,Jane Roe,jane@test.com,skip: invoiced,,,,,,,,,,,,");
+    expect(lines[lines.length - 1]).toMatch(/^total,,,1 invoice\(s\),,,,,1,/);
+  });
+});
+
+// ─── Invoice Presentation Tests ──────────────────────────────────────────────
+
+describe("resolveInvoiceSettings", () => {
+  const config = {
+    dueDays: 21,
+    memo: "Volume pricing",
+    footer: "Pick up in the residency office",
+    customFields: [{ name: "Position", value: "{position}" }],
+  };
+
+  it("defaults to 14 days and no text", () => {
+    expect(resolveInvoiceSettings()).toEqual({ dueDays: 14, dueDate: null, memo: "", footer: "", customFields: [] });
+  });
+
+  it("uses the config", () => {
+    expect(resolveInvoiceSettings(config)).toMatchObject({ dueDays: 21, memo: "Volume pricing", customFields: config.customFields });
+  });
+
+  it("lets CLI values override the config", () => {
+    const settings = resolveInvoiceSettings(config, {
+      due: "2099-03-01",
+      memo: "Other memo",
+      customFields: ["Order date={orderDate}"],
+    });
+
+    expect(settings).toMatchObject({
+      dueDays: null,
+      dueDate: "2099-03-01",
+      memo: "Other memo",
+      footer: "Pick up in the residency office",
+      customFields: [{ name: "Order date", value: "{orderDate}" }],
+    });
+    expect(resolveInvoiceSettings({ dueDate: "2099-03-01" }, { due: "30" })).toMatchObject({ dueDays: 30, dueDate: null });
+  });
+
+  it("rejects bad due dates and too many custom fields", () => {
+    expect(() => resolveInvoiceSettings({}, { due: "soon" })).toThrow("YYYY-MM-DD");
+    expect(() => resolveInvoiceSettings({}, { due: "0" })).toThrow("at least 1");
+    expect(() => resolveInvoiceSettings({}, { customFields: ["Position"] })).toThrow("Name=value");
+    const five = Array(5).fill({ name: "F", value: "v" });
+    expect(() => resolveInvoiceSettings({ customFields: five })).toThrow("at most 4");
+  });
+});
+
+describe("checkDueDate", () => {
+  it("rejects a fixed due date once its day has passed", () => {
+    const now = new Date("2026-03-02T09:00:00");
+    expect(() => checkDueDate(resolveInvoiceSettings({}, { due: "2026-03-01" }), now)).toThrow("in the past");
+    expect(() => checkDueDate(resolveInvoiceSettings({}, { due: "2026-03-02" }), now)).not.toThrow();
+    expect(() => checkDueDate(resolveInvoiceSettings({ dueDays: 14 }), now)).not.toThrow();
+  });
+});
+
+describe("formatOrderDate", () => {
+  it("keeps dates and reduces timestamps to their local date", () => {
+    expect(formatOrderDate("2026-01-15")).toBe("2026-01-15");
+    expect(formatOrderDate(new Date(2026, 0, 15, 9, 30).toISOString())).toBe("2026-01-15");
+    expect(formatOrderDate("")).toBe("");
+    expect(formatOrderDate("last week")).toBe("last week");
+  });
+});
+
+describe("fillPlaceholders", () => {
+  it("fills known placeholders and keeps unknown ones", () => {
+    const customer = { name: "John", position: "Resident", orderDate: "2026-01-15" };
+    expect(fillPlaceholders("{name} ({position}) ordered {orderDate} {other}", customer))
+      .toBe("John (Resident) ordered 2026-01-15 {other}");
+  });
+});
+
+describe("buildInvoicePresentation", () => {
+  const customer = { name: "John", email: "john@test.com", position: "Resident", orderDate: "" };
+
+  it("sets days until due, memo, footer and filled-in custom fields", () => {
+    const settings = resolveInvoiceSettings({
+      memo: "Thanks, {name}",
+      footer: "Pickup: Monday",
+      customFields: [{ name: "Position", value: "{position}" }, { name: "Order date", value: "{orderDate}" }],
+    });
+
+    expect(buildInvoicePresentation(settings, customer)).toEqual({
+      days_until_due: 14,
+      description: "Thanks, John",
+      footer: "Pickup: Monday",
+      // Order date is empty for this customer, so it is left off
+      custom_fields: [{ name: "Position", value: "Resident" }],
+    });
+  });
+
+  it("uses a fixed due date at the end of that day", () => {
+    const params = buildInvoicePresentation(resolveInvoiceSettings({ dueDate: "2099-03-01" }), customer);
+
+    expect(params.days_until_due).toBeUndefined();
+    expect(params.due_date).toBe(Math.floor(new Date(2099, 2, 1, 23, 59, 59).getTime() / 1000));
+    expect(params).not.toHaveProperty("description");
+  });
+});
+
+// ─── Catalog Tests ───────────────────────────────────────────────────────────
+
+describe("buildCatalog", () => {
+  const catalog = buildCatalog(pricing, "test-src");
+
+  it("has a product per pricing product with a price per tier", () => {
+    const jacket = catalog.find((p) => p.key === "Better Sweater Jacket");
+
+    expect(jacket.id).toBe("test-src-better-sweater-jacket");
+    expect(jacket.prices.map((p) => [p.priceKey, p.unitAmount])).toEqual([
+      ["Better Sweater Jacket|6", 17500],
+      ["Better Sweater Jacket|18", 17358],
+      ["Better Sweater Jacket|50", 16268],
+      ["Better Sweater Jacket|72", 15968],
+    ]);
+    expect(jacket.prices[1]).toMatchObject({
+      lookupKey: "test-src:Better Sweater Jacket|18",
+      nickname: "Better Sweater Jacket — 18-49 pcs",
+      metadata: { source: "test-src", tier: "18" },
+    });
+  });
+
+  it("has fee products, and a processing fee product without a price", () => {
+    const fees = catalog.filter((p) => p.key.startsWith("fee:"));
+
+    expect(fees.map((p) => [p.key, p.prices.map((price) => price.unitAmount)])).toEqual([
+      ["fee:embroidery", [800]],
+      ["fee:logo", [1000]],
+      ["fee:folding", [75]],
+      ["fee:processing", []],
+    ]);
+  });
+
+  it("has a product per surcharge and add-on", () => {
+    const keys = buildCatalog({ ...pricing, ...extrasPricing }, "test-src")
+      .filter((p) => p.key.startsWith("surcharge:") || p.key.startsWith("addon:"))
+      .map((p) => [p.key, p.name, p.prices.map((price) => price.unitAmount)]);
+
+    expect(keys).toEqual([
+      ["surcharge:size:XXL", "Size XXL surcharge", [250]],
+      ["surcharge:color:Birch White", "Color Birch White surcharge", [150]],
+      ["addon:Sleeve logo", "Second logo placement (left sleeve)", [1200]],
+      ["addon:Gift box", "Gift box", [400]],
+    ]);
+  });
+
+  it("has no processing fee product when the fee is absorbed", () => {
+    const absorbed = buildCatalog({ ...pricing, processingFee: { policy: "absorb" } }, "test-src");
+
+    expect(absorbed.map((p) => p.key)).not.toContain("fee:processing");
+  });
+
+  it("covers every priceKey buildLineItems produces", () => {
+    const item = { product: "Better Sweater Vest", style: "Mens", size: "L", color: "Black", logo: "A", embroideredName: "X" };
+    const { lineItems } = buildLineItems([item], { "Better Sweater Vest|Black": 6 }, { "Better Sweater Vest|Black": "6" }, pricing);
+    const { prices } = resolveCatalog(catalog, catalog.flatMap((p) => p.prices.map((price) => ({
+      id: `price_${price.priceKey}`,
+      lookup_key: price.lookupKey,
+      unit_amount: price.unitAmount,
+      currency: price.currency,
+    }))));
+
+    for (const line of lineItems.filter((l) => l.priceKey)) {
+      expect(prices[line.priceKey]).toBeDefined();
+    }
+  });
+});
+
+describe("diffCatalog", () => {
+  const small = { ...pricing, products: { "Better Sweater Vest": { 6: 132.88 } } };
+  const catalog = buildCatalog(small, "src");
+  const stripePrice = (product, price, overrides = {}) => ({
+    id: `price_${price.priceKey}`,
+    product: product.id,
+    lookup_key: price.lookupKey,
+    unit_amount: price.unitAmount,
+    currency: price.currency,
+    ...overrides,
+  });
+  const synced = () => ({
+    products: Object.fromEntries(catalog.map((p) => [p.id, { id: p.id, name: p.name, active: true }])),
+    prices: catalog.flatMap((product) => product.prices.map((price) => stripePrice(product, price))),
+  });
+
+  it("creates everything on first sync", () => {
+    const changes = diffCatalog(catalog, {}, []);
+
+    expect(changes.createProducts).toHaveLength(catalog.length);
+    expect(changes.createPrices).toHaveLength(catalogLookupKeys(catalog).length);
+    expect(changes.createPrices.every((c) => c.replaces === null)).toBe(true);
+  });
+
+  it("changes nothing when in sync", () => {
+    const { products, prices } = synced();
+    const changes = diffCatalog(catalog, products, prices);
+
+    expect(changes.createProducts).toEqual([]);
+    expect(changes.updateProducts).toEqual([]);
+    expect(changes.createPrices).toEqual([]);
+  });
+
+  it("replaces prices whose amount changed and updates renamed products", () => {
+    const { products, prices } = synced();
+    prices[0] = { ...prices[0], unit_amount: 12000 };
+    products["src-better-sweater-vest"] = { ...products["src-better-sweater-vest"], name: "Old name" };
+
+    const changes = diffCatalog(catalog, products, prices);
+
+    expect(changes.createPrices).toHaveLength(1);
+    expect(changes.createPrices[0].price.unitAmount).toBe(13288);
+    expect(changes.createPrices[0].replaces.id).toBe(prices[0].id);
+    expect(changes.updateProducts.map((p) => p.id)).toEqual(["src-better-sweater-vest"]);
+  });
+
+  it("resolves prices only when every one matches", () => {
+    const { prices } = synced();
+
+    expect(resolveCatalog(catalog, []).status).toBe("none");
+    expect(resolveCatalog(catalog, prices)).toMatchObject({ status: "ok", stale: [] });
+    const stale = resolveCatalog(catalog, [{ ...prices[0], unit_amount: 1 }, ...prices.slice(1)]);
+    expect(stale).toMatchObject({ status: "stale", stale: ["Better Sweater Vest|6"] });
+  });
+});
+
+describe("buildInvoiceItemParams", () => {
+  const resolved = {
+    status: "ok",
+    prices: { "Better Sweater Vest|6": "price_vest6", "fee:logo": "price_logo" },
+    products: { "fee:processing": "src-fee-processing" },
+  };
+
+  it("references the catalog price with a quantity", () => {
+    const line = { kind: "fee", description: "Logo embroidery fee", amount: 3000, quantity: 3, currency: "usd", priceKey: "fee:logo" };
+
+    expect(buildInvoiceItemParams(line, resolved)).toEqual({ description: "Logo embroidery fee", price: "price_logo", quantity: 3 });
+  });
+
+  it("bills the processing fee against its product", () => {
+    const line = { kind: "processing-fee", description: PROCESSING_FEE_DESCRIPTION, amount: 512, quantity: 1, currency: "usd" };
+
+    expect(buildInvoiceItemParams(line, resolved).price_data).toEqual({ currency: "usd", product: "src-fee-processing", unit_amount: 512 });
+  });
+
+  it("falls back to plain amounts without a synced catalog", () => {
+    const line = { kind: "item", description: "Vest", amount: 13288, quantity: 1, currency: "usd", priceKey: "Better Sweater Vest|6" };
+
+    expect(buildInvoiceItemParams(line, null)).toEqual({ description: "Vest", amount: 13288, currency: "usd" });
+  });
+});
+
+// ─── Department Billing Tests ────────────────────────────────────────────────
+
+describe("department statement", () => {
+  const subsidized = { ...pricing, subsidies: { Resident: { type: "percent", amount: 50, maxItems: 1 }, Fellow: { type: "flat", amount: 40 } } };
+  const jacket = { product: "Better Sweater Jacket", style: "Mens", size: "L", color: "Black", logo: "Option 1", embroideredName: "" };
+  const customers = [
+    { name: "John Doe", email: "john@test.com", position: "Resident", items: [{ ...jacket, invoiceId: "in_1" }, { ...jacket, invoiceId: "in_1" }] },
+    { name: "Jane Roe", email: "jane@test.com", position: "Attending", items: [jacket] },
+    { name: "Sam Poe", email: "sam@test.com", position: "Fellow", items: [jacket, { ...jacket, color: "New Navy" }] },
+  ];
+  const ctx = {
+    eligibleCombos: { "Better Sweater Jacket|Black": 6 },
+    tierMap: { "Better Sweater Jacket|Black": "6" },
+    pricing: subsidized,
+  };
+  const statement = buildDepartmentStatement(customers, ctx);
+
+  it("lists every subsidized item by person", () => {
+    expect(statement.people.map((p) => [p.email, p.items.length, p.subsidy, p.invoiceIds])).toEqual([
+      ["john@test.com", 1, 8750, ["in_1"]],
+      ["sam@test.com", 1, 4000, []],
+    ]);
+    expect(statement.people[0].items[0]).toMatchObject({ product: "Better Sweater Jacket", tier: "6", itemPrice: 17500, subsidy: 8750 });
+    expect(statement).toMatchObject({ itemCount: 2, total: 12750 });
+  });
+
+  it("matches the discount lines on the people's own invoices", () => {
+    const { lineItems } = buildLineItems(customers[0].items, ctx.eligibleCombos, ctx.tierMap, subsidized, { position: "Resident" });
+
+    expect(lineItems.find((l) => l.kind === "discount").amount).toBe(-statement.people[0].subsidy);
+  });
+
+  it("formats a CSV with item, person and total rows", () => {
+    const lines = formatStatementCSV(statement).trim().split("\n");
+
+    expect(lines[0]).toBe("Record,Name,Email,Position,Invoice ID,Product,Color,Style,Size,Tier,Item Price,Subsidy");
+    expect(lines[1]).toBe("item,John Doe,john@test.com,Resident,in_1,Better Sweater Jacket,Black,Mens,L,6,175,87.5");
+    expect(lines[2]).toBe("person,John Doe,john@test.com,Resident,in_1,,,,,,,87.5");
+    expect(lines[5]).toBe("total,\"2 people, 2 items\",,,,,,,,,,127.5");
+  });
+
+  it("bills one invoice line per subsidized item", () => {
+    expect(buildDepartmentInvoiceLines(statement, "usd")).toEqual([
+      expect.objectContaining({ description: "John Doe (Resident) — Better Sweater Jacket - Mens L (Black)", amount: 8750, taxable: true }),
+      expect.objectContaining({ description: "Sam Poe (Fellow) — Better Sweater Jacket - Mens L (Black)", amount: 4000 }),
+    ]);
+  });
+});
+
+describe("purchase order", () => {
+  const jacket = { Name: "John Doe", Email: "John@Test.com", Product: "Better Sweater Jacket", Style: "Mens", Size: "L", Color: "Black", Logo: "Option 1" };
+  const rows = [
+    { ...jacket, "Embroidered Name": "Dr. Doe", "Thread Color": "White" },
+    { ...jacket, Size: "XS" },
+    { ...jacket, Size: "XS", Name: "Jane Roe", Email: "jane@test.com", Style: "Womens", Color: "Birch White" },
+    { ...jacket, Color: "New Navy" },
+    { ...jacket, Size: "3XL", "Embroidered Name": "A <b>", "Thread Color": "Black" },
+  ];
+  const eligibleCombos = { "Better Sweater Jacket|Black": 3, "Better Sweater Jacket|Gray": 1 };
+  const sleeve = { ...jacket, Size: "L", "Add-ons": "Sleeve logo", "Embroidered Name": "Dr. Doe", "Thread Color": "White" };
+  const products = { styles: { Mens: { sizes: ["XS", "L", "3XL"] }, Womens: { sizes: ["XXS", "XS"] } } };
+  const po = buildPurchaseOrder(rows, eligibleCombos, pricing, products);
+
+  it("counts eligible units by product, style, color and logo, with sizes in products.json order", () => {
+    expect(po.sizes).toEqual(["XS", "L", "3XL"]);
+    expect(po.lines.map((l) => [l.style, l.color, l.sizes, l.quantity])).toEqual([
+      ["Mens", "Black", { L: 1, XS: 1, "3XL": 1 }, 3],
+      ["Womens", "Birch White", { XS: 1 }, 1],
+    ]);
+    expect(po).toMatchObject({ unitCount: 4, excludedCount: 1 });
+  });
+
+  it("lists each name embroidery with its thread color", () => {
+    expect(po.embroidery.map((job) => [job.name, job.threadColor, job.size, job.email])).toEqual([
+      ["A <b>", "Black", "3XL", "john@test.com"],
+      ["Dr. Doe", "White", "L", "john@test.com"],
+    ]);
+  });
+
+  it("puts garments with add-ons on lines of their own and counts each add-on", () => {
+    const withAddOn = buildPurchaseOrder([...rows, sleeve], { ...eligibleCombos, "Better Sweater Jacket|Black": 4 }, pricing, products);
+
+    expect(withAddOn.lines.map((l) => [l.style, l.color, l.addOns, l.sizes])).toEqual([
+      ["Mens", "Black", [], { L: 1, XS: 1, "3XL": 1 }],
+      ["Mens", "Black", ["Sleeve logo"], { L: 1 }],
+      ["Womens", "Birch White", [], { XS: 1 }],
+    ]);
+    expect(withAddOn.addOns).toEqual({ "Sleeve logo": 1 });
+    expect(withAddOn.embroidery.find((job) => job.addOns.length > 0)).toMatchObject({ name: "Dr. Doe", addOns: ["Sleeve logo"] });
+
+    const csv = formatPurchaseOrderCSV(withAddOn);
+    expect(csv).toContain("garment,Better Sweater Jacket,Mens,Black,Option 1,L,1,,,,,Sleeve logo");
+    expect(csv).toContain("embroidery,Better Sweater Jacket,Mens,Black,Option 1,L,1,Dr. Doe,White,John Doe,john@test.com,Sleeve logo");
+    const html = formatPurchaseOrderHTML(withAddOn, { title: "CMC EM", date: "2026-01-01" });
+    expect(html).toContain("<td>Option 1</td><td>Sleeve logo</td><td></td><td>1</td>");
+    expect(html).toContain("<td>Better Sweater Jacket — Mens L (Black) + Sleeve logo</td>");
+  });
+
+  it("formats a CSV with garment, embroidery and total rows", () => {
+    const lines = formatPurchaseOrderCSV(po).trim().split("\n");
+
+    expect(lines[0]).toBe("Record,Product,Style,Color,Logo,Size,Quantity,Embroidered Name,Thread Color,Customer,Email,Add-ons");
+    expect(lines[1]).toBe("garment,Better Sweater Jacket,Mens,Black,Option 1,XS,1,,,,,");
+    expect(lines[5]).toBe("embroidery,Better Sweater Jacket,Mens,Black,Option 1,3XL,1,A <b>,Black,John Doe,john@test.com,");
+    expect(lines[7]).toBe("total,,,,,,4,2 name(s),,,,");
+  });
+
+  it("formats an HTML sheet with a size grid and escaped names", () => {
+    const html = formatPurchaseOrderHTML(po, { title: "CMC EM", date: "2026-01-01" });
+
+    expect(html).toContain("<th>XS</th><th>L</th><th>3XL</th><th>Total</th>");
+    expect(html).toContain("<td>Womens</td><td>Birch White</td><td>Option 1</td><td></td><td>1</td><td></td><td></td><td>1</td>");
+    expect(html).toContain("<td>A &lt;b&gt;</td>");
+    expect(html).not.toContain("A <b>");
+  });
+});
+
+describe("packing slips", () => {
+  const jacket = { product: "Better Sweater Jacket", style: "Mens", size: "L", color: "Black", logo: "Option 1", embroideredName: "", threadColor: "" };
+  const customers = [
+    { name: "Dr. Sam Zed", email: "sam@test.com", phone: "", position: "Resident", items: [jacket, { ...jacket, color: "New Navy" }] },
+    { name: "Ann Lee", email: "ann@test.com", phone: "555-1111", position: "Attending", items: [{ ...jacket, embroideredName: "Dr. <Lee>", threadColor: "White" }] },
+    { name: "Bo Abel", email: "bo@test.com", phone: "", position: "Resident", items: [jacket] },
+    { name: "Cy Navy", email: "cy@test.com", phone: "", position: "Fellow", items: [{ ...jacket, color: "New Navy" }] },
+  ];
+  const eligibleCombos = { "Better Sweater Jacket|Black": 3 };
+
+  it("groups slips by position, sorted by last name, without items below the minimum", () => {
+    const packing = buildPackingSlips(customers, eligibleCombos, pricing);
+
+    expect(packing.groups.map((g) => [g.label, g.slips.map((s) => s.email)])).toEqual([
+      ["Attending", ["ann@test.com"]],
+      ["Resident", ["bo@test.com", "sam@test.com"]],
+    ]);
+    expect(packing.groups[1].slips[1]).toMatchObject({ items: [jacket], excludedCount: 1 });
+    expect(packing).toMatchObject({ itemCount: 3, excludedCount: 2 });
+    expect(packing.emptyCustomers.map((c) => c.email)).toEqual(["cy@test.com"]);
+  });
+
+  it("groups by last name initial, ignoring titles", () => {
+    const packing = buildPackingSlips(customers, eligibleCombos, pricing, { groupBy: "name" });
+
+    expect(packing.groups.map((g) => g.label)).toEqual(["A", "L", "Z"]);
+    expect(() => buildPackingSlips(customers, eligibleCombos, pricing, { groupBy: "size" })).toThrow("grouped by: position, name");
+  });
+
+  it("formats a checklist and one slip per customer", () => {
+    const html = formatPackingSlipsHTML(buildPackingSlips(customers, eligibleCombos, pricing), { title: "CMC EM", date: "2026-01-01" });
+
+    expect(html).toContain("3 people · 3 items");
+    expect(html).toContain("<tr class=\"group\"><td colspan=\"6\">Resident (2)</td></tr>");
+    expect(html.match(/<section class="slip">/g)).toHaveLength(3);
+    expect(html).toContain("<td>Dr. &lt;Lee&gt; (White thread)</td>");
+    expect(html).toContain("1 item(s) · 1 not ordered (below the minimum)");
+  });
+
+  it("lists each item's add-ons on the slip", () => {
+    const withAddOn = [{ ...customers[2], items: [{ ...jacket, addOns: ["Sleeve logo", "Gift box"] }] }];
+    const html = formatPackingSlipsHTML(buildPackingSlips(withAddOn, eligibleCombos, pricing), { title: "CMC EM", date: "2026-01-01" });
+
+    expect(html).toContain("<th>Logo</th><th>Add-ons</th>");
+    expect(html).toContain("<td>Option 1</td><td>Sleeve logo, Gift box</td><td></td></tr>");
+  });
+});
+
+// ─── Embedded Pricing Tests ──────────────────────────────────────────────────
+
+describe("embedded pricing", () => {
+  const config = buildEmbeddedPricing(pricing, 6);
+  const file = "const A = 1;\n// BEGIN GENERATED PRICING\n// END GENERATED PRICING\nconst B = PRICING_CONFIG.logoFee;\n";
+
+  it("takes tiers, fees, tax and the processing fee from pricing.json", () => {
+    expect(config).toEqual({
+      minQuantity: 6,
+      tiers: [6, 18, 50, 72],
+      products: pricing.products,
+      embroideryFee: 8,
+      logoFee: 10,
+      foldingFee: 0.75,
+      extras: [],
+      tierGrouping: pricing.tierGrouping,
+      taxName: "NC Sales Tax",
+      taxRate: 0.0725,
+      processingFee: { policy: "pass-through", percent: 0.029, fixed: 0.3, max: null },
+    });
+  });
+
+  it("writes the block between the markers and reads it back", () => {
+    const synced = replaceBlock(file, "pricing", formatBlock("pricing", config, "pricing.json"));
+
+    expect(synced.startsWith("const A = 1;\n// BEGIN GENERATED PRICING — from pricing.json")).toBe(true);
+    expect(synced.endsWith("// END GENERATED PRICING\nconst B = PRICING_CONFIG.logoFee;\n")).toBe(true);
+    expect(readBlock(synced, "pricing")).toEqual(config);
+    expect(replaceBlock(synced, "pricing", formatBlock("pricing", config, "pricing.json"))).toBe(synced);
+    expect(readBlock(synced, "catalog")).toBeNull();
+    expect(() => replaceBlock("const A = 1;", "catalog", "")).toThrow("no \"// BEGIN GENERATED CATALOG\"");
+  });
+
+  it("lists every value that differs", () => {
+    const copy = JSON.parse(JSON.stringify(config));
+    copy.products["Better Sweater Vest"]["18"] = 130;
+    delete copy.foldingFee;
+
+    expect(diffEmbedded(config, copy)).toEqual([
+      { path: "products.Better Sweater Vest.18", expected: 131.28, actual: 130 },
+      { path: "foldingFee", expected: 0.75, actual: undefined },
+    ]);
+  });
+
+  it("matches pricing.json and products.json in the order form and the Apps Script", () => {
+    const campaign = loadCampaign(path.join(__dirname, "campaigns"), "patagonia");
+    const expected = {
+      pricing: buildEmbeddedPricing(campaign.pricing, campaign.minQuantity),
+      catalog: buildFormCatalog(campaign.products),
+    };
+
+    for (const file of ["index.html", "google-apps-script.js"]) {
+      const text = fs.readFileSync(path.join(__dirname, file), "utf-8");
+      for (const name of ["pricing", "catalog"]) {
+        const differences = diffEmbedded(expected[name], readBlock(text, name));
+        expect({ file, name, differences }).toEqual({ file, name, differences: [] });
+      }
+    }
+  });
+});
+
+// ─── Campaign Tests ──────────────────────────────────────────────────────────
+
+describe("campaigns", () => {
+  let dir;
+
+  function writeCampaign(id, config, campaignPricing = pricing) {
+    fs.mkdirSync(path.join(dir, id), { recursive: true });
+    fs.writeFileSync(path.join(dir, id, "campaign.json"), JSON.stringify(config));
+    if (campaignPricing) fs.writeFileSync(path.join(dir, id, "pricing.json"), JSON.stringify(campaignPricing));
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "campaigns-"));
+    writeCampaign("patagonia", { name: "Patagonia Order", source: "cmc-patagonia-order" });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads a campaign with defaults filled in", () => {
+    const campaign = loadCampaign(dir, "patagonia");
+
+    expect(campaign).toMatchObject({
+      id: "patagonia",
+      name: "Patagonia Order",
+      source: "cmc-patagonia-order",
+      sheetUrlEnv: "APPS_SCRIPT_URL",
+      minQuantity: 6,
+      pricing,
+    });
+    expect(campaignMetadata(campaign)).toEqual({ source: "cmc-patagonia-order", campaign: "patagonia" });
+  });
+
+  it("uses the only campaign unless another is asked for", () => {
+    expect(resolveCampaignId(dir)).toBe("patagonia");
+    expect(() => resolveCampaignId(dir, "scrubs")).toThrow('Unknown campaign "scrubs" (campaigns: patagonia)');
+
+    writeCampaign("scrubs", { sheetUrlEnv: "SCRUBS_APPS_SCRIPT_URL", minQuantity: 12 });
+
+    expect(listCampaigns(dir)).toEqual(["patagonia", "scrubs"]);
+    expect(() => resolveCampaignId(dir)).toThrow("pick one with --campaign");
+    expect(loadCampaign(dir, resolveCampaignId(dir, "scrubs"))).toMatchObject({
+      source: "scrubs",
+      sheetUrlEnv: "SCRUBS_APPS_SCRIPT_URL",
+      minQuantity: 12,
+    });
+  });
+
+  it("rejects campaigns that share a source tag or lack pricing", () => {
+    writeCampaign("copy", { source: "cmc-patagonia-order" });
+    writeCampaign("empty", {}, null);
+
+    expect(() => loadCampaign(dir, "copy")).toThrow('Campaigns copy and patagonia both use the source tag "cmc-patagonia-order"');
+    expect(() => loadCampaign(dir, "empty")).toThrow("Campaign empty has no pricing.json");
+  });
+
+  it("loads the product options when the campaign has them", () => {
+    expect(loadCampaign(dir, "patagonia").products).toBeNull();
+
+    fs.writeFileSync(path.join(dir, "patagonia", "products.json"), JSON.stringify({ products: ["Better Sweater Jacket"], styles: {} }));
+
+    expect(() => loadCampaign(dir, "patagonia")).toThrow("Campaign patagonia: products.json styles must have at least one style");
+  });
+
+  it("adds the campaign to a customer's list once", () => {
+    const campaign = { id: "scrubs" };
+
+    expect(addCustomerCampaign({ metadata: {} }, campaign)).toEqual({ campaigns: "scrubs" });
+    expect(addCustomerCampaign({ metadata: { campaigns: "patagonia" } }, campaign)).toEqual({ campaigns: "patagonia,scrubs" });
+    expect(addCustomerCampaign({ metadata: { campaigns: "patagonia,scrubs" } }, campaign)).toBeNull();
+  });
+});
+
+// ─── Order Validation Tests ──────────────────────────────────────────────────
+
+describe("product catalog", () => {
+  const products = {
+    products: [
+      "Better Sweater Jacket",
+      { name: "Better Sweater Vest", label: "Vest", styles: ["Womens"], colors: { Womens: ["Black"] } },
+    ],
+    styles: {
+      Mens: { label: "Men's", sizes: ["S", "M"], colors: ["Black", "Stonewash"] },
+      Womens: { sizes: ["XS", "S"], colors: ["Black", "Birch White"] },
+    },
+    colors: { Stonewash: { label: "Stonewash (Heather Gray)", swatch: "#8a9a9a" } },
+    logos: ["Option 1", { name: "Option 2", label: "Skyline Logo", image: "images/logos.jpg" }],
+    threadColors: ["Black", "White"],
+  };
+
+  it("offers every style and the style's colors unless the product lists its own", () => {
+    expect(stylesFor(products, "Better Sweater Jacket")).toEqual(["Mens", "Womens"]);
+    expect(stylesFor(products, "Better Sweater Vest")).toEqual(["Womens"]);
+    expect(colorsFor(products, "Better Sweater Jacket", "Womens")).toEqual(["Black", "Birch White"]);
+    expect(colorsFor(products, "Better Sweater Vest", "Womens")).toEqual(["Black"]);
+    expect(colorsFor(products, "Better Sweater Vest", "Kids")).toEqual([]);
+  });
+
+  it("fills in labels, swatches and images for the form", () => {
+    const catalog = buildFormCatalog(products);
+
+    expect(catalog.products).toEqual([
+      {
+        name: "Better Sweater Jacket",
+        label: "Better Sweater Jacket",
+        title: "Better Sweater Jacket",
+        styles: ["Mens", "Womens"],
+        colors: { Mens: ["Black", "Stonewash"], Womens: ["Black", "Birch White"] },
+      },
+      { name: "Better Sweater Vest", label: "Vest", title: "Better Sweater Vest", styles: ["Womens"], colors: { Womens: ["Black"] } },
+    ]);
+    expect(catalog.styles).toEqual({ Mens: { label: "Men's", sizes: ["S", "M"] }, Womens: { label: "Womens", sizes: ["XS", "S"] } });
+    expect(catalog.colors.Stonewash).toEqual({ label: "Stonewash (Heather Gray)", swatch: "#8a9a9a" });
+    expect(catalog.colors["Birch White"]).toEqual({ label: "Birch White", swatch: "#cccccc" });
+    expect(catalog.logos).toEqual([
+      { name: "Option 1", label: "Option 1", image: null },
+      { name: "Option 2", label: "Skyline Logo", image: "images/logos.jpg" },
+    ]);
+    expect(catalog.embroideredNameMaxLength).toBeNull();
+  });
+
+  it("checks rows against a product's own styles and colors", () => {
+    const row = { Name: "Jane Roe", Email: "jane@test.com", Product: "Better Sweater Vest", Style: "Womens", Size: "S", Color: "Black", Logo: "Option 2" };
+    const messages = (r) => validateRow(r, products, pricing).map((e) => e.message);
+
+    expect(messages(row)).toEqual([]);
+    expect(messages({ ...row, Style: "Mens", Size: "M" })).toEqual(['Style "Mens" is not offered for Better Sweater Vest (styles: Womens)']);
+    expect(messages({ ...row, Color: "Birch White" })).toEqual([
+      'Color "Birch White" is not a Womens Better Sweater Vest color (Black)',
+    ]);
+  });
+
+  it("checks product and logo entries", () => {
+    expect(checkProductOptions(products)).toEqual([]);
+    expect(checkProductOptions({
+      ...products,
+      products: [{ label: "Jacket" }, { name: "Better Sweater Vest", styles: ["Kids"] }],
+      logos: [{ image: "images/logos.jpg" }],
+    })).toEqual([
+      "every product needs a name",
+      "product Better Sweater Vest has unknown style(s): Kids",
+      "every logo needs a name",
+    ]);
+  });
+
+  it("needs a style's colors only for products that don't list their own", () => {
+    const ownColors = {
+      ...products,
+      products: [{ name: "Better Sweater Vest", styles: ["Womens"], colors: { Womens: ["Black"] } }],
+      styles: { Womens: { sizes: ["XS", "S"] } },
+    };
+
+    expect(checkProductOptions(ownColors)).toEqual([]);
+    expect(checkProductOptions({ ...ownColors, products: [...ownColors.products, "Better Sweater Jacket"] })).toEqual([
+      "style Womens must list its colors",
+    ]);
+    expect(buildFormCatalog(ownColors).products[0].colors).toEqual({ Womens: ["Black"] });
+  });
+});
+
+describe("validateRow", () => {
+  const products = {
+    products: ["Better Sweater Jacket", "Better Sweater Vest"],
+    styles: {
+      Mens: { sizes: ["S", "M", "L"], colors: ["Black", "Stonewash"] },
+      Womens: { sizes: ["XXS", "S", "M"], colors: ["Black", "Birch White"] },
+    },
+    logos: ["Option 1", "Option 2"],
+    threadColors: ["Black", "White"],
+    embroideredNameMaxLength: 20,
+  };
+  const row = {
+    Name: "John Doe",
+    Email: "john@test.com",
+    Product: "Better Sweater Jacket",
+    Style: "Mens",
+    Size: "L",
+    Color: "Black",
+    Logo: "Option 1",
+    "Embroidered Name": "",
+    "Thread Color": "",
+  };
+  const messages = (r, options = products) => validateRow(r, options, pricing).map((e) => e.message);
+
+  it("passes a row that matches the product options", () => {
+    expect(validateRow(row, products, pricing)).toEqual([]);
+    expect(validateRow({ ...row, "Embroidered Name": "Dr. Doe", "Thread Color": "White" }, products, pricing)).toEqual([]);
+  });
+
+  it("reads numeric cells from the sheet as text", () => {
+    const numeric = { ...products, styles: { ...products.styles, Kids: { sizes: ["8", "10"], colors: ["Black"] } } };
+
+    expect(validateRow({ ...row, Style: "Kids", Size: 10, Phone: 5551234 }, numeric, pricing)).toEqual([]);
+    expect(validateRow({ ...row, Style: "Kids", Size: 0 }, numeric, pricing)).toEqual([
+      { column: "Size", value: "0", message: 'Size "0" is not a Kids size (8, 10)' },
+    ]);
+  });
+
+  it("checks sizes and colors against the row's style", () => {
+    expect(messages({ ...row, Size: "XXS" })).toEqual(['Size "XXS" is not a Mens size (S, M, L)']);
+    expect(messages({ ...row, Color: "Birch White" })).toEqual(['Color "Birch White" is not a Mens color (Black, Stonewash)']);
+    expect(messages({ ...row, Style: "Womens", Size: "XXS", Color: "Birch White" })).toEqual([]);
+  });
+
+  it("flags unknown products, styles and logos", () => {
+    expect(messages({ ...row, Product: "Nano Puff" })).toEqual([expect.stringContaining('Product "Nano Puff" is not offered')]);
+    expect(messages({ ...row, Style: "Kids" })).toEqual(['Style "Kids" is not offered (styles: Mens, Womens)']);
+    expect(messages({ ...row, Logo: "Option 9" })).toEqual(['Logo "Option 9" is not offered (logos: Option 1, Option 2)']);
+  });
+
+  it("needs a thread color for an embroidered name, and keeps the name short", () => {
+    expect(messages({ ...row, "Embroidered Name": "Dr. Doe" })).toEqual(["Thread Color is missing for the embroidered name"]);
+    expect(messages({ ...row, "Embroidered Name": "Dr. Doe", "Thread Color": "Gold" })).toEqual(['Thread Color "Gold" is not offered (Black, White)']);
+    expect(messages({ ...row, "Embroidered Name": "Dr. Jonathan Q. Doe, MD", "Thread Color": "White" })).toEqual([
+      "Embroidered Name is 23 characters (max 20)",
+    ]);
+  });
+
+  it("flags add-ons pricing.json doesn't offer", () => {
+    const withAddOns = { ...pricing, addOns: { "Sleeve logo": { price: 12 } } };
+    const addOnMessages = (addOns, p) => validateRow({ ...row, "Add-ons": addOns }, products, p).map((e) => e.message);
+
+    expect(addOnMessages("Sleeve logo", withAddOns)).toEqual([]);
+    expect(addOnMessages("Sleeve logo, Gift box", withAddOns)).toEqual(['Add-on "Gift box" is not offered (add-ons: Sleeve logo)']);
+    expect(addOnMessages("Gift box, Hood", pricing)).toEqual(['Add-ons "Gift box", "Hood" are not offered']);
+  });
+
+  it("needs the required columns and a real email", () => {
+    expect(messages({ ...row, Size: " ", Email: "john at test" })).toEqual([
+      "Size is missing",
+      'Email "john at test" is not an email address',
+    ]);
+  });
+
+  it("checks products against pricing.json without product options", () => {
+    expect(messages({ ...row, Size: "XXS" }, null)).toEqual([]);
+    expect(messages({ ...row, Product: "Nano Puff" }, null)).toEqual(['Product "Nano Puff" has no price in pricing.json']);
+    expect(messages({ ...row, Product: "Better Sweater Quarter Zip" })).toEqual([
+      'Product "Better Sweater Quarter Zip" is not offered (products: Better Sweater Jacket, Better Sweater Vest)',
+    ]);
+  });
+
+  it("reports errors by sheet row number", () => {
+    const errors = validateRows([row, { ...row, Size: "XXS", _row: 9 }, { ...row, Logo: "" }], products, pricing);
+
+    expect(errors.map(({ row: n, column }) => [n, column])).toEqual([[9, "Size"], [4, "Logo"]]);
+    expect(errors[0]).toMatchObject({ email: "john@test.com", value: "XXS" });
+  });
+
+  it("checks the product options file itself", () => {
+    expect(checkProductOptions(products)).toEqual([]);
+    expect(checkProductOptions({ products: [], styles: { Mens: { sizes: ["M"] } }, logos: ["Option 1"], threadColors: [] })).toEqual([
+      "products must list at least one product",
+      "style Mens must list its colors",
+    ]);
+  });
+});
+
+// ─── Billing Provider Tests ──────────────────────────────────────────────────
+
+describe("createBillingProvider", () => {
+  it("creates the fake provider without credentials", () => {
+    expect(createBillingProvider("fake").name).toBe("fake");
+  });
+
+  it("rejects unknown providers", () => {
+    expect(() => createBillingProvider("paypal")).toThrow('Unknown billing provider "paypal"');
+  });
+});
+
+describe("fake billing provider", () => {
+  async function openInvoice(billing) {
+    const customer = await billing.createCustomer({ email: "john@test.com", name: "John" });
+    const taxRate = await billing.createTaxRate({ percentage: 7.25 });
+    const invoice = await billing.createInvoice({ customer: customer.id, metadata: { source: "test" } });
+    await billing.addInvoiceItem({ invoice: invoice.id, description: "Jacket", amount: 10000, currency: "usd", tax_rates: [taxRate.id] });
+    await billing.addInvoiceItem({ invoice: invoice.id, description: "Fee", amount: 330, currency: "usd" });
+    return billing.finalizeInvoice(invoice.id);
+  }
+
+  it("totals invoices with exclusive tax on taxed lines only", async () => {
+    const invoice = await openInvoice(createFakeProvider());
+
+    expect(invoice.status).toBe("open");
+    expect(invoice.customer_email).toBe("john@test.com");
+    expect(invoice.subtotal).toBe(10330);
+    expect(invoice.tax).toBe(725);
+    expect(invoice.total).toBe(11055);
+    expect(invoice.hosted_invoice_url).toContain(invoice.id);
+  });
+
+  it("totals invoices the way calculateInvoiceTotal expects", async () => {
+    const billing = createFakeProvider();
+    const taxRate = await billing.createTaxRate({ percentage: 7.25 });
+    const customer = await billing.createCustomer({ email: "john@test.com", name: "John" });
+    const lines = [
+      { amount: 17500, taxable: true },
+      { amount: 150, taxable: true },
+      { amount: -8750, taxable: true },
+      { amount: 1023, taxable: false },
+    ];
+    const invoice = await billing.createInvoice({ customer: customer.id });
+    for (const line of lines) {
+      await billing.addInvoiceItem({
+        invoice: invoice.id,
+        amount: line.amount,
+        currency: "usd",
+        tax_rates: line.taxable ? [taxRate.id] : [],
+      });
+    }
+
+    expect((await billing.finalizeInvoice(invoice.id)).total).toBe(calculateInvoiceTotal(lines, 0.0725).total);
+  });
+
+  it("only deletes drafts and only voids finalized invoices", async () => {
+    const billing = createFakeProvider();
+    const invoice = await openInvoice(billing);
+
+    await expect(billing.deleteInvoice(invoice.id)).rejects.toThrow("Only draft invoices");
+    await billing.voidInvoice(invoice.id);
+    expect((await billing.getInvoice(invoice.id)).status).toBe("void");
+    await expect(billing.addInvoiceItem({ invoice: invoice.id, amount: 1 })).rejects.toThrow("not a draft");
+  });
+
+  it("returns null for missing objects and 404s on changes to them", async () => {
+    const billing = createFakeProvider();
+
+    expect(await billing.getInvoice("in_missing")).toBeNull();
+    expect(await billing.getCreditNote("cn_missing")).toBeNull();
+    await expect(billing.voidInvoice("in_missing")).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("issues credit notes with tax and voids them", async () => {
+    const billing = createFakeProvider();
+    const invoice = await openInvoice(billing);
+    await billing.markPaid(invoice.id);
+    const [jacket] = await billing.listInvoiceLines(invoice.id);
+    const params = { invoice: invoice.id, lines: [{ type: "invoice_line_item", invoice_line_item: jacket.id, amount: 1000 }] };
+
+    const preview = await billing.previewCreditNote(params);
+    const creditNote = await billing.createCreditNote({ ...params, refund_amount: preview.total });
+
+    expect(creditNote.total).toBe(1073);
+    expect(creditNote.refund_amount).toBe(1073);
+    await billing.voidCreditNote(creditNote.id);
+    expect((await billing.getCreditNote(creditNote.id)).status).toBe("void");
+  });
+
+  it("bills catalog prices and moves lookup keys to replacement prices", async () => {
+    const billing = createFakeProvider();
+    const customer = await billing.createCustomer({ email: "john@test.com" });
+    await billing.createProduct({ id: "prod_vest", name: "Vest" });
+    const old = await billing.createPrice({ product: "prod_vest", unit_amount: 13288, currency: "usd", lookup_key: "vest|6" });
+    const price = await billing.createPrice({ product: "prod_vest", unit_amount: 13128, currency: "usd", lookup_key: "vest|6", transfer_lookup_key: true });
+    await billing.updatePrice(old.id, { active: false });
+
+    const invoice = await billing.createInvoice({ customer: customer.id });
+    await billing.addInvoiceItem({ invoice: invoice.id, price: price.id, quantity: 2 });
+    const [line] = await billing.listInvoiceLines(invoice.id);
+
+    expect(await billing.listPrices(["vest|6"])).toEqual([expect.objectContaining({ id: price.id })]);
+    expect(line).toMatchObject({ amount: 26256, quantity: 2, price: { id: price.id, lookup_key: "vest|6" } });
+    await expect(billing.createPrice({ product: "prod_vest", unit_amount: 1, currency: "usd", lookup_key: "vest|6" }))
+      .rejects.toThrow("already in use");
+  });
+
+  it("merges metadata when updating a customer", async () => {
+    const billing = createFakeProvider();
+    const customer = await billing.createCustomer({ email: "john@test.com", metadata: { source: "a", campaigns: "a" } });
+
+    const updated = await billing.updateCustomer(customer.id, { metadata: { campaigns: "a,b" } });
+
+    expect(updated.metadata).toEqual({ source: "a", campaigns: "a,b" });
+  });
+
+  it("persists state to a file between instances", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "billing-"));
+    const file = path.join(dir, "billing.json");
+    try {
+      const invoice = await openInvoice(createFakeProvider({ file }));
+      const reopened = createFakeProvider({ file });
+
+      expect(await reopened.listInvoices()).toHaveLength(1);
+      expect((await reopened.getInvoice(invoice.id)).total).toBe(11055);
+      expect((await reopened.findCustomerByEmail("john@test.com")).name).toBe("John");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("fake billing idempotency", () => {
+  it("returns the first result for a repeated idempotency key", async () => {
+    const billing = createFakeProvider();
+    const params = { email: "john@test.com" };
+
+    const first = await billing.createCustomer(params, { idempotencyKey: "k1" });
+    const second = await billing.createCustomer(params, { idempotencyKey: "k1" });
+
+    expect(second.id).toBe(first.id);
+    await expect(billing.createCustomer({ email: "other@test.com" }, { idempotencyKey: "k1" }))
+      .rejects.toThrow("different parameters");
+  });
+
+  it("injects failures before or after the call takes effect", async () => {
+    const billing = createFakeProvider();
+    billing.failNext("createCustomer", { statusCode: 429 });
+    billing.failNext("createCustomer", { afterCommit: true });
+
+    await expect(billing.createCustomer({ email: "a@test.com" })).rejects.toMatchObject({ statusCode: 429 });
+    expect(await billing.findCustomerByEmail("a@test.com")).toBeNull();
+    await expect(billing.createCustomer({ email: "a@test.com" })).rejects.toMatchObject({ statusCode: 500 });
+    expect(await billing.findCustomerByEmail("a@test.com")).not.toBeNull();
+  });
+});
+
+// ─── Apps Script Tests ───────────────────────────────────────────────────────
+
+/**
+ * Loads google-apps-script.js against an in-memory sheet
+ * @param {Array<Array<string>>} values - Sheet values, header row first; updated in place
+ * @returns {Object} The script's globals (doGet, doPost, ...)
+ */
+function loadAppsScript(values) {
+  const sheet = {
+    getDataRange: () => ({ getValues: () => values.map((row) => values[0].map((_, i) => row[i] ?? "")) }),
+    getRange: (row, column) => ({ setValue: (value) => { values[row - 1][column - 1] = value; } }),
+  };
+  const script = vm.createContext({
+    SpreadsheetApp: { getActiveSpreadsheet: () => ({ getSheetByName: () => sheet }) },
+    ContentService: {
+      MimeType: { JSON: "application/json" },
+      createTextOutput: (text) => ({ text, setMimeType() { return this; } }),
+    },
+    LockService: { getScriptLock: () => ({ waitLock() {}, releaseLock() {} }) },
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, "google-apps-script.js"), "utf-8"), script);
+  return script;
+}
+
+describe("Apps Script invoice ID write-back", () => {
+  const header = ["Email", "Product", "Invoice ID"];
+  const post = (script, data) => JSON.parse(script.doPost({ postData: { contents: JSON.stringify({ action: "updateInvoiceId", ...data }) } }).text);
+
+  it("writes the requested rows, a merged customer's alias rows included", () => {
+    const values = [header, ["john@test.com", "Jacket", ""], ["JONH@test.com", "Vest", ""], ["jane@test.com", "Jacket", ""]];
+
+    const result = post(loadAppsScript(values), { email: "john@test.com", emails: ["john@test.com", "jonh@test.com"], invoiceId: "in_1", rows: [2, 3] });
+
+    expect(result).toEqual({ status: "ok", updatedRows: 2, skippedRows: [] });
+    expect(values.map((row) => row[2])).toEqual(["Invoice ID", "in_1", "in_1", ""]);
+  });
+
+  it("skips a row that no longer belongs to the customer", () => {
+    // Jane's row was inserted above John's second row after the fetch
+    const values = [header, ["john@test.com", "Jacket", ""], ["jane@test.com", "Jacket", ""], ["john@test.com", "Vest", ""]];
+
+    const result = post(loadAppsScript(values), { email: "john@test.com", invoiceId: "in_1", rows: [2, 3] });
+
+    expect(result).toEqual({ status: "ok", updatedRows: 1, skippedRows: [3] });
+    expect(values.map((row) => row[2])).toEqual(["Invoice ID", "in_1", "", ""]);
+  });
+});
+
+// ─── Retry and Concurrency Tests ─────────────────────────────────────────────
+
+describe("isRetryableError", () => {
+  it("retries rate limits, server errors and connection errors only", () => {
+    expect(isRetryableError({ statusCode: 429 })).toBe(true);
+    expect(isRetryableError({ statusCode: 503 })).toBe(true);
+    expect(isRetryableError({ type: "StripeConnectionError" })).toBe(true);
+    expect(isRetryableError({ statusCode: 400 })).toBe(false);
+    expect(isRetryableError({ statusCode: 404 })).toBe(false);
+  });
+});
+
+describe("getRetryDelay", () => {
+  const options = { baseDelayMs: 500, maxDelayMs: 8000 };
+
+  it("doubles the ceiling each attempt, capped at the maximum", () => {
+    const full = () => 1;
+    expect(getRetryDelay(1, {}, options, full)).toBe(500);
+    expect(getRetryDelay(3, {}, options, full)).toBe(2000);
+    expect(getRetryDelay(10, {}, options, full)).toBe(8000);
+  });
+
+  it("honors Retry-After", () => {
+    expect(getRetryDelay(1, { headers: { "retry-after": "2" } }, options)).toBe(2000);
+  });
+});
+
+describe("withRetry", () => {
+  const noSleep = { sleep: async () => {} };
+
+  it("retries until the call succeeds", async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw Object.assign(new Error("busy"), { statusCode: 429 });
+      return "ok";
+    }, noSleep);
+
+    expect(result).toBe("ok");
+    expect(calls).toBe(3);
+  });
+
+  it("gives up after the configured retries", async () => {
+    let calls = 0;
+    const fail = async () => {
+      calls++;
+      throw Object.assign(new Error("down"), { statusCode: 500 });
+    };
+
+    await expect(withRetry(fail, { ...noSleep, retries: 2 })).rejects.toThrow("down");
+    expect(calls).toBe(3);
+  });
+
+  it("does not retry client errors", async () => {
+    let calls = 0;
+    const fail = async () => {
+      calls++;
+      throw Object.assign(new Error("bad"), { statusCode: 400 });
+    };
+
+    await expect(withRetry(fail, noSleep)).rejects.toThrow("bad");
+    expect(calls).toBe(1);
+  });
+});
+
+describe("createRetryingProvider", () => {
+  const noSleep = { sleep: async () => {} };
+
+  it("never duplicates a create whose response was lost", async () => {
+    const fake = createFakeProvider();
+    const billing = createRetryingProvider(fake, noSleep);
+    fake.failNext("createCustomer", { afterCommit: true });
+
+    const customer = await billing.createCustomer({ email: "john@test.com" }, { idempotencyKey: "run:customer" });
+
+    expect(customer.email).toBe("john@test.com");
+    const again = await billing.createCustomer({ email: "john@test.com" }, { idempotencyKey: "run:customer" });
+    expect(again.id).toBe(customer.id);
+  });
+
+  it("does not retry creates without an idempotency key", async () => {
+    const fake = createFakeProvider();
+    const billing = createRetryingProvider(fake, noSleep);
+    fake.failNext("createCustomer", { statusCode: 503 });
+
+    await expect(billing.createCustomer({ email: "john@test.com" })).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it("retries a send only with an idempotency key, so a lost response never emails twice", async () => {
+    const fake = createFakeProvider();
+    const customer = await fake.createCustomer({ email: "john@test.com" });
+    const invoice = await fake.createInvoice({ customer: customer.id });
+    await fake.finalizeInvoice(invoice.id);
+    const sendInvoice = jest.fn(fake.sendInvoice);
+    const billing = createRetryingProvider({ ...fake, sendInvoice }, noSleep);
+
+    fake.failNext("sendInvoice", { afterCommit: true });
+    await expect(billing.sendInvoice(invoice.id)).rejects.toMatchObject({ statusCode: 500 });
+    expect(sendInvoice).toHaveBeenCalledTimes(1);
+
+    fake.failNext("sendInvoice", { afterCommit: true });
+    expect((await billing.sendInvoice(invoice.id, { idempotencyKey: "run:send" })).sent).toBe(true);
+    expect(sendInvoice).toHaveBeenCalledTimes(3);
+  });
+
+  it("retries reads", async () => {
+    const fake = createFakeProvider();
+    const billing = createRetryingProvider(fake, noSleep);
+    fake.failNext("listInvoices", { statusCode: 429, times: 2 });
+
+    expect(await billing.listInvoices()).toEqual([]);
+  });
+});
+
+describe("mapWithConcurrency", () => {
+  it("keeps at most `limit` calls in flight and returns results in order", async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, i) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      inFlight--;
+      return i;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(peak).toBe(2);
+  });
+
+  it("handles an empty list", async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
+
+// ─── CSV Parser Tests ────────────────────────────────────────────────────────
+
+describe("parseCSVLine", () => {
+  it("parses simple comma-separated values", () => {
+    const result = parseCSVLine("a,b,c");
+    expect(result).toEqual(["a", "b", "c"]);
+  });
+
+  it("handles quoted fields with commas", () => {
+    const result = parseCSVLine('a,"b,c",d');
+    expect(result).toEqual(["a", "b,c", "d"]);
+  });
+
+  it("handles empty fields", () => {
+    const result = parseCSVLine("a,,c");
+    expect(result).toEqual(["a", "", "c"]);
+  });
+});
+
+describe("formatCSV", () => {
+  it("quotes fields with commas, quotes or newlines", () => {
+    expect(formatCSVField("plain")).toBe("plain");
+    expect(formatCSVField('Say "hi", then\nleave')).toBe('"Say ""hi"", then\nleave"');
+    expect(formatCSVField(undefined)).toBe("");
+  });
+
+  it("writes a header and one line per row", () => {
+    expect(formatCSV([{ a: 1, b: "x,y" }, { a: 2 }], ["a", "b"])).toBe('a,b\n1,"x,y"\n2,\n');
+  });
+});
+
+describe("parseCSV", () => {
+  it("parses CSV content into objects", () => {
+    const csv = "Name,Email\nJohn,john@test.com\nJane,jane@test.com";
+    const result = parseCSV(csv);
+
+    expect(result).toHaveLength(2);
+    expect(result[0]).toEqual({ Name: "John", Email: "john@test.com" });
+    expect(result[1]).toEqual({ Name: "Jane", Email: "jane@test.com" });
+  });
+});
+
+// ─── Formatting Tests ────────────────────────────────────────────────────────
+
+describe("formatItemDescription", () => {
+  it("formats basic item", () => {
+    const item = {
+      product: "Better Sweater Jacket",
+      style: "Mens",
+      size: "L",
+      color: "Black",
+      logo: "Original CMC Logo",
+      embroideredName: "",
+    };
+
+    const desc = formatItemDescription(item);
+
+    expect(desc).toContain("Better Sweater Jacket - Mens L (Black)");
+    expect(desc).toContain("Logo: Original CMC Logo");
+    expect(desc).not.toContain("Embroidered");
+  });
+
+  it("includes embroidery info when present", () => {
+    const item = {
+      product: "Better Sweater Jacket",
+      style: "Mens",
+      size: "L",
+      color: "Black",
+      logo: "Original CMC Logo",
+      embroideredName: "Dr. Smith",
+      threadColor: "White",
+    };
+
+    const desc = formatItemDescription(item);
+
+    expect(desc).toContain('Embroidered: "Dr. Smith" (White thread)');
+  });
+});
+
+// ─── Integration Tests ───────────────────────────────────────────────────────
+
+describe("integration: full pricing calculation", () => {
+  it("calculates correct prices for mixed order", () => {
+    const rows = [
+      // 10 Black Jackets → tier 6
+      ...Array(10).fill({ Product: "Better Sweater Jacket", Color: "Black" }),
+      // 20 Navy Jackets → tier 18
+      ...Array(20).fill({ Product: "Better Sweater Jacket", Color: "New Navy" }),
+      // 55 Black Vests → tier 50
+      ...Array(55).fill({ Product: "Better Sweater Vest", Color: "Black" }),
+    ];
+
+    const counts = countByProductColor(rows);
+    const tierMap = buildTierMap(counts, pricing.tiers);
+
+    expect(tierMap["Better Sweater Jacket|Black"]).toBe("6");
+    expect(tierMap["Better Sweater Jacket|New Navy"]).toBe("18");
+    expect(tierMap["Better Sweater Vest|Black"]).toBe("50");
+
+    // Verify prices
+    const blackJacket = getItemPrice({ product: "Better Sweater Jacket", color: "Black", embroideredName: "" }, tierMap, pricing);
+    const navyJacket = getItemPrice({ product: "Better Sweater Jacket", color: "New Navy", embroideredName: "" }, tierMap, pricing);
+    const blackVest = getItemPrice({ product: "Better Sweater Vest", color: "Black", embroideredName: "" }, tierMap, pricing);
+
+    expect(blackJacket.price).toBe(17500 + 1000 + 75);  // tier 6
+    expect(navyJacket.price).toBe(17358 + 1000 + 75);   // tier 18
+    expect(blackVest.price).toBe(13433);                // tier 50: 123.58 + 10.0 + 0.75
+  });
+
+  it("combines gray colors for tier calculation", () => {
+    const rows = [
+      // 5 Birch White + 5 Stonewash = 10 Gray → tier 6
+      ...Array(5).fill({ Product: "Better Sweater Jacket", Color: "Birch White" }),
+      ...Array(5).fill({ Product: "Better Sweater Jacket", Color: "Stonewash" }),
+    ];
+
+    const counts = countByProductColor(rows);
+    const tierMap = buildTierMap(counts, pricing.tiers);
+
+    expect(counts["Better Sweater Jacket|Gray"]).toBe(10);
+    expect(tierMap["Better Sweater Jacket|Gray"]).toBe("6");
+
+    // Both colors should get same price
+    const birchPrice = getItemPrice({ product: "Better Sweater Jacket", color: "Birch White", embroideredName: "" }, tierMap, pricing);
+    const stonewashPrice = getItemPrice({ product: "Better Sweater Jacket", color: "Stonewash", embroideredName: "" }, tierMap, pricing);
+
+    expect(birchPrice.price).toBe(17500 + 1000 + 75);
+    expect(stonewashPrice.price).toBe(17500 + 1000 + 75);
+  });
+
+  it("excludes combos below minimum and prices eligible correctly", () => {
+    const rows = [
+      // 3 Black Jackets → excluded (below 6)
+      ...Array(3).fill({ Product: "Better Sweater Jacket", Color: "Black" }),
+      // 10 Navy Jackets → tier 6
+      ...Array(10).fill({ Product: "Better Sweater Jacket", Color: "New Navy" }),
+    ];
+
+    const counts = countByProductColor(rows);
+    const { eligible, excluded } = filterByMinimum(counts, 6);
+
+    expect(excluded["Better Sweater Jacket|Black"]).toBe(3);
+    expect(eligible["Better Sweater Jacket|New Navy"]).toBe(10);
+
+    const tierMap = buildTierMap(eligible, pricing.tiers);
+
+    // Navy should be priced at tier 6
+    const navyJacket = getItemPrice({ product: "Better Sweater Jacket", color: "New Navy", embroideredName: "" }, tierMap, pricing);
+    expect(navyJacket.price).toBe(17500 + 1000 + 75);
+
+    // Black is not in tierMap (excluded)
+    expect(tierMap["Better Sweater Jacket|Black"]).toBeUndefined();
+  });
+});
+
+describe("integration: invoice.js against fake billing", () => {
+  const COLUMNS = "Timestamp,Name,Phone,Email,Position,Product,Style,Size,Color,Logo,Embroidered Name,Thread Color,Invoice ID";
+  let dir;
+  let extraEnv;
+
+  function run(...cliArgs) {
+    return execFileSync("node", [path.join(__dirname, "invoice.js"), ...cliArgs], {
+      cwd: dir,
+      encoding: "utf-8",
+      env: {
+        PATH: process.env.PATH,
+        BILLING_PROVIDER: "fake",
+        FAKE_BILLING_FILE: path.join(dir, "billing.json"),
+        RUNS_DIR: path.join(dir, "runs"),
+        ...extraEnv,
+      },
+    });
+  }
+
+  function billingState() {
+    return JSON.parse(fs.readFileSync(path.join(dir, "billing.json"), "utf-8"));
+  }
+
+  // google-apps-script.js against an in-memory sheet, served the way the
+  // deployed web app is. Returns the sheet's values (header row first).
+  let sheetServer;
+
+  async function startSheet() {
+    const csv = fs.readFileSync(path.join(dir, "orders.csv"), "utf-8").trim().split("\n");
+    const values = csv.map((line) => line.split(","));
+    const script = loadAppsScript(values);
+
+    sheetServer = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const output = req.method === "POST"
+          ? script.doPost({ postData: { contents: body } })
+          : script.doGet({ parameter: Object.fromEntries(new URL(req.url, "http://sheet").searchParams) });
+        res.setHeader("Content-Type", "application/json");
+        res.end(output.text);
+      });
+    });
+    await new Promise((resolve) => sheetServer.listen(0, "127.0.0.1", resolve));
+    extraEnv.APPS_SCRIPT_URL = `http://127.0.0.1:${sheetServer.address().port}/exec`;
+    return values;
+  }
+
+  // Like run, but leaves the event loop free to answer the sheet's requests
+  async function runWithSheet(...cliArgs) {
+    const { stdout } = await promisify(execFile)("node", [path.join(__dirname, "invoice.js"), ...cliArgs], {
+      cwd: dir,
+      encoding: "utf-8",
+      env: {
+        PATH: process.env.PATH,
+        BILLING_PROVIDER: "fake",
+        FAKE_BILLING_FILE: path.join(dir, "billing.json"),
+        RUNS_DIR: path.join(dir, "runs"),
+        ...extraEnv,
+      },
+    });
+    return stdout;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "e2e-"));
+    extraEnv = {};
+    sheetServer = null;
+    // 6 Black Jackets across two customers → tier 6
+    const rows = [
+      ...Array(4).fill("2026-01-01,John Doe,555-1234,john@test.com,Resident,Better Sweater Jacket,Mens,L,Black,Option 1,Dr. Doe,White,"),
+      ...Array(2).fill("2026-01-01,Jane Roe,555-5678,jane@test.com,Attending,Better Sweater Jacket,Womens,M,Black,Option 1,,,"),
+    ];
+    fs.writeFileSync(path.join(dir, "orders.csv"), [COLUMNS, ...rows].join("\n") + "\n");
+  });
+
+  afterEach(async () => {
+    if (sheetServer) await new Promise((resolve) => sheetServer.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("invoices every customer once, then skips them on re-run", () => {
+    run("orders.csv");
+    const invoices = billingState().invoices;
+
+    expect(invoices).toHaveLength(2);
+    expect(invoices.every((inv) => inv.status === "open")).toBe(true);
+    expect(invoices.map((inv) => inv.customer_email).sort()).toEqual(["jane@test.com", "john@test.com"]);
+
+    const output = run("orders.csv");
+    expect(output).toContain("Already invoiced (skipped): 2");
+    expect(billingState().invoices).toHaveLength(2);
+  });
+
+  it("bills exactly the dry run's totals", () => {
+    const preview = run("orders.csv", "--dry-run");
+    const expected = [...preview.matchAll(/TOTAL: \$([\d.]+)/g)].map((m) => Math.round(Number(m[1]) * 100));
+
+    const output = run("orders.csv");
+    const totals = billingState().invoices.map((inv) => inv.total);
+
+    expect(totals.sort()).toEqual(expected.sort());
+    expect(output).not.toContain("TOTAL MISMATCHES");
+  });
+
+  it("bills the dry run's totals when a subsidy lands on a half cent", () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    const pricingFile = path.join(campaignsDir, "patagonia", "pricing.json");
+    const campaignPricing = JSON.parse(fs.readFileSync(pricingFile, "utf-8"));
+    // 15% of $107.90 is $16.185 a jacket
+    campaignPricing.products["Better Sweater Jacket"]["6"] = 107.9;
+    campaignPricing.subsidies = { Resident: { type: "percent", amount: 15 } };
+    fs.writeFileSync(pricingFile, JSON.stringify(campaignPricing, null, 2));
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+
+    const preview = run("orders.csv", "--dry-run");
+    const expected = [...preview.matchAll(/TOTAL: \$([\d.]+)/g)].map((m) => Math.round(Number(m[1]) * 100));
+    expect(preview).toContain("Resident subsidy (15% off 4 items): -$64.76");
+
+    const output = run("orders.csv");
+    const totals = billingState().invoices.map((inv) => inv.total);
+
+    expect(totals.sort()).toEqual(expected.sort());
+    expect(output).not.toContain("TOTAL MISMATCHES");
+  });
+
+  it("validates rows and refuses to invoice while any are wrong", () => {
+    const csv = fs.readFileSync(path.join(dir, "orders.csv"), "utf-8");
+    fs.writeFileSync(path.join(dir, "orders.csv"), csv.replace("jane@test.com,Attending,Better Sweater Jacket,Womens,M", "jane@test.com,Attending,Better Sweater Jacket,Womens,3XL"));
+
+    let failure;
+    try {
+      run("validate", "orders.csv");
+    } catch (err) {
+      failure = err;
+    }
+    expect(failure.status).toBe(1);
+    expect(failure.stdout).toContain('Row 6 (jane@test.com): Size "3XL" is not a Womens size');
+
+    expect(run("orders.csv", "--dry-run")).toContain("Invoicing will refuse to run until they are fixed");
+    expect(() => run("orders.csv")).toThrow("Fix the order errors above before invoicing");
+    expect(fs.existsSync(path.join(dir, "billing.json"))).toBe(false);
+  });
+
+  it("bills customers merged by merges.json once, under the email they map to", () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    const csv = fs.readFileSync(path.join(dir, "orders.csv"), "utf-8");
+    fs.writeFileSync(path.join(dir, "orders.csv"), csv.replace("John Doe,555-1234,john@test.com", "John Doe,555-1234,jonh@test.com"));
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+
+    const preview = run("orders.csv", "--dry-run");
+    expect(preview).toContain("Found 3 unique customers");
+    expect(preview).toContain("Possible duplicate customers: 1");
+    expect(run("duplicates", "orders.csv")).toContain("jonh@test.com (John Doe) and john@test.com (John Doe): same phone, same name");
+
+    fs.writeFileSync(path.join(campaignsDir, "patagonia", "merges.json"), JSON.stringify({ "jonh@test.com": "john@test.com" }));
+    run("orders.csv");
+    const john = billingState().invoices.filter((inv) => inv.customer_email === "john@test.com");
+
+    expect(billingState().invoices).toHaveLength(2);
+    expect(john).toHaveLength(1);
+    expect(john[0].lines.filter((line) => line.description.startsWith("Better Sweater Jacket"))).toHaveLength(4);
+  });
+
+  it("records the invoice on a merged customer's alias rows, so --delta bills them once", async () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    fs.writeFileSync(path.join(campaignsDir, "patagonia", "merges.json"), JSON.stringify({ "jonh@test.com": "john@test.com" }));
+    const csv = fs.readFileSync(path.join(dir, "orders.csv"), "utf-8");
+    fs.writeFileSync(path.join(dir, "orders.csv"), csv.replace("John Doe,555-1234,john@test.com", "John Doe,555-1234,jonh@test.com"));
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+    const values = await startSheet();
+
+    await runWithSheet("--delta");
+    const invoiceId = billingState().invoices.find((inv) => inv.customer_email === "john@test.com").id;
+    const johnRows = values.filter((row) => row[3] === "john@test.com" || row[3] === "jonh@test.com");
+    expect(johnRows.map((row) => row[values[0].indexOf("Invoice ID")])).toEqual(Array(4).fill(invoiceId));
+
+    const output = await runWithSheet("--delta");
+    expect(output).toContain("Already invoiced (skipped): 2");
+    expect(billingState().invoices.filter((inv) => inv.customer_email === "john@test.com")).toHaveLength(1);
+  });
+
+  it("backfills a lost invoice ID only on the rows that invoice billed", async () => {
+    const values = await startSheet();
+    await runWithSheet();
+    const invoiceIdColumn = values[0].indexOf("Invoice ID");
+    const invoiceIds = values.slice(1).map((row) => row[invoiceIdColumn]);
+
+    // The write-back was lost, and Jane ordered again since
+    values.slice(1).forEach((row) => { row[invoiceIdColumn] = ""; });
+    values.push("2026-01-02,Jane Roe,555-5678,jane@test.com,Attending,Better Sweater Jacket,Womens,S,Black,Option 1,,,".split(","));
+    await runWithSheet();
+    expect(values.slice(1).map((row) => row[invoiceIdColumn])).toEqual([...invoiceIds, ""]);
+
+    const output = await runWithSheet("--delta");
+    expect(output).toContain("1 new item(s) for a supplemental invoice");
+    expect(billingState().invoices.filter((inv) => inv.customer_email === "jane@test.com")).toHaveLength(2);
+  });
+
+  it("writes a purchase order for the combos that meet the minimum", () => {
+    const csv = fs.readFileSync(path.join(dir, "orders.csv"), "utf-8");
+    fs.appendFileSync(path.join(dir, "orders.csv"), "2026-01-01,Jane Roe,555-5678,jane@test.com,Attending,Better Sweater Vest,Womens,M,Black,Option 1,,,\n");
+
+    const output = run("po", "vendor-order", "orders.csv");
+    const lines = fs.readFileSync(path.join(dir, "vendor-order.csv"), "utf-8").trim().split("\n");
+
+    expect(output).toContain("Better Sweater Vest (Black): 1 pcs — NOT ORDERED");
+    expect(output).toContain("Units: 6");
+    expect(lines.filter((line) => line.startsWith("garment,"))).toEqual([
+      "garment,Better Sweater Jacket,Mens,Black,Option 1,L,4,,,,,",
+      "garment,Better Sweater Jacket,Womens,Black,Option 1,M,2,,,,,",
+    ]);
+    expect(lines.filter((line) => line.startsWith("embroidery,"))).toHaveLength(4);
+    expect(fs.readFileSync(path.join(dir, "vendor-order.html"), "utf-8")).toContain("<td>Dr. Doe</td><td>White</td>");
+    expect(fs.existsSync(path.join(dir, "billing.json"))).toBe(false);
+
+    fs.writeFileSync(path.join(dir, "orders.csv"), csv.replace(",Womens,M,", ",Womens,3XL,"));
+    expect(() => run("po", "orders.csv")).toThrow("Fix the order errors above before invoicing");
+  });
+
+  it("writes packing slips for the items being ordered", () => {
+    fs.appendFileSync(path.join(dir, "orders.csv"), "2026-01-01,Al Poe,555-9999,al@test.com,Fellow,Better Sweater Vest,Mens,M,Black,Option 1,,,\n");
+
+    const output = run("packing", "orders.csv", "--group-by", "name");
+    const html = fs.readFileSync(path.join(dir, "packing-slips.html"), "utf-8");
+
+    expect(output).toContain("Slips: 2 (grouped by name), items: 6");
+    expect(output).toContain("No slip for Al Poe <al@test.com>: none of their items were ordered");
+    expect(html.match(/<section class="slip">/g)).toHaveLength(2);
+    expect(html.indexOf("<h2>John Doe</h2>")).toBeLessThan(html.indexOf("<h2>Jane Roe</h2>"));
+    expect(() => run("packing", "orders.csv", "--group-by", "size")).toThrow("--group-by must be one of: position, name");
+  });
+
+  it("fails the pricing check when pricing.json and the embedded copies disagree", () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+    expect(run("pricing", "check")).toContain("index.html: matches");
+
+    const pricingFile = path.join(campaignsDir, "patagonia", "pricing.json");
+    fs.writeFileSync(pricingFile, fs.readFileSync(pricingFile, "utf-8").replace("\"foldingFee\": 0.75", "\"foldingFee\": 1.00"));
+    let failure;
+    try {
+      run("pricing", "check");
+    } catch (err) {
+      failure = err;
+    }
+    expect(failure.status).toBe(1);
+    expect(failure.stdout).toContain("google-apps-script.js: foldingFee is 0.75, pricing.json has 1");
+    expect(failure.stderr).toContain("run: node invoice.js pricing sync");
+  });
+
+  it("applies the invoice settings from pricing.json and the command line", () => {
+    run("orders.csv", "--due", "30", "--footer", "Pickup at the residency office");
+    const john = billingState().invoices.find((inv) => inv.customer_email === "john@test.com");
+
+    expect(john.days_until_due).toBe(30);
+    expect(john.footer).toBe("Pickup at the residency office");
+    expect(john.description).toContain("volume");
+    expect(john.custom_fields).toEqual([
+      { name: "Position", value: "Resident" },
+      { name: "Order date", value: "2026-01-01" },
+    ]);
+  });
+
+  it("references catalog prices on invoice lines after catalog sync", () => {
+    run("catalog", "sync");
+    run("orders.csv");
+    const john = billingState().invoices.find((inv) => inv.customer_email === "john@test.com");
+
+    expect(john.lines.map((line) => line.price?.lookup_key)).toEqual([
+      ...Array(4).fill("cmc-patagonia-order:Better Sweater Jacket|6"),
+      "cmc-patagonia-order:fee:embroidery",
+      "cmc-patagonia-order:fee:logo",
+      "cmc-patagonia-order:fee:folding",
+      null,
+    ]);
+    expect(john.lines[7].price.product).toBe("cmc-patagonia-order-fee-processing");
+    expect(run("catalog", "sync")).toContain("Catalog is up to date");
+  });
+
+  it("invoices customers concurrently", () => {
+    const output = run("orders.csv", "--concurrency=2");
+
+    expect(output).toContain("Invoices created: 2");
+    expect(billingState().invoices).toHaveLength(2);
+  });
+
+  it("prints a JSON report on stdout without creating anything", () => {
+    const report = JSON.parse(run("orders.csv", "--format", "json"));
+
+    expect(report.totals.invoices).toBe(2);
+    expect(report.customers.map((c) => c.email)).toEqual(["john@test.com", "jane@test.com"]);
+    expect(fs.existsSync(path.join(dir, "billing.json"))).toBe(false);
+  });
+
+  it("tags customers, invoices and tax rates with the campaign", () => {
+    run("orders.csv");
+    const state = billingState();
+
+    expect(state.invoices[0].metadata).toEqual({ source: "cmc-patagonia-order", campaign: "patagonia" });
+    expect(state.taxRates[0].metadata).toEqual({ source: "cmc-patagonia-order", campaign: "patagonia" });
+    expect(state.customers[0].metadata).toEqual({ source: "cmc-patagonia-order", campaigns: "patagonia" });
+  });
+
+  it("pools tiers the way pricing.json groups them", () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    const pricingFile = path.join(campaignsDir, "patagonia", "pricing.json");
+    const campaignPricing = JSON.parse(fs.readFileSync(pricingFile, "utf-8"));
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+    fs.appendFileSync(path.join(dir, "orders.csv"), "2026-01-01,Jane Roe,555-5678,jane@test.com,Attending,Better Sweater Jacket,Womens,M,New Navy,Option 1,,,\n");
+
+    expect(run("orders.csv", "--dry-run")).toContain("Better Sweater Jacket (New Navy): 1 pcs — NOT INVOICED");
+
+    campaignPricing.tierGrouping = { ...campaignPricing.tierGrouping, by: "product" };
+    fs.writeFileSync(pricingFile, JSON.stringify(campaignPricing));
+    const byProduct = run("orders.csv", "--dry-run");
+    expect(byProduct).toContain("Better Sweater Jacket (all colors): 7 pcs @ $175.00 [6-17 pcs]");
+    expect(byProduct).toContain("Tier groups (by product): 1 eligible, 0 excluded");
+
+    campaignPricing.tierGrouping.by = "logo";
+    fs.writeFileSync(pricingFile, JSON.stringify(campaignPricing));
+    expect(run("orders.csv", "--dry-run")).toContain("Logo Option 1 (all products): 7 pcs [6-17 pcs]");
+  });
+
+  it("keeps campaigns apart", () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "scrubs"), { recursive: true });
+    fs.writeFileSync(path.join(campaignsDir, "scrubs", "campaign.json"), JSON.stringify({ name: "Spring Scrubs", source: "cmc-scrubs-order" }));
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+
+    expect(() => run("orders.csv")).toThrow("pick one with --campaign");
+
+    run("orders.csv", "--campaign", "patagonia");
+    // The same people ordering in another campaign are billed again, under its tag
+    const output = run("orders.csv", "--campaign=scrubs");
+    const state = billingState();
+
+    expect(output).toContain("Campaign: Spring Scrubs (scrubs)");
+    expect(output).toContain("Invoices created: 2");
+    expect(state.invoices.map((inv) => inv.metadata.campaign).sort()).toEqual(["patagonia", "patagonia", "scrubs", "scrubs"]);
+    expect(state.taxRates.map((tr) => tr.metadata.campaign)).toEqual(["patagonia", "scrubs"]);
+    expect(state.customers.map((c) => c.metadata.campaigns)).toEqual(["patagonia,scrubs", "patagonia,scrubs"]);
+    expect(fs.readdirSync(path.join(dir, "runs")).sort()).toEqual(["patagonia", "scrubs"]);
+  });
+
+  it("bills a position subsidy on its own line", () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    const pricingFile = path.join(campaignsDir, "patagonia", "pricing.json");
+    const campaignPricing = JSON.parse(fs.readFileSync(pricingFile, "utf-8"));
+    campaignPricing.subsidies = { Resident: { type: "flat", amount: 50, maxItems: 1 } };
+    fs.writeFileSync(pricingFile, JSON.stringify(campaignPricing));
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+
+    expect(run("orders.csv", "--dry-run")).toContain("Resident subsidy ($50.00 off 1 item): -$50.00");
+    run("orders.csv");
+    const invoices = billingState().invoices;
+    const john = invoices.find((inv) => inv.customer_email === "john@test.com");
+    const jane = invoices.find((inv) => inv.customer_email === "jane@test.com");
+
+    expect(john.lines.filter((line) => line.amount < 0)).toEqual([
+      expect.objectContaining({ description: "Resident subsidy ($50.00 off 1 item)", amount: -5000 }),
+    ]);
+    expect(jane.lines.every((line) => line.amount > 0)).toBe(true);
+  });
+
+  it("bills the department for subsidies on one invoice", () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    const campaignDir = path.join(campaignsDir, "patagonia");
+    const campaignPricing = JSON.parse(fs.readFileSync(path.join(campaignDir, "pricing.json"), "utf-8"));
+    campaignPricing.subsidies = { Resident: { type: "flat", amount: 50, maxItems: 1 } };
+    fs.writeFileSync(path.join(campaignDir, "pricing.json"), JSON.stringify(campaignPricing));
+    const campaignConfig = JSON.parse(fs.readFileSync(path.join(campaignDir, "campaign.json"), "utf-8"));
+    campaignConfig.department = { name: "EM Department", email: "Finance@test.com", costCenter: "CC-42" };
+    fs.writeFileSync(path.join(campaignDir, "campaign.json"), JSON.stringify(campaignConfig));
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+
+    run("orders.csv");
+    const statement = run("department", "statement", "orders.csv");
+    run("department", "invoice", "orders.csv");
+    const again = run("department", "invoice", "orders.csv");
+    const department = billingState().invoices.find((inv) => inv.customer_email === "finance@test.com");
+
+    expect(statement.split("\n")[1]).toMatch(/^item,John Doe,john@test.com,Resident,in_\w+,Better Sweater Jacket,Black,Mens,L,6,175,50$/);
+    expect(department.metadata).toEqual({ source: "cmc-patagonia-order", campaign: "patagonia", billing: "department" });
+    expect(department.custom_fields).toEqual([{ name: "Cost center", value: "CC-42" }]);
+    expect(department.lines.map((line) => [line.description, line.amount])).toEqual([
+      ["John Doe (Resident) — Better Sweater Jacket - Mens L (Black)", 5000],
+    ]);
+    expect(again).toContain(`Department invoice already exists: ${department.id}`);
+    // The department invoice doesn't count as anyone's order
+    expect(run("orders.csv")).toContain("Already invoiced (skipped): 2");
+  });
+
+  it("leaves tax off exempt customers' lines", () => {
+    const csv = fs.readFileSync(path.join(dir, "orders.csv"), "utf-8").split("\n");
+    const rows = csv.slice(1).filter(Boolean).map((line) => `${line},${line.includes("jane@") ? "Yes" : ""}`);
+    fs.writeFileSync(path.join(dir, "orders.csv"), [`${csv[0]},Tax Exempt`, ...rows].join("\n") + "\n");
+
+    expect(run("orders.csv", "--dry-run")).toContain("Sales tax: exempt");
+    run("orders.csv");
+    const state = billingState();
+    const jane = state.invoices.find((inv) => inv.customer_email === "jane@test.com");
+    const john = state.invoices.find((inv) => inv.customer_email === "john@test.com");
+
+    expect(jane.tax).toBe(0);
+    expect(jane.lines.every((line) => line.tax_rates.length === 0)).toBe(true);
+    expect(john.tax).toBeGreaterThan(0);
+    expect(state.customers.map((c) => [c.email, c.tax_exempt]).sort()).toEqual([
+      ["jane@test.com", "exempt"],
+      ["john@test.com", "none"],
+    ]);
+    expect(state.taxRates[0]).toMatchObject({ display_name: "NC Sales Tax", jurisdiction: "NC", percentage: 7.25 });
+  });
+
+  it("keeps a customer listed as exempt in pricing.json exempt on a reissued invoice", async () => {
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+    const values = await startSheet();
+    await runWithSheet();
+
+    // Jane is listed as exempt, and late orders push Black Jackets into the 18+ tier
+    const pricingFile = path.join(campaignsDir, "patagonia", "pricing.json");
+    const campaignPricing = JSON.parse(fs.readFileSync(pricingFile, "utf-8"));
+    campaignPricing.tax.exempt = ["jane@test.com"];
+    fs.writeFileSync(pricingFile, JSON.stringify(campaignPricing, null, 2));
+    for (let i = 0; i < 12; i++) {
+      values.push("2026-01-02,Al Poe,555-9999,al@test.com,Fellow,Better Sweater Jacket,Mens,M,Black,Option 1,,,".split(","));
+    }
+    const output = await runWithSheet("reprice");
+
+    expect(output).toContain("Voided original invoice");
+    expect(billingState().customers.find((c) => c.email === "jane@test.com").tax_exempt).toBe("exempt");
+  });
+
+  it("rolls back a run from its journal", () => {
+    run("orders.csv");
+    const [runId] = fs.readdirSync(path.join(dir, "runs", "patagonia")).map((f) => f.replace(/\.json$/, ""));
+
+    run("rollback", runId);
+
+    expect(billingState().invoices.every((inv) => inv.status === "void")).toBe(true);
+  });
+
+  it("still validates and rolls back once the configured due date has passed", () => {
+    run("orders.csv");
+    const [runId] = fs.readdirSync(path.join(dir, "runs", "patagonia")).map((f) => f.replace(/\.json$/, ""));
+    const campaignsDir = path.join(dir, "campaigns");
+    fs.cpSync(path.join(__dirname, "campaigns", "patagonia"), path.join(campaignsDir, "patagonia"), { recursive: true });
+    const pricingFile = path.join(campaignsDir, "patagonia", "pricing.json");
+    const campaignPricing = JSON.parse(fs.readFileSync(pricingFile, "utf-8"));
+    campaignPricing.invoice = { ...campaignPricing.invoice, dueDate: "2020-01-01" };
+    fs.writeFileSync(pricingFile, JSON.stringify(campaignPricing, null, 2));
+    extraEnv = { CAMPAIGNS_DIR: campaignsDir };
+
+    expect(() => run("orders.csv")).toThrow("Invoice due date 2020-01-01 is in the past");
+    expect(() => run("plan", path.join(dir, "plan.json"), "orders.csv")).toThrow("is in the past");
+    expect(run("validate", "orders.csv")).toContain("rows are valid");
+    expect(run("orders.csv", "--dry-run")).toContain("DRY RUN");
+    run("rollback", runId);
+
+    expect(billingState().invoices.every((inv) => inv.status === "void")).toBe(true);
   });
 });
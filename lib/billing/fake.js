@@ -0,0 +1,399 @@
+/**
+ * Offline billing provider for tests and local runs.
+ *
+ * Keeps customers, tax rates, invoices, invoice items and credit notes in
+ * memory, optionally persisted to a JSON file so state carries over between
+ * runs. It mirrors the parts of Stripe's behaviour invoice.js relies on:
+ * draft → open → paid/void transitions, exclusive tax per line, 404s, and
+ * idempotency keys (a repeated key returns the first result). failNext()
+ * injects errors to exercise retries.
+ */
+
+const fs = require("fs");
+
+function emptyState() {
+  return {
+    nextId: 1,
+    customers: [],
+    taxRates: [],
+    invoices: [],
+    creditNotes: [],
+    products: [],
+    prices: [],
+    idempotencyKeys: {},
+  };
+}
+
+function notFound(type, id) {
+  const err = new Error(`No such ${type}: '${id}'`);
+  err.statusCode = 404;
+  return err;
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function apiError(statusCode) {
+  const err = new Error(statusCode === 429 ? "Too many requests" : `Fake billing error (${statusCode})`);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Callers get copies, as they would over the network
+function copy(obj) {
+  return obj == null ? null : JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Creates an in-memory provider, backed by a JSON file if one is given
+ * @param {{file?: string}} [options] - State file path
+ * @returns {Object} Billing provider (plus markPaid(id) and failNext(method, options) helpers)
+ */
+function createFakeProvider({ file } = {}) {
+  const state = file && fs.existsSync(file)
+    ? { ...emptyState(), ...JSON.parse(fs.readFileSync(file, "utf-8")) }
+    : emptyState();
+  const failures = {};
+
+  function save() {
+    if (file) fs.writeFileSync(file, JSON.stringify(state, null, 2) + "\n");
+  }
+
+  function newId(prefix) {
+    return `${prefix}_fake_${state.nextId++}`;
+  }
+
+  function findInvoice(id) {
+    const invoice = state.invoices.find((inv) => inv.id === id);
+    if (!invoice) throw notFound("invoice", id);
+    return invoice;
+  }
+
+  function lineTax(line) {
+    const percentage = (line.tax_rates || [])
+      .map((id) => state.taxRates.find((tr) => tr.id === id)?.percentage || 0)
+      .reduce((sum, pct) => sum + pct, 0);
+    return Math.round(line.amount * percentage / 100);
+  }
+
+  function updateTotals(invoice) {
+    invoice.subtotal = invoice.lines.reduce((sum, line) => sum + line.amount, 0);
+    invoice.tax = invoice.lines.reduce((sum, line) => sum + lineTax(line), 0);
+    invoice.total = invoice.subtotal + invoice.tax;
+    invoice.amount_due = invoice.total - invoice.amount_paid;
+  }
+
+  function buildCreditNote(params) {
+    const invoice = findInvoice(params.invoice);
+    if (invoice.status === "draft" || invoice.status === "void") {
+      throw invalid(`Cannot credit a ${invoice.status} invoice`);
+    }
+    const lines = params.lines.map((line) => {
+      const invoiceLine = invoice.lines.find((l) => l.id === line.invoice_line_item);
+      if (!invoiceLine) throw notFound("invoice line item", line.invoice_line_item);
+      const credited = { amount: line.amount, tax_rates: invoiceLine.tax_rates };
+      return { invoice_line_item: invoiceLine.id, amount: line.amount, tax: lineTax(credited) };
+    });
+    const total = lines.reduce((sum, line) => sum + line.amount + line.tax, 0);
+    return {
+      object: "credit_note",
+      invoice: invoice.id,
+      status: "issued",
+      lines,
+      total,
+      refund_amount: params.refund_amount || 0,
+      memo: params.memo || "",
+      reason: params.reason || null,
+      metadata: params.metadata || {},
+    };
+  }
+
+  // Applies injected failures and idempotency keys around every API method
+  async function call(method, fn, callArgs) {
+    const failure = failures[method]?.shift();
+    if (failure && !failure.afterCommit) throw apiError(failure.statusCode);
+
+    const key = callArgs[1]?.idempotencyKey;
+    const request = JSON.stringify(callArgs[0]);
+    let result;
+    if (key && state.idempotencyKeys[key]) {
+      const saved = state.idempotencyKeys[key];
+      if (saved.method !== method || saved.request !== request) {
+        throw invalid(`Idempotency key ${key} was already used with different parameters`);
+      }
+      result = copy(saved.result);
+    } else {
+      result = await fn(...callArgs);
+      if (key) {
+        state.idempotencyKeys[key] = { method, request, result };
+        save();
+      }
+    }
+
+    // The call went through but the response is "lost"
+    if (failure) throw apiError(failure.statusCode);
+    return result;
+  }
+
+  const api = {
+
+    async listTaxRates() {
+      return copy(state.taxRates.filter((tr) => tr.active));
+    },
+
+    async createTaxRate(params) {
+      const taxRate = { id: newId("txr"), object: "tax_rate", active: true, metadata: {}, ...params };
+      state.taxRates.push(taxRate);
+      save();
+      return copy(taxRate);
+    },
+
+    async findCustomerByEmail(email) {
+      return copy(state.customers.find((c) => c.email === email) || null);
+    },
+
+    async createCustomer(params) {
+      const customer = { id: newId("cus"), object: "customer", metadata: {}, ...params };
+      state.customers.push(customer);
+      save();
+      return copy(customer);
+    },
+
+    async updateCustomer(id, params) {
+      const customer = state.customers.find((c) => c.id === id);
+      if (!customer) throw notFound("customer", id);
+      // Stripe merges metadata keys rather than replacing the object
+      const { metadata, ...rest } = params;
+      Object.assign(customer, rest, { metadata: { ...customer.metadata, ...metadata } });
+      save();
+      return copy(customer);
+    },
+
+    async listInvoices() {
+      // Newest first, like Stripe
+      return copy([...state.invoices].reverse());
+    },
+
+    async getInvoice(id) {
+      return copy(state.invoices.find((inv) => inv.id === id) || null);
+    },
+
+    async listInvoiceLines(id) {
+      return copy(findInvoice(id).lines);
+    },
+
+    async createInvoice(params) {
+      const customer = state.customers.find((c) => c.id === params.customer);
+      if (!customer) throw notFound("customer", params.customer);
+      const invoice = {
+        id: newId("in"),
+        object: "invoice",
+        status: "draft",
+        customer: customer.id,
+        customer_email: customer.email,
+        collection_method: params.collection_method,
+        days_until_due: params.days_until_due ?? null,
+        due_date: params.due_date ?? null,
+        description: params.description ?? null,
+        footer: params.footer ?? null,
+        custom_fields: params.custom_fields ?? null,
+        metadata: params.metadata || {},
+        lines: [],
+        amount_paid: 0,
+        hosted_invoice_url: null,
+        sent: false,
+      };
+      updateTotals(invoice);
+      state.invoices.push(invoice);
+      save();
+      return copy(invoice);
+    },
+
+    async addInvoiceItem(params) {
+      const invoice = findInvoice(params.invoice);
+      if (invoice.status !== "draft") throw invalid(`Invoice ${invoice.id} is not a draft`);
+      const quantity = params.quantity || 1;
+      let price = null;
+      if (params.price) {
+        price = state.prices.find((p) => p.id === params.price);
+        if (!price) throw notFound("price", params.price);
+        if (!price.active) throw invalid(`Price ${price.id} is archived`);
+      } else if (params.price_data) {
+        const product = state.products.find((p) => p.id === params.price_data.product);
+        if (!product) throw notFound("product", params.price_data.product);
+        price = {
+          id: newId("price"),
+          object: "price",
+          product: product.id,
+          unit_amount: params.price_data.unit_amount,
+          currency: params.price_data.currency,
+          lookup_key: null,
+          active: false,
+        };
+      }
+      const line = {
+        id: newId("ii"),
+        object: "line_item",
+        description: params.description ?? null,
+        amount: price ? price.unit_amount * quantity : params.amount,
+        currency: price ? price.currency : params.currency,
+        quantity,
+        price: price && { id: price.id, product: price.product, lookup_key: price.lookup_key },
+        tax_rates: params.tax_rates || [],
+      };
+      invoice.lines.push(line);
+      updateTotals(invoice);
+      save();
+      return copy({ ...line, object: "invoiceitem", invoice: invoice.id });
+    },
+
+    async finalizeInvoice(id) {
+      const invoice = findInvoice(id);
+      if (invoice.status !== "draft") throw invalid(`Invoice ${id} is already finalized`);
+      invoice.status = "open";
+      invoice.hosted_invoice_url = `https://invoice.fake.invalid/${id}`;
+      save();
+      return copy(invoice);
+    },
+
+    async sendInvoice(id) {
+      const invoice = findInvoice(id);
+      if (invoice.status !== "open") throw invalid(`Invoice ${id} is not open`);
+      invoice.sent = true;
+      save();
+      return copy(invoice);
+    },
+
+    async deleteInvoice(id) {
+      const invoice = findInvoice(id);
+      if (invoice.status !== "draft") throw invalid(`Only draft invoices can be deleted (${id} is ${invoice.status})`);
+      state.invoices = state.invoices.filter((inv) => inv.id !== id);
+      save();
+      return { id, object: "invoice", deleted: true };
+    },
+
+    async voidInvoice(id) {
+      const invoice = findInvoice(id);
+      if (invoice.status !== "open" && invoice.status !== "uncollectible") {
+        throw invalid(`Only open invoices can be voided (${id} is ${invoice.status})`);
+      }
+      invoice.status = "void";
+      save();
+      return copy(invoice);
+    },
+
+    async getProduct(id) {
+      return copy(state.products.find((p) => p.id === id) || null);
+    },
+
+    async createProduct(params) {
+      const id = params.id || newId("prod");
+      if (state.products.some((p) => p.id === id)) throw invalid(`Product already exists: ${id}`);
+      const product = { object: "product", active: true, metadata: {}, ...params, id };
+      state.products.push(product);
+      save();
+      return copy(product);
+    },
+
+    async updateProduct(id, params) {
+      const product = state.products.find((p) => p.id === id);
+      if (!product) throw notFound("product", id);
+      Object.assign(product, params);
+      save();
+      return copy(product);
+    },
+
+    async listPrices(lookupKeys) {
+      return copy(state.prices.filter((p) => p.active && lookupKeys.includes(p.lookup_key)));
+    },
+
+    async createPrice(params) {
+      if (!state.products.some((p) => p.id === params.product)) throw notFound("product", params.product);
+      const { transfer_lookup_key: transfer, ...rest } = params;
+      const holder = params.lookup_key && state.prices.find((p) => p.lookup_key === params.lookup_key);
+      if (holder) {
+        if (!transfer) throw invalid(`Lookup key ${params.lookup_key} is already in use`);
+        holder.lookup_key = null;
+      }
+      const price = { id: newId("price"), object: "price", active: true, metadata: {}, lookup_key: null, ...rest };
+      state.prices.push(price);
+      save();
+      return copy(price);
+    },
+
+    async updatePrice(id, params) {
+      const price = state.prices.find((p) => p.id === id);
+      if (!price) throw notFound("price", id);
+      Object.assign(price, params);
+      save();
+      return copy(price);
+    },
+
+    async previewCreditNote(params) {
+      return copy(buildCreditNote(params));
+    },
+
+    async createCreditNote(params) {
+      const creditNote = { id: newId("cn"), ...buildCreditNote(params) };
+      if (creditNote.refund_amount > creditNote.total) {
+        throw invalid("refund_amount cannot exceed the credit note total");
+      }
+      state.creditNotes.push(creditNote);
+      save();
+      return copy(creditNote);
+    },
+
+    async getCreditNote(id) {
+      return copy(state.creditNotes.find((cn) => cn.id === id) || null);
+    },
+
+    async voidCreditNote(id) {
+      const creditNote = state.creditNotes.find((cn) => cn.id === id);
+      if (!creditNote) throw notFound("credit note", id);
+      if (creditNote.status === "void") throw invalid(`Credit note ${id} is already void`);
+      creditNote.status = "void";
+      save();
+      return copy(creditNote);
+    },
+
+  };
+
+  const provider = { name: "fake" };
+  for (const [method, fn] of Object.entries(api)) {
+    provider[method] = (...callArgs) => call(method, fn, callArgs);
+  }
+
+  /**
+   * Test helper: marks an open invoice as paid in full
+   * @param {string} id - Invoice ID
+   */
+  provider.markPaid = async (id) => {
+    const invoice = findInvoice(id);
+    if (invoice.status !== "open") throw invalid(`Invoice ${id} is not open`);
+    invoice.status = "paid";
+    invoice.amount_paid = invoice.total;
+    invoice.amount_due = 0;
+    save();
+    return copy(invoice);
+  };
+
+  /**
+   * Test helper: makes the next call(s) to a method fail. With afterCommit
+   * the call takes effect first, as if the response was lost on the way back.
+   * @param {string} method - Provider method name
+   * @param {{statusCode?: number, times?: number, afterCommit?: boolean}} [options]
+   */
+  provider.failNext = (method, { statusCode = 500, times = 1, afterCommit = false } = {}) => {
+    if (!failures[method]) failures[method] = [];
+    for (let i = 0; i < times; i++) failures[method].push({ statusCode, afterCommit });
+  };
+
+  return provider;
+}
+
+module.exports = {
+  createFakeProvider,
+};
@@ -0,0 +1,60 @@
+/**
+ * Billing providers
+ *
+ * invoice.js talks to billing through a provider object rather than the
+ * Stripe SDK, so the whole pipeline can run against an offline fake. Objects
+ * passed in and returned keep Stripe's shapes (invoice.status, line.amount
+ * in cents, metadata, ...). Every method is async. Create methods take an
+ * optional second argument { idempotencyKey }, as the Stripe SDK does:
+ *
+ *   listTaxRates()                  Active tax rates
+ *   createTaxRate(params, options)
+ *   findCustomerByEmail(email)      Customer or null
+ *   createCustomer(params, options)
+ *   updateCustomer(id, params)      Metadata keys are merged
+ *   listInvoices()                  Every invoice in the account
+ *   getInvoice(id)                  Invoice or null
+ *   listInvoiceLines(id)
+ *   createInvoice(params, options)  Creates a draft
+ *   addInvoiceItem(params, options)
+ *   finalizeInvoice(id)
+ *   sendInvoice(id)
+ *   deleteInvoice(id)               Drafts only
+ *   voidInvoice(id)                 Finalized, unpaid invoices only
+ *   getProduct(id)                  Product or null
+ *   createProduct(params, options)  params.id sets the product ID
+ *   updateProduct(id, params)
+ *   listPrices(lookupKeys)          Active prices with those lookup keys
+ *   createPrice(params, options)    transfer_lookup_key moves the key from the old price
+ *   updatePrice(id, params)
+ *   previewCreditNote(params)
+ *   createCreditNote(params, options)
+ *   getCreditNote(id)               Credit note or null
+ *   voidCreditNote(id)
+ */
+
+const { createStripeProvider } = require("./stripe");
+const { createFakeProvider } = require("./fake");
+const { createRetryingProvider } = require("./retry");
+
+const PROVIDERS = ["stripe", "fake"];
+
+/**
+ * Creates a billing provider by name
+ * @param {string} name - "stripe" or "fake"
+ * @param {{stripeSecretKey?: string, fakeBillingFile?: string}} options - Provider settings
+ * @returns {Object} Billing provider
+ */
+function createBillingProvider(name, options = {}) {
+  if (name === "stripe") return createStripeProvider(options.stripeSecretKey);
+  if (name === "fake") return createFakeProvider({ file: options.fakeBillingFile });
+  throw new Error(`Unknown billing provider "${name}" (expected one of: ${PROVIDERS.join(", ")})`);
+}
+
+module.exports = {
+  PROVIDERS,
+  createBillingProvider,
+  createStripeProvider,
+  createFakeProvider,
+  createRetryingProvider,
+};
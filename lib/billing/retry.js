@@ -0,0 +1,113 @@
+/**
+ * Retries with exponential backoff for billing calls
+ *
+ * Stripe answers 429 when requests come in too fast and 5xx when something
+ * failed on its side; both are worth retrying. Calls that create something or
+ * move it along (finalize, send, void, delete) are only retried when they
+ * carry an idempotency key, so a retry after a lost response returns what
+ * Stripe already did instead of doing it again, e.g. emailing an invoice twice.
+ * Reads and updates are safe to repeat and always retried.
+ */
+
+const DEFAULT_RETRY = { retries: 5, baseDelayMs: 500, maxDelayMs: 8000 };
+
+// Methods that a repeat would do twice; without an idempotency key they aren't retried
+const KEYED_METHODS = [
+  "createTaxRate",
+  "createCustomer",
+  "createInvoice",
+  "addInvoiceItem",
+  "finalizeInvoice",
+  "sendInvoice",
+  "deleteInvoice",
+  "voidInvoice",
+  "createCreditNote",
+  "voidCreditNote",
+  "createProduct",
+  "createPrice",
+];
+
+/**
+ * Whether a failed billing call is worth retrying
+ * @param {Error} err - Error thrown by the provider
+ * @returns {boolean} True for rate limits, server errors and connection errors
+ */
+function isRetryableError(err) {
+  if (err.type === "StripeConnectionError") return true;
+  return err.statusCode === 429 || err.statusCode >= 500;
+}
+
+/**
+ * Computes the wait before a retry: exponential with full jitter, or the
+ * server's Retry-After if it sent one
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {Error} err - Error that triggered the retry
+ * @param {{baseDelayMs: number, maxDelayMs: number}} options - Backoff settings
+ * @param {function(): number} [random] - Source of jitter in [0, 1)
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt, err, { baseDelayMs, maxDelayMs }, random = Math.random) {
+  const retryAfter = Number(err.headers?.["retry-after"]);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, maxDelayMs);
+  const ceiling = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  return Math.round(ceiling * random());
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls fn, retrying retryable errors with backoff
+ * @param {function(): Promise<T>} fn - Call to make
+ * @param {{retries?: number, baseDelayMs?: number, maxDelayMs?: number, onRetry?: Function, sleep?: Function}} [options]
+ * @returns {Promise<T>} Result of the first successful call
+ * @template T
+ */
+async function withRetry(fn, options = {}) {
+  const settings = { ...DEFAULT_RETRY, sleep, ...options };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt > settings.retries || !isRetryableError(err)) throw err;
+      const delay = getRetryDelay(attempt, err, settings);
+      if (settings.onRetry) settings.onRetry(err, attempt, delay);
+      await settings.sleep(delay);
+    }
+  }
+}
+
+/**
+ * Wraps a billing provider so every call is retried on rate limits and
+ * server errors (creates and state changes only when given an idempotency key)
+ * @param {Object} provider - Billing provider
+ * @param {Object} [options] - Options for withRetry
+ * @returns {Object} Provider with the same methods
+ */
+function createRetryingProvider(provider, options = {}) {
+  const wrapped = { ...provider };
+
+  for (const [method, fn] of Object.entries(provider)) {
+    if (typeof fn !== "function") continue;
+    wrapped[method] = (...callArgs) => {
+      const call = () => fn(...callArgs);
+      if (KEYED_METHODS.includes(method) && !callArgs[1]?.idempotencyKey) return call();
+      return withRetry(call, {
+        ...options,
+        onRetry: options.onRetry && ((err, attempt, delay) => options.onRetry(method, err, attempt, delay)),
+      });
+    };
+  }
+
+  return wrapped;
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  isRetryableError,
+  getRetryDelay,
+  withRetry,
+  createRetryingProvider,
+};
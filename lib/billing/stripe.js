@@ -0,0 +1,76 @@
+/**
+ * Stripe billing provider — thin wrapper over the Stripe SDK
+ */
+
+/**
+ * Resolves to null instead of throwing when Stripe returns 404
+ * @param {Promise<Object>} request - Stripe retrieve call
+ * @returns {Promise<Object|null>}
+ */
+async function orNull(request) {
+  try {
+    return await request;
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Creates a provider backed by a Stripe account
+ * @param {string} secretKey - Stripe secret key
+ * @returns {Object} Billing provider
+ */
+function createStripeProvider(secretKey) {
+  const stripe = require("stripe")(secretKey);
+
+  return {
+    name: "stripe",
+
+    listTaxRates: () => stripe.taxRates.list({ active: true, limit: 100 }).autoPagingToArray({ limit: 1000 }),
+    createTaxRate: (params, options) => stripe.taxRates.create(params, options),
+
+    findCustomerByEmail: async (email) => {
+      const result = await stripe.customers.list({ email, limit: 1 });
+      return result.data[0] || null;
+    },
+    createCustomer: (params, options) => stripe.customers.create(params, options),
+    updateCustomer: (id, params) => stripe.customers.update(id, params),
+
+    listInvoices: () => stripe.invoices.list({ limit: 100 }).autoPagingToArray({ limit: 10000 }),
+    getInvoice: (id) => orNull(stripe.invoices.retrieve(id)),
+    listInvoiceLines: (id) => stripe.invoices.listLineItems(id, { limit: 100 }).autoPagingToArray({ limit: 1000 }),
+    createInvoice: (params, options) => stripe.invoices.create(params, options),
+    addInvoiceItem: (params, options) => stripe.invoiceItems.create(params, options),
+    finalizeInvoice: (id, options) => stripe.invoices.finalizeInvoice(id, {}, options),
+    sendInvoice: (id, options) => stripe.invoices.sendInvoice(id, {}, options),
+    deleteInvoice: (id, options) => stripe.invoices.del(id, {}, options),
+    voidInvoice: (id, options) => stripe.invoices.voidInvoice(id, {}, options),
+
+    getProduct: (id) => orNull(stripe.products.retrieve(id)),
+    createProduct: (params, options) => stripe.products.create(params, options),
+    updateProduct: (id, params) => stripe.products.update(id, params),
+    listPrices: async (lookupKeys) => {
+      // Stripe takes at most 10 lookup keys per request
+      const prices = [];
+      for (let i = 0; i < lookupKeys.length; i += 10) {
+        const page = await stripe.prices
+          .list({ lookup_keys: lookupKeys.slice(i, i + 10), active: true, limit: 100 })
+          .autoPagingToArray({ limit: 1000 });
+        prices.push(...page);
+      }
+      return prices;
+    },
+    createPrice: (params, options) => stripe.prices.create(params, options),
+    updatePrice: (id, params) => stripe.prices.update(id, params),
+
+    previewCreditNote: (params) => stripe.creditNotes.preview(params),
+    createCreditNote: (params, options) => stripe.creditNotes.create(params, options),
+    getCreditNote: (id) => orNull(stripe.creditNotes.retrieve(id)),
+    voidCreditNote: (id, options) => stripe.creditNotes.voidCreditNote(id, {}, options),
+  };
+}
+
+module.exports = {
+  createStripeProvider,
+};
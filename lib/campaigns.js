@@ -0,0 +1,170 @@
+/**
+ * Campaigns: one order round each (e.g. the Patagonia order, a spring scrubs
+ * order), with its own pricing, sheet and minimums
+ *
+ * Each campaign is a directory under campaigns/:
+ *
+ *   campaigns/<id>/campaign.json   Name, Stripe source tag, sheet URL variable, minimum,
+ *                                  department billing contact
+ *   campaigns/<id>/pricing.json    Tiers, products, fees, tax and invoice settings
+ *   campaigns/<id>/products.json   Optional: styles, sizes, colors, logos and thread colors
+ *                                  order rows are checked against (see lib/validate.js)
+ *   campaigns/<id>/merges.json     Optional: alias emails merged into one customer
+ *                                  (see lib/identity.js)
+ *
+ * Stripe objects are tagged with the campaign's source and ID, so invoices
+ * from one campaign are never mistaken for another's.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { checkProductOptions } = require("./validate");
+const { checkMerges } = require("./identity");
+
+const DEFAULT_MIN_QUANTITY = 6;
+const DEFAULT_SHEET_URL_ENV = "APPS_SCRIPT_URL";
+
+const CAMPAIGN_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Lists the campaigns in a directory
+ * @param {string} dir - Campaigns directory
+ * @returns {string[]} Campaign IDs, sorted
+ */
+function listCampaigns(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((id) => fs.existsSync(path.join(dir, id, "campaign.json")))
+    .sort();
+}
+
+/**
+ * Picks the campaign to run: the one asked for, or the only one there is
+ * @param {string} dir - Campaigns directory
+ * @param {string} [requested] - --campaign value
+ * @returns {string} Campaign ID
+ */
+function resolveCampaignId(dir, requested) {
+  const ids = listCampaigns(dir);
+  if (requested) {
+    if (!ids.includes(requested)) {
+      throw new Error(`Unknown campaign "${requested}" (campaigns: ${ids.join(", ") || "none"})`);
+    }
+    return requested;
+  }
+  if (ids.length === 1) return ids[0];
+  if (ids.length === 0) throw new Error(`No campaigns found in ${dir}`);
+  throw new Error(`Several campaigns found; pick one with --campaign (campaigns: ${ids.join(", ")})`);
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+}
+
+// campaign.json with defaults filled in
+function readCampaignConfig(dir, id) {
+  const config = readJSON(path.join(dir, id, "campaign.json"));
+  return {
+    id,
+    name: config.name || id,
+    source: config.source || id,
+    sheetUrlEnv: config.sheetUrlEnv || DEFAULT_SHEET_URL_ENV,
+    minQuantity: config.minQuantity ?? DEFAULT_MIN_QUANTITY,
+    // Who pays the subsidized share: { name, email, costCenter? }
+    department: config.department || null,
+  };
+}
+
+/**
+ * Loads and checks a campaign
+ * @param {string} dir - Campaigns directory
+ * @param {string} id - Campaign ID
+ * @returns {{id: string, name: string, source: string, sheetUrlEnv: string, minQuantity: number, department: Object|null,
+ *   pricing: Object, pricingPath: string, products: Object|null, merges: Object<string, string>}}
+ */
+function loadCampaign(dir, id) {
+  if (!CAMPAIGN_ID_PATTERN.test(id)) {
+    throw new Error(`Campaign IDs are lowercase letters, digits and dashes (got "${id}")`);
+  }
+  const campaign = readCampaignConfig(dir, id);
+
+  if (!Number.isInteger(campaign.minQuantity) || campaign.minQuantity < 1) {
+    throw new Error(`Campaign ${id}: minQuantity must be a whole number of at least 1 (got ${campaign.minQuantity})`);
+  }
+
+  if (campaign.department && !campaign.department.email) {
+    throw new Error(`Campaign ${id}: the department billing contact needs an email`);
+  }
+
+  // A shared source tag would let one campaign's invoices count as another's
+  const clash = listCampaigns(dir)
+    .filter((other) => other !== id)
+    .find((other) => readCampaignConfig(dir, other).source === campaign.source);
+  if (clash) {
+    throw new Error(`Campaigns ${id} and ${clash} both use the source tag "${campaign.source}"`);
+  }
+
+  const pricingPath = path.join(dir, id, "pricing.json");
+  if (!fs.existsSync(pricingPath)) {
+    throw new Error(`Campaign ${id} has no pricing.json`);
+  }
+
+  let products = null;
+  const productsPath = path.join(dir, id, "products.json");
+  if (fs.existsSync(productsPath)) {
+    products = readJSON(productsPath);
+    const problems = checkProductOptions(products);
+    if (problems.length > 0) {
+      throw new Error(`Campaign ${id}: products.json ${problems.join("; ")}`);
+    }
+  }
+
+  const mergesPath = path.join(dir, id, "merges.json");
+  let merges = {};
+  if (fs.existsSync(mergesPath)) {
+    try {
+      merges = checkMerges(readJSON(mergesPath));
+    } catch (err) {
+      throw new Error(`Campaign ${id}: ${err.message}`);
+    }
+  }
+
+  return { ...campaign, pricing: readJSON(pricingPath), pricingPath, products, merges };
+}
+
+/**
+ * Metadata tagging a Stripe object (invoice, tax rate, credit note) as the campaign's
+ * @param {Object} campaign - Campaign from loadCampaign
+ * @returns {{source: string, campaign: string}}
+ */
+function campaignMetadata(campaign) {
+  return { source: campaign.source, campaign: campaign.id };
+}
+
+/**
+ * Customers are shared between campaigns, so they list every campaign that
+ * billed them in metadata.campaigns. Returns the metadata update that adds
+ * this campaign, or null if it is already listed.
+ * @param {Object} customer - Stripe customer
+ * @param {Object} campaign - Campaign from loadCampaign
+ * @returns {{campaigns: string}|null}
+ */
+function addCustomerCampaign(customer, campaign) {
+  const listed = (customer.metadata?.campaigns || "").split(",").filter(Boolean);
+  if (listed.includes(campaign.id)) return null;
+  return { campaigns: [...listed, campaign.id].join(",") };
+}
+
+module.exports = {
+  DEFAULT_MIN_QUANTITY,
+  DEFAULT_SHEET_URL_ENV,
+  listCampaigns,
+  resolveCampaignId,
+  loadCampaign,
+  campaignMetadata,
+  addCustomerCampaign,
+};
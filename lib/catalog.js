@@ -0,0 +1,222 @@
+/**
+ * Stripe product catalog: a Product per pricing.json product with a Price per
+ * tier, plus products for the per-item fees, surcharges and add-ons and the
+ * processing fee
+ *
+ * Invoice lines carry a priceKey (see buildLineItems), which maps to a Price
+ * through its lookup key, so Stripe revenue reports break down by product
+ * and tier.
+ */
+
+const { ITEM_FEES, listExtras, getTierLabel, getProcessingFeeConfig } = require("./pricing");
+
+const PROCESSING_FEE_KEY = "fee:processing";
+
+/**
+ * Turns a product name into an ID-safe slug
+ * @param {string} text - Name or key
+ * @returns {string} e.g. "better-sweater-jacket"
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+/**
+ * Stripe product ID for a catalog key (Stripe allows custom product IDs)
+ * @param {string} source - Source tag
+ * @param {string} key - Product name, "fee:<name>", "surcharge:<type>:<name>" or "addon:<name>"
+ * @returns {string} Product ID
+ */
+function productId(source, key) {
+  return `${source}-${slugify(key)}`;
+}
+
+/**
+ * Stripe lookup key for a line's priceKey
+ * @param {string} source - Source tag
+ * @param {string} priceKey - "<product>|<tier>", or the key of a fee, surcharge or add-on
+ * @returns {string} Lookup key
+ */
+function priceLookupKey(source, priceKey) {
+  return `${source}:${priceKey}`;
+}
+
+/**
+ * Builds the catalog pricing.json calls for
+ * @param {Object} pricing - Pricing config
+ * @param {string} source - Source tag (metadata.source, ID prefix)
+ * @returns {Array<{key: string, id: string, name: string, prices: Array<Object>}>} Products with their prices
+ */
+function buildCatalog(pricing, source) {
+  const price = (priceKey, unitAmount, nickname, metadata = {}) => ({
+    priceKey,
+    lookupKey: priceLookupKey(source, priceKey),
+    unitAmount,
+    currency: pricing.currency,
+    nickname,
+    metadata: { source, ...metadata },
+  });
+
+  const products = Object.entries(pricing.products).map(([name, tiers]) => ({
+    key: name,
+    id: productId(source, name),
+    name,
+    prices: Object.entries(tiers).map(([tierKey, amount]) => price(
+      `${name}|${tierKey}`,
+      Math.round(amount * 100),
+      `${name} — ${getTierLabel(tierKey, pricing.tiers)}`,
+      { tier: tierKey }
+    )),
+  }));
+
+  for (const fee of ITEM_FEES) {
+    const amount = pricing[fee.field] || 0;
+    if (amount === 0) continue;
+    const key = `fee:${fee.key}`;
+    products.push({
+      key,
+      id: productId(source, key),
+      name: fee.description,
+      prices: [price(key, Math.round(amount * 100), fee.description)],
+    });
+  }
+
+  for (const extra of listExtras(pricing)) {
+    if (!extra.amount) continue;
+    products.push({
+      key: extra.key,
+      id: productId(source, extra.key),
+      name: extra.description,
+      prices: [price(extra.key, Math.round(extra.amount * 100), extra.description)],
+    });
+  }
+
+  // Charged at a different amount on every invoice, so it has no fixed price
+  if (getProcessingFeeConfig(pricing).policy !== "absorb") {
+    products.push({
+      key: PROCESSING_FEE_KEY,
+      id: productId(source, PROCESSING_FEE_KEY),
+      name: "Payment processing fee",
+      prices: [],
+    });
+  }
+
+  return products.map((product) => ({ ...product, metadata: { source, key: product.key } }));
+}
+
+/**
+ * Works out what a sync has to change. Stripe prices can't change amount, so
+ * a changed price is replaced by a new one that takes over its lookup key.
+ * @param {Array<Object>} catalog - From buildCatalog
+ * @param {Object<string, Object>} existingProducts - Stripe products by ID (missing = not created yet)
+ * @param {Array<Object>} existingPrices - Active Stripe prices with the catalog's lookup keys
+ * @returns {{createProducts: Array<Object>, updateProducts: Array<Object>, createPrices: Array<{product: Object, price: Object, replaces: Object|null}>, unchanged: number}}
+ */
+function diffCatalog(catalog, existingProducts, existingPrices) {
+  const pricesByLookupKey = Object.fromEntries(existingPrices.map((p) => [p.lookup_key, p]));
+  const result = { createProducts: [], updateProducts: [], createPrices: [], unchanged: 0 };
+
+  for (const product of catalog) {
+    const existing = existingProducts[product.id];
+    if (!existing) {
+      result.createProducts.push(product);
+    } else if (existing.name !== product.name || !existing.active) {
+      result.updateProducts.push(product);
+    } else {
+      result.unchanged++;
+    }
+
+    for (const price of product.prices) {
+      const current = pricesByLookupKey[price.lookupKey];
+      const matches = current
+        && current.unit_amount === price.unitAmount
+        && current.currency === price.currency
+        && current.product === product.id;
+      if (matches) {
+        result.unchanged++;
+      } else {
+        result.createPrices.push({ product, price, replaces: current || null });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Maps priceKeys to Stripe price IDs for invoicing, checking the synced
+ * prices still match pricing.json
+ * @param {Array<Object>} catalog - From buildCatalog
+ * @param {Array<Object>} existingPrices - Active Stripe prices with the catalog's lookup keys
+ * @returns {{status: "none"|"stale"|"ok", prices: Object<string, string>, products: Object<string, string>, stale: string[]}}
+ *   "none" when nothing was ever synced; stale lists priceKeys missing or at the wrong amount
+ */
+function resolveCatalog(catalog, existingPrices) {
+  const pricesByLookupKey = Object.fromEntries(existingPrices.map((p) => [p.lookup_key, p]));
+  const prices = {};
+  const stale = [];
+
+  for (const product of catalog) {
+    for (const price of product.prices) {
+      const current = pricesByLookupKey[price.lookupKey];
+      if (current && current.unit_amount === price.unitAmount && current.currency === price.currency) {
+        prices[price.priceKey] = current.id;
+      } else {
+        stale.push(price.priceKey);
+      }
+    }
+  }
+
+  const products = Object.fromEntries(catalog.map((product) => [product.key, product.id]));
+  const status = existingPrices.length === 0 ? "none" : stale.length > 0 ? "stale" : "ok";
+  return { status, prices, products, stale };
+}
+
+/**
+ * Builds the invoice item params for a line: a catalog price when it has one,
+ * the processing fee product with this invoice's amount, or a plain amount
+ * @param {Object} line - Line from buildLineItems
+ * @param {Object|null} resolved - From resolveCatalog with status "ok", or null
+ * @returns {Object} Params for invoiceItems.create (without customer, invoice and tax_rates)
+ */
+function buildInvoiceItemParams(line, resolved) {
+  const params = { description: line.description };
+  const priceId = resolved && line.priceKey && resolved.prices[line.priceKey];
+
+  if (priceId) {
+    params.price = priceId;
+    params.quantity = line.quantity;
+  } else if (resolved && line.kind === "processing-fee") {
+    params.price_data = {
+      currency: line.currency,
+      product: resolved.products[PROCESSING_FEE_KEY],
+      unit_amount: line.amount,
+    };
+  } else {
+    params.amount = line.amount;
+    params.currency = line.currency;
+  }
+
+  return params;
+}
+
+/**
+ * All lookup keys in a catalog
+ * @param {Array<Object>} catalog - From buildCatalog
+ * @returns {string[]} Lookup keys
+ */
+function catalogLookupKeys(catalog) {
+  return catalog.flatMap((product) => product.prices.map((price) => price.lookupKey));
+}
+
+module.exports = {
+  PROCESSING_FEE_KEY,
+  slugify,
+  productId,
+  priceLookupKey,
+  buildCatalog,
+  diffCatalog,
+  resolveCatalog,
+  buildInvoiceItemParams,
+  catalogLookupKeys,
+};
@@ -0,0 +1,32 @@
+/**
+ * Bounded concurrency for per-customer work
+ */
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight.
+ * Results keep the order of the input, whatever order the calls finish in.
+ * @param {Array<T>} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {function(T, number): Promise<R>} fn - Called with each item and its index
+ * @returns {Promise<Array<R>>} Results, in input order
+ * @template T, R
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -43,7 +43,30 @@ function parseCSV(content) {
   });
 }
 
+/**
+ * Quotes a value for CSV output if it contains a comma, quote or newline
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+function formatCSVField(value) {
+  const str = value == null ? "" : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Formats row objects as CSV content
+ * @param {Object[]} rows - Rows keyed by column name
+ * @param {string[]} columns - Column names, in output order
+ * @returns {string} CSV content with a header line
+ */
+function formatCSV(rows, columns) {
+  const lines = [columns, ...rows.map((row) => columns.map((col) => row[col]))];
+  return lines.map((values) => values.map(formatCSVField).join(",")).join("\n") + "\n";
+}
+
 module.exports = {
   parseCSV,
   parseCSVLine,
+  formatCSVField,
+  formatCSV,
 };
@@ -0,0 +1,142 @@
+/**
+ * Department billing: the subsidized share of everyone's order, collected
+ * into one statement (and optionally one invoice) for the department
+ *
+ * Subsidies are worked out the same way as on the per-person invoices
+ * (buildLineItems at the current tiers), so the statement reconciles line for
+ * line with the discount lines those invoices carry.
+ */
+
+const { formatCSV } = require("./csv");
+const { buildLineItems, formatItemDescription, toCents } = require("./pricing");
+
+// Statement amounts are cents; the CSV shows dollars
+function toDollars(cents) {
+  return cents / 100;
+}
+
+/**
+ * Collects every subsidized item
+ * @param {Array<Object>} customers - Customers from groupByEmail
+ * @param {{eligibleCombos: Object, tierMap: Object, pricing: Object}} ctx - Current tiers and pricing
+ * @param {Object<string, Array<Object>>} [existingInvoices] - Index from indexInvoicesByEmail, for
+ *   people whose invoice IDs aren't on the sheet (e.g. a CSV export)
+ * @returns {{people: Array<Object>, itemCount: number, total: number}} Statement (amounts in cents); people only lists those with a subsidy
+ */
+function buildDepartmentStatement(customers, { eligibleCombos, tierMap, pricing }, existingInvoices = {}) {
+  const people = [];
+
+  for (const customer of customers) {
+    const { priced } = buildLineItems(customer.items, eligibleCombos, tierMap, pricing, { position: customer.position });
+    const items = priced
+      .filter((p) => p.subsidy > 0)
+      .map(({ item, tierKey, subsidy }) => ({
+        product: item.product,
+        style: item.style,
+        size: item.size,
+        color: item.color,
+        description: formatItemDescription(item).split("\n")[0],
+        tier: tierKey,
+        itemPrice: toCents(pricing.products[item.product][tierKey]),
+        subsidy,
+        invoiceId: item.invoiceId || null,
+      }));
+    if (items.length === 0) continue;
+
+    // The person's own invoice(s), as recorded on the sheet or else found in Stripe
+    let invoiceIds = [...new Set(items.map((item) => item.invoiceId).filter(Boolean))];
+    if (invoiceIds.length === 0) {
+      invoiceIds = (existingInvoices[customer.email] || []).filter((inv) => inv.status !== "draft").map((inv) => inv.id);
+    }
+
+    people.push({
+      name: customer.name,
+      email: customer.email,
+      position: customer.position,
+      invoiceIds,
+      items,
+      subsidy: items.reduce((sum, item) => sum + item.subsidy, 0),
+    });
+  }
+
+  return {
+    people,
+    itemCount: people.reduce((count, person) => count + person.items.length, 0),
+    total: people.reduce((sum, person) => sum + person.subsidy, 0),
+  };
+}
+
+const STATEMENT_CSV_COLUMNS = [
+  "Record",
+  "Name",
+  "Email",
+  "Position",
+  "Invoice ID",
+  "Product",
+  "Color",
+  "Style",
+  "Size",
+  "Tier",
+  "Item Price",
+  "Subsidy",
+];
+
+/**
+ * Flattens a statement into CSV. The Record column says what each row is:
+ * "item", "person" (their subtotal) or "total".
+ * @param {Object} statement - Statement from buildDepartmentStatement
+ * @returns {string} CSV content
+ */
+function formatStatementCSV(statement) {
+  const rows = [];
+
+  for (const person of statement.people) {
+    const who = { Name: person.name, Email: person.email, Position: person.position };
+    for (const item of person.items) {
+      rows.push({
+        Record: "item",
+        ...who,
+        "Invoice ID": item.invoiceId || person.invoiceIds.join(" "),
+        Product: item.product,
+        Color: item.color,
+        Style: item.style,
+        Size: item.size,
+        Tier: item.tier,
+        "Item Price": toDollars(item.itemPrice),
+        Subsidy: toDollars(item.subsidy),
+      });
+    }
+    rows.push({ Record: "person", ...who, "Invoice ID": person.invoiceIds.join(" "), Subsidy: toDollars(person.subsidy) });
+  }
+
+  rows.push({ Record: "total", Name: `${statement.people.length} people, ${statement.itemCount} items`, Subsidy: toDollars(statement.total) });
+  return formatCSV(rows, STATEMENT_CSV_COLUMNS);
+}
+
+/**
+ * Builds the department invoice's lines: one per subsidized item, naming the person
+ * @param {Object} statement - Statement from buildDepartmentStatement
+ * @param {string} currency - Currency code
+ * @param {{taxExempt?: boolean}} [options] - Whether the department pays no sales tax
+ * @returns {Array<Object>} Lines in the shape buildLineItems returns (amounts in cents)
+ */
+function buildDepartmentInvoiceLines(statement, currency, { taxExempt = false } = {}) {
+  return statement.people.flatMap((person) => person.items.map((item) => {
+    return {
+      kind: "subsidy",
+      description: `${person.name} (${person.position}) — ${item.description}`,
+      amount: item.subsidy,
+      unitAmount: item.subsidy,
+      quantity: 1,
+      currency,
+      taxable: !taxExempt,
+    };
+  }));
+}
+
+module.exports = {
+  STATEMENT_CSV_COLUMNS,
+  buildDepartmentStatement,
+  formatStatementCSV,
+  buildDepartmentInvoiceLines,
+};
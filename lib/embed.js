@@ -0,0 +1,133 @@
+/**
+ * Campaign config embedded in the order form (index.html) and the Apps Script
+ *
+ * Neither can read the campaign's files at runtime, so each carries generated
+ * copies between marker comments:
+ *
+ *   // BEGIN GENERATED PRICING — ...
+ *   const PRICING_CONFIG = { ... };
+ *   // END GENERATED PRICING
+ *
+ * PRICING_CONFIG comes from pricing.json and PRODUCT_CATALOG from
+ * products.json. `node invoice.js pricing sync` rewrites the copies and
+ * `pricing check` fails when any of them disagrees.
+ */
+
+const { listExtras, getTierGrouping, getTaxConfig, getProcessingFeeConfig } = require("./pricing");
+
+// Generated blocks: the marker name and the constant each defines
+const BLOCKS = {
+  pricing: { marker: "GENERATED PRICING", constant: "PRICING_CONFIG" },
+  catalog: { marker: "GENERATED CATALOG", constant: "PRODUCT_CATALOG" },
+};
+
+/**
+ * The subset of pricing.json the form and the Apps Script use
+ * @param {Object} pricing - Pricing config
+ * @param {number} minQuantity - Campaign minimum per product+color
+ * @returns {Object} Embedded pricing config
+ */
+function buildEmbeddedPricing(pricing, minQuantity) {
+  const { policy, percent, fixed, max } = getProcessingFeeConfig(pricing);
+  const tax = getTaxConfig(pricing);
+  return {
+    minQuantity,
+    tiers: pricing.tiers.map((tier) => tier.minQty).sort((a, b) => a - b),
+    products: pricing.products,
+    embroideryFee: pricing.embroideryFee,
+    logoFee: pricing.logoFee,
+    foldingFee: pricing.foldingFee,
+    extras: listExtras(pricing),
+    tierGrouping: getTierGrouping(pricing),
+    taxName: tax.name,
+    taxRate: tax.rate,
+    processingFee: { policy, percent, fixed, max },
+  };
+}
+
+function markers(name) {
+  if (!BLOCKS[name]) throw new Error(`Unknown generated block "${name}"`);
+  const { marker } = BLOCKS[name];
+  return { start: `// BEGIN ${marker}`, end: `// END ${marker}` };
+}
+
+/**
+ * Formats a generated block, markers included
+ * @param {string} name - "pricing" or "catalog"
+ * @param {Object} value - Config to embed
+ * @param {string} source - Where it came from, e.g. "campaigns/patagonia/pricing.json"
+ * @returns {string} Block text, without a trailing newline
+ */
+function formatBlock(name, value, source) {
+  const { start, end } = markers(name);
+  return [
+    `${start} — from ${source} by: node invoice.js pricing sync. Do not edit.`,
+    `const ${BLOCKS[name].constant} = ${JSON.stringify(value, null, 2)};`,
+    end,
+  ].join("\n");
+}
+
+// Start and end offsets of a block in a file, or null when it has none
+function findBlock(text, name) {
+  const { start: startMarker, end: endMarker } = markers(name);
+  const start = text.indexOf(startMarker);
+  const end = text.indexOf(endMarker, start);
+  if (start === -1 || end === -1) return null;
+  return { start, end: end + endMarker.length };
+}
+
+/**
+ * Replaces a generated block in a file's text
+ * @param {string} text - File content
+ * @param {string} name - "pricing" or "catalog"
+ * @param {string} block - From formatBlock
+ * @returns {string} Updated content
+ */
+function replaceBlock(text, name, block) {
+  const found = findBlock(text, name);
+  if (!found) {
+    const { start, end } = markers(name);
+    throw new Error(`no "${start}" … "${end}" block`);
+  }
+  return text.slice(0, found.start) + block + text.slice(found.end);
+}
+
+/**
+ * Reads an embedded config back out of a file's text
+ * @param {string} text - File content
+ * @param {string} name - "pricing" or "catalog"
+ * @returns {Object|null} The config, or null when there is no block
+ */
+function readBlock(text, name) {
+  const found = findBlock(text, name);
+  if (!found) return null;
+  const { constant } = BLOCKS[name];
+  const match = text.slice(found.start, found.end).match(new RegExp(`const ${constant} = ([\\s\\S]*);\\s*// END`));
+  if (!match) throw new Error(`the generated block has no ${constant}`);
+  return JSON.parse(match[1]);
+}
+
+/**
+ * Lists every value that differs between two configs
+ * @param {*} expected - From the campaign's files
+ * @param {*} actual - Embedded copy
+ * @param {string} [at] - Path so far
+ * @returns {Array<{path: string, expected: *, actual: *}>} Differences
+ */
+function diffEmbedded(expected, actual, at = "") {
+  const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+  if (isObject(expected) && isObject(actual)) {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    return keys.flatMap((key) => diffEmbedded(expected[key], actual[key], at ? `${at}.${key}` : key));
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual) ? [] : [{ path: at, expected, actual }];
+}
+
+module.exports = {
+  BLOCKS,
+  buildEmbeddedPricing,
+  formatBlock,
+  replaceBlock,
+  readBlock,
+  diffEmbedded,
+};
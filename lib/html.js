@@ -0,0 +1,20 @@
+/**
+ * Helpers for the printable HTML sheets (purchase order, packing slips)
+ */
+
+/**
+ * Escapes text for HTML element content and attribute values
+ * @param {*} value - Text; null and undefined become ""
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = {
+  escapeHTML,
+};
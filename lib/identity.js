@@ -0,0 +1,154 @@
+/**
+ * Customer identity: spotting people who ordered under more than one email,
+ * and merging them
+ *
+ * Orders are grouped by email, so one person using a work and a personal
+ * address (or mistyping one) shows up as two customers and gets two invoices.
+ * findDuplicates flags likely matches for a person to review; confirmed ones
+ * go in the campaign's merges.json, which maps each alias to the email to
+ * bill:
+ *
+ *   { "jdoe@gmial.com": "jdoe@gmail.com", "john.doe@hospital.org": "jdoe@gmail.com" }
+ */
+
+// Titles and credentials people add to their names on the form
+const NAME_AFFIXES = ["dr", "mr", "mrs", "ms", "md", "do", "rn", "np", "pa", "pac", "jr", "sr", "ii", "iii"];
+
+/**
+ * Normalizes a name for comparison: lowercase, no punctuation, titles or credentials
+ * @param {string} name - Name as entered
+ * @returns {string} e.g. "Dr. John Doe, MD" → "john doe"
+ */
+function normalizeName(name) {
+  return (name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, "")
+    .split(/[\s-]+/)
+    .filter((part) => part && !NAME_AFFIXES.includes(part))
+    .join(" ");
+}
+
+/**
+ * Normalizes a phone number to its digits, without a US country code
+ * @param {string} phone - Phone as entered
+ * @returns {string} Digits, or "" when too short to be a phone number
+ */
+function normalizePhone(phone) {
+  let digits = (phone || "").replace(/\D/g, "");
+  if (digits.length === 11 && digits.startsWith("1")) digits = digits.slice(1);
+  return digits.length >= 7 ? digits : "";
+}
+
+/**
+ * Whether two strings differ by exactly one inserted, deleted or changed character
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function isOneEditAway(a, b) {
+  if (a === b || Math.abs(a.length - b.length) > 1) return false;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+
+  let i = 0;
+  while (i < shorter.length && shorter[i] === longer[i]) i++;
+  // Skip the differing character in the longer string, or in both when the lengths match
+  const rest = shorter.length === longer.length ? i + 1 : i;
+  return shorter.slice(rest) === longer.slice(i + 1);
+}
+
+/**
+ * Whether two emails look like one mistyped as the other. Emails that differ
+ * by a digit (jsmith1@ and jsmith2@, jsmith@ and jsmith1@) are more often two
+ * people than a typo.
+ * @param {string} a - Lowercased email
+ * @param {string} b - Lowercased email
+ * @returns {boolean}
+ */
+function isLikelyTypo(a, b) {
+  if (!isOneEditAway(a, b)) return false;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  let i = 0;
+  while (shorter[i] === longer[i]) i++;
+  const changed = shorter.length === longer.length ? shorter[i] + longer[i] : longer[i];
+  return !/^\d+$/.test(changed);
+}
+
+/**
+ * Flags pairs of customers who are likely the same person: the same phone,
+ * the same name, or emails one typo apart
+ * @param {Array<{name: string, phone: string, email: string}>} customers - Customers from groupByEmail
+ * @returns {Array<{emails: string[], names: string[], reasons: string[]}>} Likely matches
+ */
+function findDuplicates(customers) {
+  const keyed = customers.map((customer) => ({
+    customer,
+    name: normalizeName(customer.name),
+    phone: normalizePhone(customer.phone),
+  }));
+  const matches = [];
+
+  keyed.forEach((a, i) => {
+    for (const b of keyed.slice(i + 1)) {
+      const reasons = [];
+      if (a.phone && a.phone === b.phone) reasons.push("same phone");
+      if (a.name && a.name === b.name) reasons.push("same name");
+      if (isLikelyTypo(a.customer.email, b.customer.email)) reasons.push("email one edit away");
+      if (reasons.length === 0) continue;
+      matches.push({
+        emails: [a.customer.email, b.customer.email],
+        names: [a.customer.name, b.customer.name],
+        reasons,
+      });
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Checks a merge map and lowercases it
+ * @param {Object<string, string>} merges - Alias email → email to bill
+ * @returns {Object<string, string>} Merge map with lowercased emails
+ */
+function checkMerges(merges) {
+  if (!merges || typeof merges !== "object" || Array.isArray(merges)) {
+    throw new Error("merges.json must map alias emails to the email to bill");
+  }
+  const normalized = {};
+  for (const [alias, email] of Object.entries(merges)) {
+    if (typeof email !== "string" || !email.includes("@")) {
+      throw new Error(`merges.json: ${alias} must map to an email (got ${JSON.stringify(email)})`);
+    }
+    normalized[alias.toLowerCase()] = email.toLowerCase();
+  }
+  for (const alias of Object.keys(normalized)) {
+    resolveEmail(alias, normalized);
+  }
+  return normalized;
+}
+
+/**
+ * The email a customer is billed under, following the merge map (aliases can chain)
+ * @param {string} email - Lowercased email
+ * @param {Object<string, string>} [merges] - Merge map from checkMerges
+ * @returns {string} Email to bill
+ */
+function resolveEmail(email, merges = {}) {
+  const seen = new Set();
+  while (Object.hasOwn(merges, email)) {
+    if (seen.has(email)) throw new Error(`merges.json: ${[...seen].join(" → ")} → ${email} loops`);
+    seen.add(email);
+    email = merges[email];
+  }
+  return email;
+}
+
+module.exports = {
+  normalizeName,
+  normalizePhone,
+  isOneEditAway,
+  isLikelyTypo,
+  findDuplicates,
+  checkMerges,
+  resolveEmail,
+};
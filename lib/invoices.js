@@ -0,0 +1,99 @@
+/**
+ * Helpers for detecting customers who already have an invoice
+ */
+
+const { formatItemDescription } = require("./pricing");
+const { resolveEmail } = require("./identity");
+
+/**
+ * Indexes Stripe invoices created by this script by customer email.
+ * Voided invoices are ignored so a customer can be re-invoiced after a void,
+ * and so are department invoices for subsidies. Invoices sent to an alias in
+ * the merge map are indexed under the email it maps to.
+ * @param {Array<Object>} invoices - Stripe invoice objects
+ * @param {string} source - Value of metadata.source to match
+ * @param {Object<string, string>} [merges] - Merge map (see lib/identity.js)
+ * @returns {Object<string, Array<Object>>} Invoices keyed by lowercased email
+ */
+function indexInvoicesByEmail(invoices, source, merges = {}) {
+  const byEmail = {};
+  for (const invoice of invoices) {
+    if (invoice.metadata?.source !== source) continue;
+    if (invoice.metadata?.billing === "department") continue; // Not a person's order
+    if (invoice.status === "void") continue;
+    if (!invoice.customer_email) continue;
+    const email = resolveEmail(invoice.customer_email.toLowerCase(), merges);
+    if (!byEmail[email]) byEmail[email] = [];
+    byEmail[email].push(invoice);
+  }
+  return byEmail;
+}
+
+/**
+ * Determines whether a customer has already been invoiced.
+ *
+ * An "Invoice ID" on any of the customer's sheet rows wins. Otherwise a
+ * finalized Stripe invoice counts as invoiced (the sheet write-back failed),
+ * and a Stripe draft means a previous run crashed before finalizing. Drafts
+ * left next to an existing invoice are reported as draftIds too.
+ *
+ * @param {{email: string, items: Array<{invoiceId?: string}>}} customer - Customer from groupByEmail
+ * @param {Object<string, Array<Object>>} stripeInvoicesByEmail - Index from indexInvoicesByEmail
+ * @returns {{status: "new"|"invoiced"|"incomplete", invoiceId?: string, onSheet?: boolean, draftIds?: string[]}}
+ */
+function getInvoiceStatus(customer, stripeInvoicesByEmail) {
+  const stripeInvoices = stripeInvoicesByEmail[customer.email] || [];
+  const draftIds = stripeInvoices.filter((inv) => inv.status === "draft").map((inv) => inv.id);
+
+  const sheetInvoiceId = customer.items.map((item) => item.invoiceId).find(Boolean);
+  if (sheetInvoiceId) {
+    return withDrafts({ status: "invoiced", invoiceId: sheetInvoiceId, onSheet: true }, draftIds);
+  }
+
+  const finalized = stripeInvoices.find((inv) => inv.status !== "draft");
+  if (finalized) {
+    return withDrafts({ status: "invoiced", invoiceId: finalized.id, onSheet: false }, draftIds);
+  }
+
+  if (draftIds.length > 0) {
+    return { status: "incomplete", draftIds };
+  }
+
+  return { status: "new" };
+}
+
+function withDrafts(result, draftIds) {
+  return draftIds.length > 0 ? { ...result, draftIds } : result;
+}
+
+/**
+ * Finds the items an existing invoice does not cover yet, for a supplemental
+ * invoice. Items with an "Invoice ID" on their row are covered. Items without
+ * one are matched against the line descriptions of Stripe invoices that never
+ * made it onto the sheet, one line per item.
+ * @param {Array<Object>} items - Customer items from groupByEmail
+ * @param {string[]} coveredDescriptions - Line descriptions of unrecorded Stripe invoices
+ * @returns {Array<Object>} Items still to invoice
+ */
+function findUninvoicedItems(items, coveredDescriptions) {
+  const remaining = {};
+  for (const desc of coveredDescriptions) {
+    remaining[desc] = (remaining[desc] || 0) + 1;
+  }
+
+  return items.filter((item) => {
+    if (item.invoiceId) return false;
+    const desc = formatItemDescription(item);
+    if (remaining[desc] > 0) {
+      remaining[desc]--;
+      return false;
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  indexInvoicesByEmail,
+  getInvoiceStatus,
+  findUninvoicedItems,
+};
@@ -0,0 +1,157 @@
+/**
+ * Run journal: a local record of everything an invoicing run created in
+ * Stripe, written as it happens so a crashed or bad run can be rolled back
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Columns written by the order form. Write-back columns (Invoice ID, Paid)
+// are left out so recording invoice IDs doesn't change the hash.
+const ORDER_COLUMNS = [
+  "Timestamp",
+  "Name",
+  "Phone",
+  "Email",
+  "Position",
+  "Product",
+  "Style",
+  "Size",
+  "Color",
+  "Logo",
+  "Embroidered Name",
+  "Thread Color",
+];
+
+// Columns added to the sheet later on, by hand or by the Apps Script. They are
+// hashed only when filled in, so adding one doesn't change the hash of rows
+// that leave it empty.
+const OPTIONAL_ORDER_COLUMNS = ["Tax Exempt", "Add-ons"];
+
+/**
+ * Hashes the order content of the input rows
+ * @param {Array<Object>} rows - Order rows from sheet or CSV
+ * @returns {string} sha256 hex digest
+ */
+function hashRows(rows) {
+  const hash = crypto.createHash("sha256");
+  for (const row of rows) {
+    const values = ORDER_COLUMNS.map((col) => String(row[col] ?? ""));
+    for (const col of OPTIONAL_ORDER_COLUMNS) {
+      if (row[col]) values.push(`${col}=${row[col]}`);
+    }
+    hash.update(JSON.stringify(values));
+    hash.update("\n");
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Creates a sortable, filename-safe run ID from a timestamp
+ * @param {Date} [date] - Run start time
+ * @returns {string} Run ID (e.g., "2026-02-10T18-30-00-000Z")
+ */
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * Starts a journal for a run and writes it to disk
+ * @param {string} dir - Journal directory
+ * @param {{campaign?: string, command: string, args: string[], pricing: Object, rows: Array<Object>}} run - Run details
+ * @returns {Object} Journal (with a non-persisted `file` path)
+ */
+function createJournal(dir, { campaign, command, args, pricing, rows }) {
+  const runId = createRunId();
+  const journal = {
+    runId,
+    startedAt: new Date().toISOString(),
+    campaign: campaign || null,
+    command,
+    args,
+    rowCount: rows.length,
+    rowsHash: hashRows(rows),
+    pricing,
+    created: [],
+    file: path.join(dir, `${runId}.json`),
+  };
+  saveJournal(journal);
+  return journal;
+}
+
+/**
+ * Records a Stripe object created (or changed) by the run, then saves
+ * @param {Object} journal - Journal from createJournal or loadJournal
+ * @param {string} type - "customer", "taxRate", "invoice", "invoiceItem", "creditNote", "voidedInvoice",
+ *   "product" or "price" (catalog objects are kept by rollback)
+ * @param {Object} data - At least { id }
+ */
+function recordCreated(journal, type, data) {
+  journal.created.push({ type, ...data, at: new Date().toISOString() });
+  saveJournal(journal);
+}
+
+/**
+ * Writes a journal to its file
+ * @param {Object} journal - Journal to save
+ */
+function saveJournal(journal) {
+  const { file, ...data } = journal;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * Loads a journal by run ID
+ * @param {string} dir - Journal directory
+ * @param {string} runId - Run ID
+ * @returns {Object} Journal
+ */
+function loadJournal(dir, runId) {
+  const file = path.join(dir, `${runId}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No journal found for run ${runId}`);
+  }
+  return { ...JSON.parse(fs.readFileSync(file, "utf-8")), file };
+}
+
+/**
+ * Lists run IDs with a journal, oldest first
+ * @param {string} dir - Journal directory
+ * @returns {string[]} Run IDs
+ */
+function listRuns(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.slice(0, -".json".length))
+    .sort();
+}
+
+/**
+ * Picks out what a rollback has to undo, in the order to undo it
+ * @param {Object} journal - Journal to roll back
+ * @returns {{creditNotes: Array<Object>, invoices: Array<Object>, voidedInvoices: Array<Object>}}
+ */
+function getRollbackTargets(journal) {
+  const ofType = (type) => journal.created.filter((entry) => entry.type === type);
+  return {
+    creditNotes: ofType("creditNote"),
+    invoices: ofType("invoice"),
+    voidedInvoices: ofType("voidedInvoice"),
+  };
+}
+
+module.exports = {
+  ORDER_COLUMNS,
+  OPTIONAL_ORDER_COLUMNS,
+  hashRows,
+  createRunId,
+  createJournal,
+  recordCreated,
+  saveJournal,
+  loadJournal,
+  listRuns,
+  getRollbackTargets,
+};
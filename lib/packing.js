@@ -0,0 +1,160 @@
+/**
+ * Packing slips: one printable slip per customer for sorting the delivery,
+ * and a master checklist for handing the bags out
+ */
+
+const { escapeHTML } = require("./html");
+const { tierGroupKey } = require("./pricing");
+const { normalizeName } = require("./identity");
+
+const GROUP_BY = ["position", "name"];
+
+/**
+ * Sort key for a customer's last name, ignoring titles like Dr. and MD
+ * @param {string} name - Name as entered
+ * @returns {string} e.g. "Dr. John Doe, MD" → "doe"
+ */
+function lastNameKey(name) {
+  return normalizeName(name).split(" ").pop() || "";
+}
+
+/**
+ * Builds packing slips for the items that are being ordered
+ * @param {Array<Object>} customers - Customers from groupByEmail
+ * @param {Object<string, number>} eligibleCombos - Eligible counts by tier group (from filterByMinimum)
+ * @param {Object} pricing - Pricing config, for how tiers are grouped
+ * @param {{groupBy?: string}} [options] - "position" (default) or "name" (by last name initial)
+ * @returns {{groups: Array<{label: string, slips: Array<Object>}>, itemCount: number, excludedCount: number, emptyCustomers: Array<Object>}}
+ *   emptyCustomers are those whose every item was left out of the order
+ */
+function buildPackingSlips(customers, eligibleCombos, pricing, { groupBy = "position" } = {}) {
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(`Packing slips can be grouped by: ${GROUP_BY.join(", ")} (got "${groupBy}")`);
+  }
+
+  const groups = {};
+  const emptyCustomers = [];
+  let itemCount = 0;
+  let excludedCount = 0;
+
+  for (const customer of customers) {
+    const items = customer.items.filter((item) => eligibleCombos[tierGroupKey(item, pricing)]);
+    excludedCount += customer.items.length - items.length;
+    if (items.length === 0) {
+      emptyCustomers.push(customer);
+      continue;
+    }
+    itemCount += items.length;
+
+    const label = groupBy === "position"
+      ? customer.position || "No position"
+      : (lastNameKey(customer.name)[0] || "#").toUpperCase();
+    if (!groups[label]) groups[label] = { label, slips: [] };
+    groups[label].slips.push({
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone || "",
+      position: customer.position,
+      items,
+      excludedCount: customer.items.length - items.length,
+    });
+  }
+
+  const byLastName = (a, b) => lastNameKey(a.name).localeCompare(lastNameKey(b.name)) || a.name.localeCompare(b.name);
+  return {
+    groups: Object.values(groups)
+      .sort((a, b) => a.label.localeCompare(b.label))
+      .map((group) => ({ ...group, slips: group.slips.sort(byLastName) })),
+    itemCount,
+    excludedCount,
+    emptyCustomers,
+  };
+}
+
+const CHECKBOX = "<span class=\"box\"></span>";
+
+function formatItemRow(item) {
+  const cells = [
+    item.product,
+    item.style,
+    item.size,
+    item.color,
+    item.logo,
+    (item.addOns || []).join(", "),
+    item.embroideredName ? `${item.embroideredName} (${item.threadColor} thread)` : "",
+  ];
+  return `<tr><td>${CHECKBOX}</td>${cells.map((value) => `<td>${escapeHTML(value)}</td>`).join("")}</tr>`;
+}
+
+/**
+ * Formats packing slips as one printable HTML document: the master checklist,
+ * then each customer's slip on its own page, in the checklist's order
+ * @param {Object} packing - From buildPackingSlips
+ * @param {{title: string, date: string}} header - Order name and date shown at the top
+ * @returns {string} HTML document
+ */
+function formatPackingSlipsHTML(packing, { title, date }) {
+  const slipCount = packing.groups.reduce((count, group) => count + group.slips.length, 0);
+
+  const checklistRows = packing.groups.flatMap((group) => [
+    `<tr class="group"><td colspan="6">${escapeHTML(group.label)} (${group.slips.length})</td></tr>`,
+    ...group.slips.map((slip) => `<tr>${[
+      `<td>${escapeHTML(slip.name)}</td>`,
+      `<td>${escapeHTML(slip.position)}</td>`,
+      `<td>${escapeHTML(slip.phone)}</td>`,
+      `<td>${slip.items.length}</td>`,
+      `<td>${CHECKBOX}</td>`,
+      "<td class=\"signature\"></td>",
+    ].join("")}</tr>`),
+  ]);
+
+  const slips = packing.groups.flatMap((group) => group.slips.map((slip) => `<section class="slip">
+<h2>${escapeHTML(slip.name)}</h2>
+<p>${escapeHTML([slip.position, slip.email, slip.phone].filter(Boolean).join(" · "))} · ${escapeHTML(group.label)}</p>
+<table>
+<thead><tr><th>Packed</th><th>Product</th><th>Style</th><th>Size</th><th>Color</th><th>Logo</th><th>Add-ons</th><th>Embroidered name</th></tr></thead>
+<tbody>
+${slip.items.map(formatItemRow).join("\n")}
+</tbody>
+</table>
+<p>${slip.items.length} item(s)${slip.excludedCount > 0 ? ` · ${slip.excludedCount} not ordered (below the minimum)` : ""}</p>
+</section>`));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)} — Packing Slips</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; }
+  h1 { font-size: 18px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin-bottom: 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+  th { background: #eee; }
+  tr.group td { background: #f4f4f4; font-weight: bold; }
+  td.signature { width: 30%; }
+  .box { display: inline-block; width: 12px; height: 12px; border: 1px solid #333; }
+  .slip { page-break-before: always; }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)} — Pickup Checklist</h1>
+<p>${escapeHTML(date)} · ${slipCount} people · ${packing.itemCount} items</p>
+<table>
+<thead><tr><th>Name</th><th>Position</th><th>Phone</th><th>Items</th><th>Picked up</th><th>Signature</th></tr></thead>
+<tbody>
+${checklistRows.join("\n")}
+</tbody>
+</table>
+${slips.join("\n")}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  GROUP_BY,
+  buildPackingSlips,
+  formatPackingSlipsHTML,
+};
@@ -0,0 +1,213 @@
+/**
+ * Invoicing plans: every invoice a run will create, computed up front so it
+ * can be printed, saved for review, and applied later exactly as approved
+ */
+
+const crypto = require("crypto");
+const { hashRows, createRunId } = require("./journal");
+const { buildLineItems, getTierLabel, tierGroupKey, describeTierGroup, isTaxExempt } = require("./pricing");
+const { getInvoiceStatus, findUninvoicedItems } = require("./invoices");
+
+// Version 2 keeps every amount in cents
+const PLAN_VERSION = 2;
+
+/**
+ * Hashes a pricing config
+ * @param {Object} pricing - Pricing config
+ * @returns {string} sha256 hex digest
+ */
+function hashPricing(pricing) {
+  return crypto.createHash("sha256").update(JSON.stringify(pricing)).digest("hex");
+}
+
+/**
+ * Decides what to do for one customer.
+ *
+ * Entries have an action of "create" (with line items), "backfill" (a Stripe
+ * invoice exists but its ID is missing from the sheet; rows are the sheet rows
+ * it billed) or "skip" (with a
+ * reason: "invoiced", "no-new-items", "incomplete" or "no-eligible-items").
+ *
+ * @param {Object} customer - Customer from groupByEmail
+ * @param {Object<string, Array<Object>>} existingInvoices - Index from indexInvoicesByEmail
+ * @param {string[]} coveredDescriptions - Lines of unrecorded Stripe invoices (--delta), or of the invoice to backfill
+ * @param {{eligibleCombos: Object, tierMap: Object, pricing: Object, deltaMode: boolean, resume: boolean}} ctx
+ * @returns {Object} Plan entry
+ */
+function planCustomer(customer, existingInvoices, coveredDescriptions, ctx) {
+  const { eligibleCombos, tierMap, pricing, deltaMode, resume } = ctx;
+  const base = {
+    name: customer.name,
+    email: customer.email,
+    phone: customer.phone,
+    position: customer.position,
+    orderDate: customer.orderDate,
+    taxExempt: isTaxExempt(customer, pricing),
+  };
+  const existing = getInvoiceStatus(customer, existingInvoices);
+  const draftIds = existing.draftIds || [];
+  let items = customer.items;
+  let supplementalTo = null;
+
+  if (existing.status === "invoiced") {
+    if (existing.onSheet && !deltaMode) {
+      return { ...base, action: "skip", reason: "invoiced", invoiceId: existing.invoiceId };
+    }
+    if (!deltaMode) {
+      // Only the rows on that invoice; rows added since it was sent are still unbilled
+      const unbilled = findUninvoicedItems(customer.items, coveredDescriptions);
+      const rows = customer.items.filter((item) => !unbilled.includes(item)).map((item) => item.row);
+      return { ...base, action: "backfill", reason: "invoiced", invoiceId: existing.invoiceId, rows };
+    }
+    items = findUninvoicedItems(customer.items, coveredDescriptions);
+    if (items.length === 0) {
+      return { ...base, action: "skip", reason: "no-new-items", invoiceId: existing.invoiceId };
+    }
+    supplementalTo = existing.invoiceId;
+  }
+
+  if (draftIds.length > 0 && !resume) {
+    return { ...base, action: "skip", reason: "incomplete", draftIds };
+  }
+
+  // A supplemental invoice's subsidy cap counts the items billed before it
+  const subsidizedBefore = customer.items.filter((item) =>
+    !items.includes(item) && eligibleCombos[tierGroupKey(item, pricing)]
+  ).length;
+  const built = buildLineItems(items, eligibleCombos, tierMap, pricing, {
+    position: customer.position,
+    subsidizedBefore,
+    taxExempt: base.taxExempt,
+  });
+  if (built.priced.length === 0) {
+    return { ...base, action: "skip", reason: "no-eligible-items", excludedCount: built.excludedCount };
+  }
+
+  // Every invoice known for this customer now, so apply can spot later ones
+  const knownInvoiceIds = [...new Set([
+    ...customer.items.map((item) => item.invoiceId).filter(Boolean),
+    ...(existingInvoices[customer.email] || []).filter((inv) => inv.status !== "draft").map((inv) => inv.id),
+  ])];
+
+  return {
+    ...base,
+    action: "create",
+    supplementalTo,
+    draftIds,
+    knownInvoiceIds,
+    items: built.priced.map(({ item, price, tierKey, subsidy }) => ({ ...item, price, tierKey, subsidy })),
+    lineItems: built.lineItems,
+    excludedCount: built.excludedCount,
+    subtotal: built.subtotal,
+    discount: built.discount,
+    tax: built.tax,
+    fee: built.fee,
+    total: built.total,
+  };
+}
+
+/**
+ * Assembles a plan from per-customer entries
+ * @param {{campaign?: string, rows: Array<Object>, pricing: Object, eligibleCombos: Object, excludedCombos: Object, tierMap: Object, entries: Array<Object>, invoice?: Object, options: Object}} input
+ * @returns {Object} Plan
+ */
+function createPlan({ campaign, rows, pricing, eligibleCombos, excludedCombos, tierMap, entries, invoice, options }) {
+  // The product and color (or logo) each tier group names
+  const splitKey = (key) => {
+    const { label, ...parts } = describeTierGroup(key, pricing);
+    return { key, ...parts };
+  };
+
+  const created = entries.filter((e) => e.action === "create");
+
+  return {
+    version: PLAN_VERSION,
+    id: createRunId(),
+    createdAt: new Date().toISOString(),
+    campaign: campaign || null,
+    rowCount: rows.length,
+    rowsHash: hashRows(rows),
+    pricingHash: hashPricing(pricing),
+    options,
+    // Invoice presentation settings (from lib/presentation), applied as approved
+    invoice: invoice || null,
+    combos: Object.keys(eligibleCombos).sort().map((key) => ({
+      ...splitKey(key),
+      count: eligibleCombos[key],
+      tier: tierMap[key],
+      tierLabel: getTierLabel(tierMap[key], pricing.tiers),
+      // A logo group spans products, so it has no one unit price
+      unitPrice: splitKey(key).product ? pricing.products[splitKey(key).product]?.[tierMap[key]] || 0 : null,
+    })),
+    excluded: Object.keys(excludedCombos).sort().map((key) => ({
+      ...splitKey(key),
+      count: excludedCombos[key],
+    })),
+    customers: entries,
+    totals: {
+      invoices: created.length,
+      // In cents, like every plan amount
+      revenue: created.reduce((sum, e) => sum + e.total, 0),
+    },
+  };
+}
+
+/**
+ * Checks a saved plan against the current inputs
+ * @param {Object} plan - Plan loaded from file
+ * @param {Array<Object>} rows - Current order rows
+ * @param {Object} pricing - Current pricing config
+ * @param {string} [campaign] - Campaign being run
+ * @returns {string[]} Problems; empty if the plan can be applied
+ */
+function verifyPlan(plan, rows, pricing, campaign) {
+  const problems = [];
+  if (plan.version !== PLAN_VERSION) {
+    problems.push(`Plan version ${plan.version} is not supported (expected ${PLAN_VERSION})`);
+  }
+  // Plans made before campaigns existed carry none
+  if (plan.campaign && campaign && plan.campaign !== campaign) {
+    problems.push(`Plan is for campaign ${plan.campaign}, not ${campaign}`);
+  }
+  if (plan.rowsHash !== hashRows(rows)) {
+    problems.push(`Sheet rows changed since the plan was made (${plan.rowCount} rows then, ${rows.length} now)`);
+  }
+  if (plan.pricingHash !== hashPricing(pricing)) {
+    problems.push("pricing.json changed since the plan was made");
+  }
+  return problems;
+}
+
+/**
+ * Re-checks a "create" entry against Stripe right before applying it, so
+ * re-applying a plan (e.g. after a crash) never bills anyone twice
+ * @param {Object} entry - Plan entry with action "create"
+ * @param {Array<Object>} stripeInvoices - The customer's current tagged Stripe invoices
+ * @param {string} planId - Plan ID (invoices from this plan carry metadata.plan)
+ * @returns {{action: "create", draftIds: string[]}|{action: "skip", reason: string}}
+ */
+function checkPlanEntry(entry, stripeInvoices, planId) {
+  const known = new Set([...entry.knownInvoiceIds, ...entry.draftIds]);
+  const added = stripeInvoices.filter((inv) => !known.has(inv.id));
+  const fromPlan = (inv) => inv.metadata?.plan === planId;
+
+  if (added.some((inv) => fromPlan(inv) && inv.status !== "draft")) {
+    return { action: "skip", reason: "already-applied" };
+  }
+  if (added.some((inv) => !fromPlan(inv))) {
+    return { action: "skip", reason: "invoiced-since-plan" };
+  }
+
+  // Drafts from a crashed apply of this plan are replaced
+  const crashedDrafts = added.filter((inv) => fromPlan(inv)).map((inv) => inv.id);
+  return { action: "create", draftIds: [...entry.draftIds, ...crashedDrafts] };
+}
+
+module.exports = {
+  PLAN_VERSION,
+  hashPricing,
+  planCustomer,
+  createPlan,
+  verifyPlan,
+  checkPlanEntry,
+};
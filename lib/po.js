@@ -0,0 +1,228 @@
+/**
+ * Supplier purchase order: garment counts for the vendor and the list of
+ * name-embroidery jobs for the embroiderer, from the combos that met the minimum.
+ * Paid add-ons (e.g. a sleeve logo) go on both, so the work isn't missed.
+ */
+
+const { formatCSV } = require("./csv");
+const { escapeHTML } = require("./html");
+const { tierGroupKey, parseAddOns } = require("./pricing");
+
+/**
+ * Orders sizes the way the form lists them (products.json), with any others after
+ * @param {string[]} sizes - Sizes seen
+ * @param {Object|null} products - products.json, or null
+ * @returns {string[]} Sizes in order
+ */
+function sortSizes(sizes, products) {
+  const known = products
+    ? [...new Set(Object.values(products.styles).flatMap((style) => style.sizes))]
+    : [];
+  const rank = (size) => (known.includes(size) ? known.indexOf(size) : known.length);
+  return [...new Set(sizes)].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * Builds the purchase order from the order rows
+ * @param {Array<Object>} rows - Order rows (sheet columns)
+ * @param {Object<string, number>} eligibleCombos - Eligible counts by tier group (from filterByMinimum)
+ * @param {Object} pricing - Pricing config, for how tiers are grouped
+ * @param {Object|null} [products] - products.json, for the size order
+ * @returns {{sizes: string[], lines: Array<Object>, embroidery: Array<Object>, addOns: Object<string, number>, unitCount: number, excludedCount: number}}
+ *   lines are one per product, style, color, logo and add-ons, with a count per size;
+ *   addOns counts the units that carry each add-on
+ */
+function buildPurchaseOrder(rows, eligibleCombos, pricing, products = null) {
+  const lines = {};
+  const embroidery = [];
+  const addOnCounts = {};
+  let excludedCount = 0;
+
+  for (const row of rows) {
+    if (!eligibleCombos[tierGroupKey({ product: row.Product, color: row.Color, logo: row.Logo }, pricing)]) {
+      excludedCount++;
+      continue;
+    }
+
+    const addOns = parseAddOns(row["Add-ons"]).sort();
+    for (const addOn of addOns) addOnCounts[addOn] = (addOnCounts[addOn] || 0) + 1;
+
+    const key = [row.Product, row.Style, row.Color, row.Logo, ...addOns].join("|");
+    if (!lines[key]) {
+      lines[key] = { product: row.Product, style: row.Style, color: row.Color, logo: row.Logo, addOns, sizes: {}, quantity: 0 };
+    }
+    lines[key].sizes[row.Size] = (lines[key].sizes[row.Size] || 0) + 1;
+    lines[key].quantity++;
+
+    const name = (row["Embroidered Name"] || "").trim();
+    if (name) {
+      embroidery.push({
+        name,
+        threadColor: row["Thread Color"] || "",
+        product: row.Product,
+        style: row.Style,
+        size: row.Size,
+        color: row.Color,
+        logo: row.Logo,
+        addOns,
+        customer: row.Name,
+        email: (row.Email || "").toLowerCase(),
+      });
+    }
+  }
+
+  const sorted = Object.values(lines).sort((a, b) =>
+    a.product.localeCompare(b.product)
+    || a.style.localeCompare(b.style)
+    || a.color.localeCompare(b.color)
+    || a.logo.localeCompare(b.logo)
+    || a.addOns.join(", ").localeCompare(b.addOns.join(", ")));
+
+  return {
+    sizes: sortSizes(sorted.flatMap((line) => Object.keys(line.sizes)), products),
+    lines: sorted,
+    // Grouped by garment so the embroiderer can work through one pile at a time
+    embroidery: embroidery.sort((a, b) =>
+      a.product.localeCompare(b.product) || a.color.localeCompare(b.color) || a.name.localeCompare(b.name)),
+    addOns: addOnCounts,
+    unitCount: sorted.reduce((count, line) => count + line.quantity, 0),
+    excludedCount,
+  };
+}
+
+const PO_CSV_COLUMNS = [
+  "Record",
+  "Product",
+  "Style",
+  "Color",
+  "Logo",
+  "Size",
+  "Quantity",
+  "Embroidered Name",
+  "Thread Color",
+  "Customer",
+  "Email",
+  "Add-ons",
+];
+
+/**
+ * Flattens a purchase order into CSV. The Record column says what each row
+ * is: "garment" (units of one size), "embroidery" (one name job) or "total".
+ * @param {Object} po - From buildPurchaseOrder
+ * @returns {string} CSV content
+ */
+function formatPurchaseOrderCSV(po) {
+  const rows = [];
+
+  for (const line of po.lines) {
+    for (const size of po.sizes.filter((s) => line.sizes[s])) {
+      rows.push({
+        Record: "garment",
+        Product: line.product,
+        Style: line.style,
+        Color: line.color,
+        Logo: line.logo,
+        Size: size,
+        Quantity: line.sizes[size],
+        "Add-ons": line.addOns.join(", "),
+      });
+    }
+  }
+
+  for (const job of po.embroidery) {
+    rows.push({
+      Record: "embroidery",
+      Product: job.product,
+      Style: job.style,
+      Color: job.color,
+      Logo: job.logo,
+      Size: job.size,
+      Quantity: 1,
+      "Embroidered Name": job.name,
+      "Thread Color": job.threadColor,
+      Customer: job.customer,
+      Email: job.email,
+      "Add-ons": job.addOns.join(", "),
+    });
+  }
+
+  rows.push({ Record: "total", Quantity: po.unitCount, "Embroidered Name": `${po.embroidery.length} name(s)` });
+  return formatCSV(rows, PO_CSV_COLUMNS);
+}
+
+/**
+ * Formats a purchase order as a printable HTML sheet: a size grid per
+ * garment for the vendor, then the name-embroidery jobs for the embroiderer
+ * @param {Object} po - From buildPurchaseOrder
+ * @param {{title: string, date: string}} header - Order name and date shown at the top
+ * @returns {string} HTML document
+ */
+function formatPurchaseOrderHTML(po, { title, date }) {
+  const cell = (value, tag = "td") => `<${tag}>${escapeHTML(value)}</${tag}>`;
+  const sizeTotals = po.sizes.map((size) => po.lines.reduce((sum, line) => sum + (line.sizes[size] || 0), 0));
+
+  const garmentRows = po.lines.map((line) => `<tr>${[
+    cell(line.product),
+    cell(line.style),
+    cell(line.color),
+    cell(line.logo),
+    cell(line.addOns.join(", ")),
+    ...po.sizes.map((size) => cell(line.sizes[size] || "")),
+    cell(line.quantity),
+  ].join("")}</tr>`);
+
+  const embroideryRows = po.embroidery.map((job, i) => `<tr>${[
+    cell(i + 1),
+    cell(job.name),
+    cell(job.threadColor),
+    cell([`${job.product} — ${job.style} ${job.size} (${job.color})`, ...job.addOns].join(" + ")),
+    cell(job.customer),
+  ].join("")}</tr>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)} — Purchase Order</title>
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; margin: 24px; }
+  h1 { font-size: 18px; margin-bottom: 4px; }
+  h2 { font-size: 14px; margin-top: 24px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+  th { background: #eee; }
+  tfoot td { font-weight: bold; }
+  @media print { h2 { page-break-before: always; } h2:first-of-type { page-break-before: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)} — Purchase Order</h1>
+<p>${escapeHTML(date)} · ${po.unitCount} units · ${po.embroidery.length} name embroideries</p>
+
+<h2>Garments</h2>
+<table>
+<thead><tr>${["Product", "Style", "Color", "Logo", "Add-ons", ...po.sizes, "Total"].map((h) => cell(h, "th")).join("")}</tr></thead>
+<tbody>
+${garmentRows.join("\n")}
+</tbody>
+<tfoot><tr><td colspan="5">Total</td>${sizeTotals.map((total) => cell(total)).join("")}${cell(po.unitCount)}</tr></tfoot>
+</table>
+
+<h2>Name embroidery</h2>
+<table>
+<thead><tr>${["#", "Name", "Thread", "Garment", "Customer"].map((h) => cell(h, "th")).join("")}</tr></thead>
+<tbody>
+${embroideryRows.join("\n")}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  PO_CSV_COLUMNS,
+  buildPurchaseOrder,
+  formatPurchaseOrderCSV,
+  formatPurchaseOrderHTML,
+};
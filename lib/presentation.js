@@ -0,0 +1,179 @@
+/**
+ * Invoice presentation: due date, memo, footer and custom fields
+ *
+ * Configured under "invoice" in pricing.json. Text may use placeholders that
+ * are filled in per customer: {name}, {email}, {phone}, {position} and
+ * {orderDate}.
+ */
+
+const DEFAULT_DUE_DAYS = 14;
+
+// Stripe limits
+const MAX_CUSTOM_FIELDS = 4;
+const MAX_CUSTOM_FIELD_NAME = 40;
+const MAX_CUSTOM_FIELD_VALUE = 140;
+
+/**
+ * Merges the config with CLI overrides and checks it
+ * @param {Object} [config] - pricing.invoice
+ * @param {{due?: string, memo?: string, footer?: string, customFields?: string[]}} [overrides] - CLI values;
+ *   due is a number of days or a YYYY-MM-DD date, custom fields are "Name=value"
+ * @returns {{dueDays: number|null, dueDate: string|null, memo: string, footer: string, customFields: Array<{name: string, value: string}>}}
+ */
+function resolveInvoiceSettings(config = {}, overrides = {}) {
+  let dueDays = config.dueDate ? null : (config.dueDays ?? DEFAULT_DUE_DAYS);
+  let dueDate = config.dueDate || null;
+
+  if (overrides.due !== undefined) {
+    if (/^\d+$/.test(overrides.due)) {
+      dueDays = Number(overrides.due);
+      dueDate = null;
+    } else {
+      dueDays = null;
+      dueDate = overrides.due;
+    }
+  }
+
+  if (dueDays !== null && (!Number.isInteger(dueDays) || dueDays < 1)) {
+    throw new Error(`Invoice due days must be a whole number of at least 1 (got ${dueDays})`);
+  }
+  if (dueDate !== null && !isValidDate(dueDate)) {
+    throw new Error(`Invoice due date must be a YYYY-MM-DD date (got "${dueDate}")`);
+  }
+
+  const customFields = overrides.customFields?.length
+    ? overrides.customFields.map(parseCustomField)
+    : (config.customFields || []);
+
+  if (customFields.length > MAX_CUSTOM_FIELDS) {
+    throw new Error(`Stripe allows at most ${MAX_CUSTOM_FIELDS} invoice custom fields (got ${customFields.length})`);
+  }
+  for (const field of customFields) {
+    if (!field.name || field.name.length > MAX_CUSTOM_FIELD_NAME) {
+      throw new Error(`Custom field names must be 1-${MAX_CUSTOM_FIELD_NAME} characters (got "${field.name || ""}")`);
+    }
+  }
+
+  return {
+    dueDays,
+    dueDate,
+    memo: overrides.memo ?? config.memo ?? "",
+    footer: overrides.footer ?? config.footer ?? "",
+    customFields,
+  };
+}
+
+/**
+ * Checks that a fixed due date hasn't passed, which Stripe would reject.
+ * Only invoice creation needs this; cleanup commands still run after the due date.
+ * @param {Object} settings - Settings from resolveInvoiceSettings
+ * @param {Date} [now] - Current time
+ */
+function checkDueDate(settings, now = new Date()) {
+  if (settings.dueDate && new Date(`${settings.dueDate}T23:59:59`) < now) {
+    throw new Error(`Invoice due date ${settings.dueDate} is in the past — set a new one with --due`);
+  }
+}
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00`).getTime());
+}
+
+/**
+ * Parses a --custom-field value
+ * @param {string} arg - "Name=value"
+ * @returns {{name: string, value: string}}
+ */
+function parseCustomField(arg) {
+  const idx = arg.indexOf("=");
+  if (idx === -1) {
+    throw new Error(`Custom fields are given as "Name=value" (got "${arg}")`);
+  }
+  return { name: arg.slice(0, idx).trim(), value: arg.slice(idx + 1).trim() };
+}
+
+/**
+ * Formats a sheet timestamp as a date (YYYY-MM-DD)
+ * @param {string} timestamp - Timestamp cell (date-only, or a full date/time)
+ * @returns {string} Date, or the input unchanged if it can't be parsed
+ */
+function formatOrderDate(timestamp) {
+  if (!timestamp) return "";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(timestamp)) return timestamp;
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return timestamp;
+  // Local date, so a midnight timestamp from the sheet keeps its day
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Fills {placeholders} in text with customer values; unknown ones are kept
+ * @param {string} text - Text with placeholders
+ * @param {Object} customer - Customer from groupByEmail
+ * @returns {string} Filled-in text
+ */
+function fillPlaceholders(text, customer) {
+  const values = {
+    name: customer.name || "",
+    email: customer.email || "",
+    phone: customer.phone || "",
+    position: customer.position || "",
+    orderDate: formatOrderDate(customer.orderDate),
+  };
+  return text.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+/**
+ * Builds the presentation params for a Stripe invoice
+ * @param {Object} settings - Settings from resolveInvoiceSettings
+ * @param {Object} customer - Customer from groupByEmail (or a plan entry)
+ * @returns {Object} Params to merge into invoices.create
+ */
+function buildInvoicePresentation(settings, customer) {
+  const params = {};
+
+  if (settings.dueDate) {
+    // Due at the end of that day, local time
+    params.due_date = Math.floor(new Date(`${settings.dueDate}T23:59:59`).getTime() / 1000);
+  } else {
+    params.days_until_due = settings.dueDays;
+  }
+
+  const memo = fillPlaceholders(settings.memo, customer).trim();
+  if (memo) params.description = memo;
+
+  const footer = fillPlaceholders(settings.footer, customer).trim();
+  if (footer) params.footer = footer;
+
+  // Fields that come out empty for this customer are left off
+  const customFields = settings.customFields
+    .map((field) => ({
+      name: field.name,
+      value: fillPlaceholders(field.value, customer).trim().slice(0, MAX_CUSTOM_FIELD_VALUE),
+    }))
+    .filter((field) => field.value);
+  if (customFields.length > 0) params.custom_fields = customFields;
+
+  return params;
+}
+
+/**
+ * Describes the due date for console output
+ * @param {Object} settings - Settings from resolveInvoiceSettings
+ * @returns {string} e.g. "14 days after the invoice is created" or "2026-03-01"
+ */
+function describeDue(settings) {
+  return settings.dueDate || `${settings.dueDays} days after the invoice is created`;
+}
+
+module.exports = {
+  DEFAULT_DUE_DAYS,
+  resolveInvoiceSettings,
+  checkDueDate,
+  parseCustomField,
+  formatOrderDate,
+  fillPlaceholders,
+  buildInvoicePresentation,
+  describeDue,
+};
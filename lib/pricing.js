@@ -2,31 +2,202 @@
  * Pricing and order aggregation logic for CMC Patagonia orders
  */
 
-// Colors that normalize to "Gray" for pricing purposes
-const GRAY_COLORS = ["Birch White", "Stonewash"];
+const { resolveEmail } = require("./identity");
+
+const PROCESSING_FEE_DESCRIPTION = "Payment processing fee (2.9% + $0.30)";
+
+// Processing fee policies (pricing.json processingFee.policy) and the rates each
+// uses unless overridden. grossUp charges the fee on the fee-inclusive total,
+// the way Stripe does; ACH is capped per payment.
+const FEE_POLICIES = {
+  "absorb": { percent: 0, fixed: 0, max: null, grossUp: false },
+  "pass-through": { percent: 0.029, fixed: 0.30, max: null, grossUp: false },
+  "gross-up": { percent: 0.029, fixed: 0.30, max: null, grossUp: true },
+  "ach": { percent: 0.008, fixed: 0, max: 5.00, grossUp: true },
+};
+
+// Tier grouping for pricing files written before tierGrouping existed: the
+// two heather grays have always counted as one color
+const DEFAULT_TIER_GROUPING = {
+  by: "product+color",
+  colorAliases: { "Birch White": "Gray", "Stonewash": "Gray" },
+};
+
+// Colors the default grouping counts as "Gray"
+const GRAY_COLORS = Object.keys(DEFAULT_TIER_GROUPING.colorAliases);
+
+// How items pool their volume into tiers (pricing.json tierGrouping.by): the
+// key an item counts under, and the product/color/logo a key names
+const TIER_GROUPINGS = {
+  "product+color": {
+    key: (item) => `${item.product}|${item.color}`,
+    parse: (key) => {
+      const [product, color] = key.split("|");
+      return { product, color };
+    },
+  },
+  "product": {
+    key: (item) => item.product,
+    parse: (key) => ({ product: key }),
+  },
+  "logo": {
+    key: (item) => `logo|${item.logo}`,
+    parse: (key) => ({ logo: key.slice("logo|".length) }),
+  },
+};
+
+// Per-item fees, billed on their own invoice lines: key, pricing.json field, line description
+const ITEM_FEES = [
+  { key: "embroidery", field: "embroideryFee", description: "Name embroidery fee" },
+  { key: "logo", field: "logoFee", description: "Logo embroidery fee" },
+  { key: "folding", field: "foldingFee", description: "Folding fee" },
+];
 
 /**
- * Normalizes color names - combines gray variants
+ * Every surcharge and add-on pricing.json offers:
+ *
+ *   "surcharges": {
+ *     "sizes": { "XXL": 2.00, "3XL": 4.00 },
+ *     "colors": { "Birch White": 1.50 }
+ *   },
+ *   "addOns": {
+ *     "Sleeve logo": { "price": 12.00, "description": "Second logo placement (left sleeve)" }
+ *   }
+ *
+ * Surcharges apply to every item in the size or color; add-ons only to items
+ * that pick them in the "Add-ons" column.
+ * @param {Object} pricing - Pricing config
+ * @returns {Array<{key: string, type: string, name: string, amount: number, description: string}>}
+ *   key is also the line's priceKey, e.g. "surcharge:size:XXL" or "addon:Sleeve logo"; amount in dollars
+ */
+function listExtras(pricing) {
+  const surcharges = (type, label, amounts = {}) => Object.entries(amounts).map(([name, amount]) => ({
+    key: `surcharge:${type}:${name}`,
+    type,
+    name,
+    amount,
+    description: `${label} ${name} surcharge`,
+  }));
+  return [
+    ...surcharges("size", "Size", pricing.surcharges?.sizes),
+    ...surcharges("color", "Color", pricing.surcharges?.colors),
+    ...Object.entries(pricing.addOns || {}).map(([name, addOn]) => ({
+      key: `addon:${name}`,
+      type: "addOn",
+      name,
+      amount: addOn.price,
+      description: addOn.description || name,
+    })),
+  ];
+}
+
+/**
+ * Surcharges and add-ons that apply to an item (see listExtras). Add-ons
+ * pricing.json doesn't offer are left off; validation reports them.
+ * @param {Object} item - Order item
+ * @param {Object} pricing - Pricing config
+ * @returns {Array<Object>} Extras from listExtras
+ */
+function getItemExtras(item, pricing) {
+  return listExtras(pricing).filter((extra) => {
+    if (extra.type === "size") return extra.name === item.size;
+    if (extra.type === "color") return extra.name === item.color;
+    return (item.addOns || []).includes(extra.name);
+  });
+}
+
+/**
+ * Splits the "Add-ons" column into add-on names
+ * @param {string} value - e.g. "Sleeve logo, Gift box"
+ * @returns {string[]} Names
+ */
+function parseAddOns(value) {
+  return String(value ?? "").split(",").map((name) => name.trim()).filter(Boolean);
+}
+
+/**
+ * Converts a dollar amount from pricing.json to integer cents. All money math
+ * is done in cents, so totals add up to exactly what Stripe bills.
+ * @param {number} dollars - Amount in dollars
+ * @returns {number} Amount in cents
+ */
+function toCents(dollars) {
+  return Math.round(dollars * 100);
+}
+
+/**
+ * Resolves how tiers are counted, from "tierGrouping" in pricing.json:
+ *
+ *   "tierGrouping": {
+ *     "by": "product+color",
+ *     "colorAliases": { "Birch White": "Gray", "Stonewash": "Gray" }
+ *   }
+ *
+ * by is "product+color" (the default), "product" (every color of a product
+ * together) or "logo" (every product with the same logo together). Colors
+ * with an alias count as that color, e.g. both heather grays as one. Pricing
+ * files without tierGrouping keep DEFAULT_TIER_GROUPING, gray aliases included.
+ * @param {Object} [pricing] - Pricing config
+ * @returns {{by: string, colorAliases: Object<string, string>}}
+ */
+function getTierGrouping(pricing = {}) {
+  if (!pricing.tierGrouping) return DEFAULT_TIER_GROUPING;
+  const { by = "product+color", colorAliases = {} } = pricing.tierGrouping;
+  if (!TIER_GROUPINGS[by]) {
+    throw new Error(`Unknown tierGrouping.by "${by}" in pricing.json (use ${Object.keys(TIER_GROUPINGS).join(", ")})`);
+  }
+  return { by, colorAliases };
+}
+
+/**
+ * Normalizes a color through the pricing.json color aliases
  * @param {string} color - Original color name
- * @returns {string} Normalized color
+ * @param {Object} [pricing] - Pricing config (the default aliases without one)
+ * @returns {string} Normalized color, e.g. "Birch White" → "Gray"
  */
-function normalizeColor(color) {
-  if (GRAY_COLORS.includes(color)) return "Gray";
-  return color;
+function normalizeColor(color, pricing) {
+  return getTierGrouping(pricing).colorAliases[color] || color;
 }
 
 /**
- * Counts items grouped by product+color combination
- * @param {Array<{Product: string, Color: string}>} rows - Order rows
- * @returns {Object<string, number>} Counts keyed by "Product|Color"
+ * The tier group an item counts toward (see getTierGrouping)
+ * @param {{product: string, color: string, logo: string}} item - Order item
+ * @param {Object} pricing - Pricing config
+ * @returns {string} Key, e.g. "Better Sweater Jacket|Gray", "Better Sweater Jacket" or "logo|Option 1"
  */
-function countByProductColor(rows) {
+function tierGroupKey(item, pricing) {
+  const { by } = getTierGrouping(pricing);
+  return TIER_GROUPINGS[by].key({ ...item, color: normalizeColor(item.color, pricing) });
+}
+
+/**
+ * What a tier group key names
+ * @param {string} key - From tierGroupKey
+ * @param {Object} pricing - Pricing config
+ * @returns {{product?: string, color?: string, logo?: string, label: string}}
+ *   label is e.g. "Better Sweater Jacket (Gray)", "Better Sweater Jacket (all colors)" or "Logo Option 1 (all products)"
+ */
+function describeTierGroup(key, pricing) {
+  const { by } = getTierGrouping(pricing);
+  const parts = TIER_GROUPINGS[by].parse(key);
+  const label = by === "product+color" ? `${parts.product} (${parts.color})`
+    : by === "product" ? `${parts.product} (all colors)`
+    : `Logo ${parts.logo} (all products)`;
+  return { ...parts, label };
+}
+
+/**
+ * Counts items by tier group (product+color unless pricing.json groups them
+ * otherwise, see getTierGrouping)
+ * @param {Array<{Product: string, Color: string, Logo: string}>} rows - Order rows
+ * @param {Object} pricing - Pricing config
+ * @returns {Object<string, number>} Counts keyed by tier group, e.g. "Product|Color"
+ */
+function countByProductColor(rows, pricing) {
   const counts = {};
   for (const row of rows) {
-    const product = row.Product;
-    const color = normalizeColor(row.Color);
-    if (!product) continue;
-    const key = `${product}|${color}`;
+    if (!row.Product) continue;
+    const key = tierGroupKey({ product: row.Product, color: row.Color, logo: row.Logo }, pricing);
     counts[key] = (counts[key] || 0) + 1;
   }
   return counts;
@@ -59,10 +230,10 @@ function getTierLabel(tierKey, tiers) {
 }
 
 /**
- * Builds tier map from product+color counts
- * @param {Object<string, number>} productColorCounts - Counts by product|color
+ * Builds tier map from tier group counts
+ * @param {Object<string, number>} productColorCounts - Counts by tier group (from countByProductColor)
  * @param {Array<{minQty: number}>} tiers - Tier definitions
- * @returns {Object<string, string>} Tier key by product|color
+ * @returns {Object<string, string>} Tier key by tier group
  */
 function buildTierMap(productColorCounts, tiers) {
   const tierMap = {};
@@ -73,45 +244,119 @@ function buildTierMap(productColorCounts, tiers) {
 }
 
 /**
- * Calculates price for a single item based on its product+color tier
+ * Calculates price for a single item based on its tier group's tier
  * @param {Object} item - Order item
  * @param {Object} tierMap - Tier map from buildTierMap
  * @param {Object} pricing - Pricing config
- * @returns {{price: number, tierKey: string}|null} Price info or null if unknown product
+ * @returns {{price: number, tierKey: string, extras: Array<Object>}|null} Price info or null if unknown product;
+ *   price is in cents and includes the fees and the item's surcharges and add-ons (extras, from getItemExtras)
  */
 function getItemPrice(item, tierMap, pricing) {
   const productPricing = pricing.products[item.product];
   if (!productPricing) {
     return null;
   }
-  const color = normalizeColor(item.color);
-  const key = `${item.product}|${color}`;
-  const tierKey = tierMap[key] || "6";
-  const basePrice = productPricing[tierKey];
-  const embroideryFee = item.embroideredName ? pricing.embroideryFee : 0;
-  const logoFee = pricing.logoFee || 0;
-  const foldingFee = pricing.foldingFee || 0;
-  return { price: basePrice + embroideryFee + logoFee + foldingFee, tierKey };
+  const tierKey = tierMap[tierGroupKey(item, pricing)] || "6";
+  const basePrice = toCents(productPricing[tierKey]);
+  const embroideryFee = item.embroideredName ? toCents(pricing.embroideryFee) : 0;
+  const logoFee = toCents(pricing.logoFee || 0);
+  const foldingFee = toCents(pricing.foldingFee || 0);
+  const extras = getItemExtras(item, pricing);
+  const extrasAmount = extras.reduce((sum, extra) => sum + toCents(extra.amount), 0);
+  return { price: basePrice + embroideryFee + logoFee + foldingFee + extrasAmount, tierKey, extras };
+}
+
+/**
+ * Finds the subsidy rule for a position. Rules live under "subsidies" in
+ * pricing.json, keyed by position (matched case-insensitively):
+ *
+ *   "Resident": { "type": "percent", "amount": 50, "maxItems": 1 }
+ *   "Fellow": { "type": "flat", "amount": 40 }
+ *
+ * type is "percent" (of the item's tier price) or "flat" (dollars per item);
+ * maxItems caps how many of a person's items are subsidized.
+ *
+ * @param {string} position - Customer's position from the order form
+ * @param {Object} pricing - Pricing config
+ * @returns {{position: string, type: string, amount: number, maxItems?: number, description?: string}|null} Rule, or null if none applies
+ */
+function getSubsidyRule(position, pricing) {
+  const rules = pricing.subsidies || {};
+  const wanted = (position || "").trim().toLowerCase();
+  const key = Object.keys(rules).find((p) => p.toLowerCase() === wanted);
+  if (!wanted || !key) return null;
+
+  const rule = rules[key];
+  if (rule.type !== "percent" && rule.type !== "flat") {
+    throw new Error(`Subsidy for ${key}: type must be "percent" or "flat" (got "${rule.type}")`);
+  }
+  return { position: key, ...rule };
+}
+
+/**
+ * Calculates the subsidy on one item, never more than its price. A percent
+ * subsidy is rounded to the cent per item, as its invoice line sums them.
+ * @param {number} basePrice - Item's tier price (before fees), in cents
+ * @param {{type: string, amount: number}} rule - Rule from getSubsidyRule
+ * @returns {number} Discount in cents
+ */
+function calculateSubsidy(basePrice, rule) {
+  const discount = rule.type === "percent" ? Math.round(basePrice * rule.amount / 100) : toCents(rule.amount);
+  return Math.min(discount, basePrice);
+}
+
+/**
+ * Describes a subsidy for its invoice line
+ * @param {Object} rule - Rule from getSubsidyRule
+ * @param {number} itemCount - Number of items subsidized
+ * @returns {string} e.g. "Resident subsidy (50% off 1 item)"
+ */
+function formatSubsidyDescription(rule, itemCount) {
+  const label = rule.description || `${rule.position} subsidy`;
+  const off = rule.type === "percent" ? `${rule.amount}% off` : `$${rule.amount.toFixed(2)} off`;
+  return `${label} (${off} ${itemCount} item${itemCount === 1 ? "" : "s"})`;
+}
+
+// Sheet values that mark a row, e.g. in the "Tax Exempt" column
+function isMarked(value) {
+  return /^(y|yes|true|x|1|exempt)$/i.test(String(value ?? "").trim());
 }
 
 /**
- * Groups order rows by customer email
+ * Groups order rows by customer email. With a merge map (see lib/identity.js),
+ * rows under an alias email are grouped with the email it maps to.
  * @param {Array<Object>} rows - Order rows from sheet
- * @returns {Array<{name: string, phone: string, email: string, items: Array}>} Grouped customers
+ * @param {Object<string, string>} [merges] - Alias email → email to bill
+ * @returns {Array<{name: string, phone: string, email: string, position: string, orderDate: string, taxExempt: boolean, aliases: string[], items: Array}>}
+ *   Grouped customers (details from their first row under the billed email, else their first row;
+ *   tax exempt if any row is marked in the "Tax Exempt" column; aliases are the merged emails seen)
  */
-function groupByEmail(rows) {
+function groupByEmail(rows, merges = {}) {
   const grouped = {};
   for (const row of rows) {
-    const email = row.Email?.toLowerCase();
-    if (!email) continue;
+    const rowEmail = row.Email?.toLowerCase();
+    if (!rowEmail) continue;
+    const email = resolveEmail(rowEmail, merges);
+    const details = {
+      name: row.Name,
+      phone: row.Phone,
+      position: row.Position || "",
+    };
     if (!grouped[email]) {
       grouped[email] = {
-        name: row.Name,
-        phone: row.Phone,
+        ...details,
         email: email,
+        orderDate: row.Timestamp || "",
+        taxExempt: false,
+        aliases: [],
         items: [],
+        fromAlias: rowEmail !== email,
       };
+    } else if (grouped[email].fromAlias && rowEmail === email) {
+      Object.assign(grouped[email], details, { fromAlias: false });
     }
+    if (rowEmail !== email && !grouped[email].aliases.includes(rowEmail)) grouped[email].aliases.push(rowEmail);
+    if (isMarked(row["Tax Exempt"])) grouped[email].taxExempt = true;
     grouped[email].items.push({
       product: row.Product,
       style: row.Style,
@@ -120,14 +365,17 @@ function groupByEmail(rows) {
       logo: row.Logo,
       embroideredName: row["Embroidered Name"] || "",
       threadColor: row["Thread Color"] || "",
+      addOns: parseAddOns(row["Add-ons"]),
+      invoiceId: row["Invoice ID"] || "",
+      row: row._row,
     });
   }
-  return Object.values(grouped);
+  return Object.values(grouped).map(({ fromAlias, ...customer }) => customer);
 }
 
 /**
- * Separates product+color combos by minimum quantity threshold
- * @param {Object<string, number>} productColorCounts - Counts by product|color
+ * Separates tier groups (product+color combos by default) by minimum quantity threshold
+ * @param {Object<string, number>} productColorCounts - Counts by tier group
  * @param {number} minQuantity - Minimum quantity threshold
  * @returns {{eligible: Object, excluded: Object}} Separated counts
  */
@@ -147,22 +395,154 @@ function filterByMinimum(productColorCounts, minQuantity) {
 }
 
 /**
- * Calculates sales tax
- * @param {number} subtotal - Taxable subtotal
+ * Resolves the tax settings: "tax" in pricing.json, or the top-level taxRate
+ * of older pricing files (which always meant NC sales tax)
+ *
+ *   "tax": { "name": "NC Sales Tax", "jurisdiction": "NC", "rate": 0.0725, "exempt": ["buyer@example.org"] }
+ *
+ * @param {Object} pricing - Pricing config
+ * @returns {{name: string, jurisdiction: string, rate: number, exempt: string[]}} exempt holds lowercased emails
+ */
+function getTaxConfig(pricing) {
+  if (!pricing.tax) {
+    return { name: "NC Sales Tax", jurisdiction: "NC", rate: pricing.taxRate, exempt: [] };
+  }
+  const { name, jurisdiction, rate, exempt = [] } = pricing.tax;
+  if (!name || !jurisdiction || typeof rate !== "number" || rate < 0) {
+    throw new Error("Tax settings need a name, a jurisdiction and a rate (e.g. 0.0725)");
+  }
+  return { name, jurisdiction, rate, exempt: exempt.map((email) => email.toLowerCase()) };
+}
+
+/**
+ * Whether a customer pays no sales tax: marked on the sheet or listed in the tax settings
+ * @param {{email: string, taxExempt?: boolean}} customer - Customer from groupByEmail
+ * @param {Object} pricing - Pricing config
+ * @returns {boolean}
+ */
+function isTaxExempt(customer, pricing) {
+  return Boolean(customer.taxExempt) || getTaxConfig(pricing).exempt.includes(customer.email?.toLowerCase());
+}
+
+/**
+ * The percentage a Stripe tax rate is created with for a tax rate
+ * @param {number} taxRate - Tax rate (e.g., 0.0725)
+ * @returns {number} Percentage (e.g., 7.25)
+ */
+function taxPercentage(taxRate) {
+  return Math.round(taxRate * 10000) / 100;
+}
+
+/**
+ * Calculates the tax on one invoice line the way Stripe does: from the tax
+ * rate's percentage, rounded to the cent on each line
+ * @param {number} amount - Line amount in cents
+ * @param {number} taxRate - Tax rate (e.g., 0.0725)
+ * @returns {number} Tax in cents
+ */
+function calculateLineTax(amount, taxRate) {
+  return Math.round(amount * taxPercentage(taxRate) / 100);
+}
+
+/**
+ * Calculates the sales tax on invoice lines: each taxable line's tax, rounded per line
+ * @param {Array<{amount: number, taxable: boolean}>} lineItems - Lines (amounts in cents)
  * @param {number} taxRate - Tax rate (e.g., 0.0725 for 7.25%)
- * @returns {number} Tax amount
+ * @returns {number} Tax in cents
+ */
+function calculateTax(lineItems, taxRate) {
+  return lineItems
+    .filter((line) => line.taxable)
+    .reduce((sum, line) => sum + calculateLineTax(line.amount, taxRate), 0);
+}
+
+/**
+ * Totals invoice lines the way Stripe will: line amounts plus each taxable line's tax
+ * @param {Array<{amount: number, taxable: boolean}>} lineItems - Lines (amounts in cents)
+ * @param {number} taxRate - Tax rate (e.g., 0.0725)
+ * @returns {{subtotal: number, tax: number, total: number}} Amounts in cents
+ */
+function calculateInvoiceTotal(lineItems, taxRate) {
+  const subtotal = lineItems.reduce((sum, line) => sum + line.amount, 0);
+  const tax = calculateTax(lineItems, taxRate);
+  return { subtotal, tax, total: subtotal + tax };
+}
+
+/**
+ * Reads the processing fee settings from pricing.json, defaulting to passing
+ * the card fee through (the only behavior before policies existed)
+ * @param {Object} pricing - Pricing config
+ * @returns {{policy: string, percent: number, fixed: number, max: number|null, grossUp: boolean}}
  */
-function calculateTax(subtotal, taxRate) {
-  return subtotal * taxRate;
+function getProcessingFeeConfig(pricing) {
+  const { policy = "pass-through", percent, fixed, max } = pricing.processingFee || {};
+  if (!FEE_POLICIES[policy]) {
+    throw new Error(`Unknown processing fee policy "${policy}" (policies: ${Object.keys(FEE_POLICIES).join(", ")})`);
+  }
+  if (policy === "absorb") return { policy, ...FEE_POLICIES.absorb };
+
+  const config = { policy, ...FEE_POLICIES[policy] };
+  if (percent !== undefined) config.percent = percent;
+  if (fixed !== undefined) config.fixed = fixed;
+  if (max !== undefined) config.max = max;
+
+  const valid = typeof config.percent === "number" && config.percent >= 0 && config.percent < 1
+    && typeof config.fixed === "number" && config.fixed >= 0
+    && (config.max === null || (typeof config.max === "number" && config.max > 0));
+  if (!valid) {
+    throw new Error("Processing fee settings need a percent from 0 to 1 (e.g. 0.029), a fixed amount of at least 0 and an optional positive max");
+  }
+  return config;
 }
 
 /**
- * Calculates Stripe processing fee (2.9% + $0.30)
- * @param {number} subtotal - Order subtotal
- * @returns {number} Fee amount
+ * Calculates the processing fee to charge on an amount. Passed through, it is
+ * the rate applied to the amount; grossed up, it is what makes the amount
+ * left after the processor takes its cut of the whole payment come out at
+ * least the amount (rounded up to the cent).
+ * @param {number} amount - Amount before the fee (subtotal + tax), in cents
+ * @param {Object} config - From getProcessingFeeConfig
+ * @returns {number} Fee in cents (0 when absorbed)
+ */
+function calculateProcessingFee(amount, config) {
+  if (config.policy === "absorb") return 0;
+  const fixed = toCents(config.fixed);
+  const fee = config.grossUp
+    ? Math.ceil((amount + fixed) / (1 - config.percent)) - amount
+    : Math.round(amount * config.percent) + fixed;
+  return config.max === null ? fee : Math.min(fee, toCents(config.max));
+}
+
+/**
+ * Calculates Stripe processing fee (2.9% + $0.30), passed through
+ * @param {number} subtotal - Order subtotal, in cents
+ * @returns {number} Fee in cents
  */
 function calculateStripeFee(subtotal) {
-  return (subtotal * 0.029) + 0.30;
+  return calculateProcessingFee(subtotal, FEE_POLICIES["pass-through"]);
+}
+
+/**
+ * Describes the fee's rates, e.g. "2.9% + $0.30" or "0.8%, max $5.00"
+ * @param {Object} config - From getProcessingFeeConfig
+ * @returns {string}
+ */
+function formatProcessingFeeRate(config) {
+  let rate = `${Number((config.percent * 100).toFixed(2))}%`;
+  if (config.fixed > 0) rate += ` + $${config.fixed.toFixed(2)}`;
+  if (config.max !== null) rate += `, max $${config.max.toFixed(2)}`;
+  return rate;
+}
+
+/**
+ * Describes the processing fee policy for the dry run
+ * @param {Object} config - From getProcessingFeeConfig
+ * @returns {string} e.g. "grossed up at 2.9% + $0.30"
+ */
+function describeProcessingFee(config) {
+  if (config.policy === "absorb") return "absorbed (not charged to buyers)";
+  const how = config.grossUp ? "grossed up" : "passed through";
+  return `${how} at ${formatProcessingFeeRate(config)}${config.policy === "ach" ? " (ACH)" : ""}`;
 }
 
 /**
@@ -176,20 +556,207 @@ function formatItemDescription(item) {
   if (item.embroideredName) {
     desc += `\nEmbroidered: "${item.embroideredName}" (${item.threadColor} thread)`;
   }
+  if (item.addOns?.length > 0) {
+    desc += `\nAdd-ons: ${item.addOns.join(", ")}`;
+  }
   return desc;
 }
 
+/**
+ * Builds invoice line items for a customer's items at the current tiers.
+ * Items in combos below the minimum are left out; unknown products are dropped.
+ *
+ * Each item gets a line at its product's tier price, and the embroidery, logo
+ * and folding fees get one line each (quantity = number of items), as does
+ * each surcharge and add-on the items carry (see listExtras), so every line
+ * can reference a catalog price (priceKey). With itemizeFees false, fees
+ * are folded into the item lines instead — the layout of invoices made before
+ * fees were itemized. A subsidy for the customer's position (see
+ * getSubsidyRule) goes on one negative line, taking the first items up to the
+ * rule's maxItems, less any subsidizedBefore on earlier invoices. A
+ * processing fee line (on subtotal + tax, see getProcessingFeeConfig) comes
+ * last when anything is billed, unless the fee is absorbed.
+ * For a taxExempt customer no line is taxable and the tax is zero.
+ *
+ * @param {Array<Object>} items - Customer items from groupByEmail
+ * @param {Object<string, number>} eligibleCombos - Eligible counts by tier group
+ * @param {Object<string, string>} tierMap - Tier map from buildTierMap
+ * @param {Object} pricing - Pricing config
+ * @param {{itemizeFees?: boolean, position?: string, subsidizedBefore?: number, taxExempt?: boolean}} [options]
+ * @returns {{lineItems: Array<Object>, priced: Array<{item: Object, price: number, tierKey: string, subsidy: number}>, subtotal: number, discount: number, tax: number, fee: number, total: number, excludedCount: number}}
+ *   All amounts are in cents; kind is "item", "fee", "discount" or "processing-fee".
+ *   Tax is worked out per taxable line, as Stripe does.
+ *   subtotal is after the discount; each priced item carries its share of it (subsidy).
+ */
+function buildLineItems(items, eligibleCombos, tierMap, pricing, { itemizeFees = true, position, subsidizedBefore = 0, taxExempt = false } = {}) {
+  const taxable = !taxExempt;
+  const lineItems = [];
+  const priced = [];
+  let excludedCount = 0;
+
+  for (const item of items) {
+    if (!eligibleCombos[tierGroupKey(item, pricing)]) {
+      excludedCount++;
+      continue;
+    }
+
+    const result = getItemPrice(item, tierMap, pricing);
+    if (result === null) continue;
+
+    priced.push({ item, ...result, subsidy: 0 });
+
+    const unitAmount = itemizeFees ? toCents(pricing.products[item.product][result.tierKey]) : result.price;
+    const line = {
+      kind: "item",
+      description: formatItemDescription(item),
+      amount: unitAmount,
+      unitAmount,
+      quantity: 1,
+      currency: pricing.currency,
+      taxable,
+    };
+    if (itemizeFees) line.priceKey = `${item.product}|${result.tierKey}`;
+    lineItems.push(line);
+  }
+
+  if (lineItems.length === 0) {
+    return { lineItems, priced, subtotal: 0, discount: 0, tax: 0, fee: 0, total: 0, excludedCount };
+  }
+
+  if (itemizeFees) {
+    for (const fee of ITEM_FEES) {
+      const unitAmount = toCents(pricing[fee.field] || 0);
+      const quantity = fee.key === "embroidery"
+        ? priced.filter((p) => p.item.embroideredName).length
+        : priced.length;
+      if (unitAmount === 0 || quantity === 0) continue;
+      lineItems.push({
+        kind: "fee",
+        description: fee.description,
+        amount: unitAmount * quantity,
+        unitAmount,
+        quantity,
+        currency: pricing.currency,
+        taxable,
+        priceKey: `fee:${fee.key}`,
+      });
+    }
+
+    for (const extra of listExtras(pricing)) {
+      const unitAmount = toCents(extra.amount);
+      const quantity = priced.filter((p) => p.extras.some((e) => e.key === extra.key)).length;
+      if (unitAmount === 0 || quantity === 0) continue;
+      lineItems.push({
+        kind: "fee",
+        description: extra.description,
+        amount: unitAmount * quantity,
+        unitAmount,
+        quantity,
+        currency: pricing.currency,
+        taxable,
+        priceKey: extra.key,
+      });
+    }
+  }
+
+  let discountAmount = 0;
+  const rule = getSubsidyRule(position, pricing);
+  if (rule) {
+    const limit = Math.max(0, (rule.maxItems ?? Infinity) - subsidizedBefore);
+    const subsidized = priced.slice(0, limit);
+    for (const p of subsidized) {
+      p.subsidy = calculateSubsidy(toCents(pricing.products[p.item.product][p.tierKey]), rule);
+      discountAmount += p.subsidy;
+    }
+    if (discountAmount > 0) {
+      // Taxed like the items, so tax is charged on what the customer actually pays
+      lineItems.push({
+        kind: "discount",
+        description: formatSubsidyDescription(rule, subsidized.length),
+        amount: -discountAmount,
+        unitAmount: -discountAmount,
+        quantity: 1,
+        currency: pricing.currency,
+        taxable,
+      });
+    }
+  }
+
+  // Tax is applied by Stripe via tax_rates, line by line; the fee covers subtotal + tax
+  const { subtotal, tax, total } = calculateInvoiceTotal(lineItems, getTaxConfig(pricing).rate);
+  const feeConfig = getProcessingFeeConfig(pricing);
+  const feeAmount = calculateProcessingFee(total, feeConfig);
+  if (feeConfig.policy !== "absorb") {
+    lineItems.push({
+      kind: "processing-fee",
+      description: `Payment processing fee (${formatProcessingFeeRate(feeConfig)})`,
+      amount: feeAmount,
+      unitAmount: feeAmount,
+      quantity: 1,
+      currency: pricing.currency,
+      taxable: false,
+    });
+  }
+
+  return {
+    lineItems,
+    priced,
+    subtotal,
+    discount: discountAmount,
+    tax,
+    fee: feeAmount,
+    total: total + feeAmount,
+    excludedCount,
+  };
+}
+
+/**
+ * Whether invoice lines bill fees on their own lines (see buildLineItems)
+ * @param {Array<{description: string}>} lines - Invoice lines
+ * @returns {boolean}
+ */
+function hasItemizedFees(lines) {
+  const feeDescriptions = ITEM_FEES.map((fee) => fee.description);
+  return lines.some((line) => feeDescriptions.includes(line.description));
+}
+
 module.exports = {
   GRAY_COLORS,
+  DEFAULT_TIER_GROUPING,
+  TIER_GROUPINGS,
+  PROCESSING_FEE_DESCRIPTION,
+  FEE_POLICIES,
+  toCents,
+  ITEM_FEES,
+  listExtras,
+  getItemExtras,
+  parseAddOns,
+  getTierGrouping,
   normalizeColor,
+  tierGroupKey,
+  describeTierGroup,
   countByProductColor,
   getPricingTier,
   getTierLabel,
   buildTierMap,
   getItemPrice,
+  getSubsidyRule,
+  calculateSubsidy,
+  formatSubsidyDescription,
   groupByEmail,
   filterByMinimum,
+  getTaxConfig,
+  isTaxExempt,
   calculateTax,
+  taxPercentage,
+  calculateLineTax,
+  calculateInvoiceTotal,
+  getProcessingFeeConfig,
+  calculateProcessingFee,
   calculateStripeFee,
+  formatProcessingFeeRate,
+  describeProcessingFee,
   formatItemDescription,
+  buildLineItems,
+  hasItemizedFees,
 };
@@ -0,0 +1,111 @@
+/**
+ * Product catalog lookups over a campaign's products.json
+ *
+ * Products and logos can be listed by name, or as objects with details for
+ * the order form:
+ *
+ *   "products": [
+ *     { "name": "Better Sweater Jacket", "label": "Jacket", "title": "Better Sweater® Jacket (Full Zip)",
+ *       "styles": ["Mens", "Womens"], "colors": { "Womens": ["Black"] } }
+ *   ],
+ *   "colors": { "Stonewash": { "label": "Stonewash (Heather Gray)", "swatch": "#8a9a9a" } },
+ *   "logos": [{ "name": "Option 1", "label": "Original CMC Logo (Option 1)", "image": "images/logos.jpg" }]
+ *
+ * A product offers every style unless it lists its own, and a style's colors
+ * unless it lists its own for that style.
+ */
+
+// A product or logo entry as an object
+function entry(value) {
+  return typeof value === "string" ? { name: value } : value;
+}
+
+/**
+ * @param {Object} options - products.json
+ * @returns {Array<Object>} Product entries, each with at least a name
+ */
+function listProducts(options) {
+  return options.products.map(entry);
+}
+
+/**
+ * @param {Object} options - products.json
+ * @param {string} name - Product name
+ * @returns {Object|undefined} The product entry
+ */
+function findProduct(options, name) {
+  return listProducts(options).find((product) => product.name === name);
+}
+
+/**
+ * @param {Object} options - products.json
+ * @returns {Array<Object>} Logo entries, each with at least a name
+ */
+function listLogos(options) {
+  return options.logos.map(entry);
+}
+
+/**
+ * Styles a product comes in
+ * @param {Object} options - products.json
+ * @param {string} productName - Product name
+ * @returns {string[]} Style names
+ */
+function stylesFor(options, productName) {
+  return findProduct(options, productName)?.styles || Object.keys(options.styles);
+}
+
+/**
+ * Colors a product comes in for a style
+ * @param {Object} options - products.json
+ * @param {string} productName - Product name
+ * @param {string} style - Style name
+ * @returns {string[]} Color names (empty for an unknown style)
+ */
+function colorsFor(options, productName, style) {
+  return findProduct(options, productName)?.colors?.[style] || options.styles[style]?.colors || [];
+}
+
+/**
+ * The catalog with every detail filled in, as embedded in the order form and
+ * the Apps Script: labels default to names and swatches to gray
+ * @param {Object} options - products.json
+ * @returns {Object} Catalog
+ */
+function buildFormCatalog(options) {
+  const colorNames = new Set([
+    ...Object.values(options.styles).flatMap((style) => style.colors || []),
+    ...listProducts(options).flatMap((product) => Object.values(product.colors || {}).flat()),
+  ]);
+  const colors = Object.fromEntries([...colorNames].map((color) => [
+    color,
+    { label: color, swatch: "#cccccc", ...options.colors?.[color] },
+  ]));
+
+  return {
+    products: listProducts(options).map((product) => ({
+      name: product.name,
+      label: product.label || product.name,
+      title: product.title || product.name,
+      styles: stylesFor(options, product.name),
+      colors: Object.fromEntries(stylesFor(options, product.name).map((style) => [style, colorsFor(options, product.name, style)])),
+    })),
+    styles: Object.fromEntries(Object.entries(options.styles).map(([style, { label, sizes }]) => [
+      style,
+      { label: label || style, sizes },
+    ])),
+    colors,
+    logos: listLogos(options).map((logo) => ({ name: logo.name, label: logo.label || logo.name, image: logo.image || null })),
+    threadColors: options.threadColors,
+    embroideredNameMaxLength: options.embroideredNameMaxLength || null,
+  };
+}
+
+module.exports = {
+  listProducts,
+  findProduct,
+  listLogos,
+  stylesFor,
+  colorsFor,
+  buildFormCatalog,
+};
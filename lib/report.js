@@ -0,0 +1,193 @@
+/**
+ * Machine-readable dry-run reports (JSON and CSV) built from a plan
+ */
+
+const { formatCSV } = require("./csv");
+const { tierGroupKey } = require("./pricing");
+
+// Plan amounts are cents; reports show dollars
+function toDollars(cents) {
+  return cents / 100;
+}
+
+/**
+ * Builds a report from a plan. It leaves out plan IDs and timestamps so two
+ * reports for the same input are identical and diff cleanly.
+ * @param {Object} plan - Plan from createPlan
+ * @param {Object} pricing - Pricing config
+ * @returns {Object} Report
+ */
+function buildReport(plan, pricing) {
+  const tierLabels = Object.fromEntries(plan.combos.map((c) => [c.key, c.tierLabel]));
+
+  const customers = plan.customers.map((entry) => {
+    const customer = {
+      name: entry.name,
+      email: entry.email,
+      action: entry.action,
+      taxExempt: Boolean(entry.taxExempt),
+      reason: entry.reason || null,
+      invoiceId: entry.invoiceId || entry.supplementalTo || null,
+      excludedCount: entry.excludedCount || 0,
+      lineItems: [],
+      subtotal: 0,
+      discount: 0,
+      tax: 0,
+      fee: 0,
+      total: 0,
+    };
+    if (entry.action !== "create") return customer;
+
+    // Item lines follow entry.items in order; fee and discount lines come after them
+    customer.lineItems = entry.lineItems.map((line, i) => {
+      if (line.kind !== "item") {
+        return {
+          type: line.kind === "discount" ? "discount" : "fee",
+          description: line.description,
+          quantity: line.quantity,
+          unitPrice: toDollars(line.unitAmount),
+          amount: toDollars(line.amount),
+          taxable: line.taxable,
+        };
+      }
+      const item = entry.items[i];
+      return {
+        type: "item",
+        description: line.description,
+        product: item.product,
+        style: item.style,
+        size: item.size,
+        color: item.color,
+        tier: item.tierKey,
+        tierLabel: tierLabels[tierGroupKey(item, pricing)] || null,
+        unitPrice: pricing.products[item.product]?.[item.tierKey] ?? null,
+        quantity: line.quantity,
+        amount: toDollars(line.amount),
+        taxable: line.taxable,
+      };
+    });
+    customer.subtotal = toDollars(entry.subtotal);
+    customer.discount = toDollars(entry.discount || 0);
+    customer.tax = toDollars(entry.tax);
+    customer.fee = toDollars(entry.fee);
+    customer.total = toDollars(entry.total);
+    return customer;
+  });
+
+  const invoiced = customers.filter((c) => c.action === "create");
+  // Totals are summed in cents, so they match the invoices to the cent
+  const created = plan.customers.filter((entry) => entry.action === "create");
+  const sum = (field) => toDollars(created.reduce((total, entry) => total + (entry[field] || 0), 0));
+
+  return {
+    campaign: plan.campaign || null,
+    rowCount: plan.rowCount,
+    rowsHash: plan.rowsHash,
+    options: plan.options,
+    // Tier groups: product and color, or the logo when tiers are pooled by logo
+    combos: plan.combos.map(({ product, color, logo, count, tier, tierLabel, unitPrice }) => ({
+      product, color, logo, count, tier, tierLabel, unitPrice,
+    })),
+    excluded: plan.excluded.map(({ product, color, logo, count }) => ({ product, color, logo, count })),
+    customers,
+    totals: {
+      invoices: invoiced.length,
+      items: invoiced.reduce((count, c) => count + c.lineItems.filter((l) => l.type === "item").length, 0),
+      subtotal: sum("subtotal"),
+      discount: sum("discount"),
+      tax: sum("tax"),
+      fee: sum("fee"),
+      total: sum("total"),
+    },
+  };
+}
+
+const REPORT_CSV_COLUMNS = [
+  "Record",
+  "Name",
+  "Email",
+  "Status",
+  "Product",
+  "Color",
+  "Style",
+  "Size",
+  "Count",
+  "Tier",
+  "Unit Price",
+  "Description",
+  "Amount",
+  "Tax",
+  "Fee",
+  "Total",
+];
+
+/**
+ * Flattens a report into one CSV table. The Record column says what each row
+ * is: "combo", "excluded", "item", "fee", "discount", "customer" or "total".
+ * @param {Object} report - Report from buildReport
+ * @returns {string} CSV content
+ */
+function formatReportCSV(report) {
+  const rows = [];
+
+  for (const c of report.combos) {
+    const group = { Product: c.product, Color: c.color, Description: c.logo && `Logo ${c.logo}` };
+    rows.push({ Record: "combo", ...group, Count: c.count, Tier: c.tierLabel, "Unit Price": c.unitPrice });
+  }
+  for (const c of report.excluded) {
+    const group = { Product: c.product, Color: c.color, Description: c.logo && `Logo ${c.logo}` };
+    rows.push({ Record: "excluded", ...group, Count: c.count, Status: "below minimum" });
+  }
+
+  for (const customer of report.customers) {
+    const who = { Name: customer.name, Email: customer.email };
+    for (const line of customer.lineItems) {
+      rows.push({
+        Record: line.type,
+        ...who,
+        Count: line.quantity,
+        Product: line.product,
+        Color: line.color,
+        Style: line.style,
+        Size: line.size,
+        Tier: line.tierLabel,
+        "Unit Price": line.unitPrice,
+        Description: line.description,
+        Amount: line.amount,
+      });
+    }
+    const status = customer.reason ? `${customer.action}: ${customer.reason}` : customer.action;
+    if (customer.action !== "create") {
+      rows.push({ Record: "customer", ...who, Status: status });
+      continue;
+    }
+    rows.push({
+      Record: "customer",
+      ...who,
+      Status: status,
+      Count: customer.lineItems.filter((l) => l.type === "item").length,
+      Amount: customer.subtotal,
+      Tax: customer.tax,
+      Fee: customer.fee,
+      Total: customer.total,
+    });
+  }
+
+  rows.push({
+    Record: "total",
+    Status: `${report.totals.invoices} invoice(s)`,
+    Count: report.totals.items,
+    Amount: report.totals.subtotal,
+    Tax: report.totals.tax,
+    Fee: report.totals.fee,
+    Total: report.totals.total,
+  });
+
+  return formatCSV(rows, REPORT_CSV_COLUMNS);
+}
+
+module.exports = {
+  REPORT_CSV_COLUMNS,
+  buildReport,
+  formatReportCSV,
+};
@@ -0,0 +1,89 @@
+/**
+ * Tier re-pricing: compares what an invoice billed against current tier prices
+ */
+
+const { buildLineItems, formatItemDescription, hasItemizedFees } = require("./pricing");
+
+/**
+ * Diffs a finalized invoice against the same items priced at today's tiers.
+ *
+ * Only items that were actually billed on the invoice (matched to a line by
+ * description) are repriced, so rows added since are never pulled in. The
+ * processing fee line is compared against the fee on the repriced total.
+ * Items are repriced in the invoice's own layout (fees itemized or not), so
+ * the repriced lines, used for a revised invoice, match it line for line.
+ *
+ * A subsidy line can't be credited (it is negative). When a cheaper tier
+ * shrinks a percentage subsidy, the difference is taken off the credits so
+ * the customer is credited what they actually overpaid.
+ *
+ * @param {Array<{id: string, description: string, amount: number}>} lines - Stripe invoice lines (amounts in cents)
+ * @param {Array<Object>} items - Customer items recorded against this invoice
+ * @param {Object<string, number>} eligibleCombos - Eligible counts by tier group
+ * @param {Object<string, string>} tierMap - Current tier map
+ * @param {Object} pricing - Pricing config
+ * @param {{position?: string, subsidizedBefore?: number, taxExempt?: boolean}} [customer] - Customer's position,
+ *   items subsidized on earlier invoices, and tax exemption
+ * @returns {{adjustments: Array<Object>, undercharges: Array<Object>, totalCredit: number, billedItems: Array<Object>, repriced: Object}}
+ *   Adjustment amounts are in cents; credit = invoiced - current
+ */
+function diffInvoice(lines, items, eligibleCombos, tierMap, pricing, { position, subsidizedBefore = 0, taxExempt = false } = {}) {
+  const unbilled = [...lines];
+  const billedItems = items.filter((item) => {
+    const idx = unbilled.findIndex((line) => line.description === formatItemDescription(item));
+    if (idx === -1) return false;
+    unbilled.splice(idx, 1);
+    return true;
+  });
+
+  const repriced = buildLineItems(billedItems, eligibleCombos, tierMap, pricing, {
+    itemizeFees: hasItemizedFees(lines),
+    position,
+    subsidizedBefore,
+    taxExempt,
+  });
+
+  const unmatched = [...lines];
+  let adjustments = [];
+  const undercharges = [];
+  let subsidyShrink = 0;
+
+  for (const lineItem of repriced.lineItems) {
+    const idx = unmatched.findIndex((line) => line.description === lineItem.description);
+    if (idx === -1) continue;
+    const [line] = unmatched.splice(idx, 1);
+
+    if (lineItem.kind === "discount") {
+      // A larger subsidy only comes from changed rules; that is not adjusted
+      subsidyShrink += Math.max(0, lineItem.amount - line.amount);
+      continue;
+    }
+
+    const diff = {
+      lineId: line.id,
+      description: lineItem.description,
+      invoiced: line.amount,
+      current: lineItem.amount,
+      credit: line.amount - lineItem.amount,
+    };
+    if (diff.credit > 0) adjustments.push(diff);
+    if (diff.credit < 0) undercharges.push(diff);
+  }
+
+  if (subsidyShrink > 0) {
+    adjustments = adjustments
+      .map((a) => {
+        const taken = Math.min(a.credit, subsidyShrink);
+        subsidyShrink -= taken;
+        return { ...a, credit: a.credit - taken };
+      })
+      .filter((a) => a.credit > 0);
+  }
+
+  const totalCredit = adjustments.reduce((sum, a) => sum + a.credit, 0);
+  return { adjustments, undercharges, totalCredit, billedItems, repriced };
+}
+
+module.exports = {
+  diffInvoice,
+};
@@ -0,0 +1,184 @@
+/**
+ * Order row validation against the campaign's product options
+ *
+ * The options live in campaigns/<id>/products.json:
+ *
+ *   {
+ *     "products": ["Better Sweater Jacket", ...],
+ *     "styles": {
+ *       "Mens": { "sizes": ["XS", ...], "colors": ["Black", ...] },
+ *       "Womens": { "sizes": ["XXS", ...], "colors": ["Black", ...] }
+ *     },
+ *     "logos": ["Option 1", ...],
+ *     "threadColors": ["Black", "White"],
+ *     "embroideredNameMaxLength": 20
+ *   }
+ *
+ * Products can limit their styles and colors, and carry labels and swatches
+ * for the order form (see lib/products.js).
+ *
+ * Rows that fail would otherwise be billed wrong or dropped without a word
+ * (an unknown product has no price), so invoicing refuses to run on them.
+ */
+
+const { listProducts, findProduct, listLogos, stylesFor, colorsFor } = require("./products");
+const { parseAddOns } = require("./pricing");
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Columns every row needs, whatever the campaign sells
+const REQUIRED_COLUMNS = ["Name", "Email", "Product", "Style", "Size", "Color", "Logo"];
+
+function value(row, column) {
+  return String(row[column] ?? "").trim();
+}
+
+function listOf(values) {
+  return values.join(", ");
+}
+
+/**
+ * Checks one order row
+ * @param {Object} row - Order row (sheet columns)
+ * @param {Object|null} products - products.json, or null to check only what pricing.json knows
+ * @param {Object} pricing - Pricing config
+ * @returns {Array<{column: string, value: string, message: string}>} Problems, empty if the row is fine
+ */
+function validateRow(row, products, pricing) {
+  const errors = [];
+  const fail = (column, message) => errors.push({ column, value: value(row, column), message });
+
+  for (const column of REQUIRED_COLUMNS) {
+    if (!value(row, column)) fail(column, `${column} is missing`);
+  }
+
+  const email = value(row, "Email");
+  if (email && !EMAIL_PATTERN.test(email)) fail("Email", `Email "${email}" is not an email address`);
+
+  const product = value(row, "Product");
+  if (product) {
+    if (products && !findProduct(products, product)) {
+      const names = listProducts(products).map((p) => p.name);
+      fail("Product", `Product "${product}" is not offered (products: ${listOf(names)})`);
+    } else if (!pricing.products[product]) {
+      fail("Product", `Product "${product}" has no price in pricing.json`);
+    }
+  }
+
+  // Add-ons are priced in pricing.json, so they are checked with or without products.json
+  const offered = Object.keys(pricing.addOns || {});
+  const unknownAddOns = parseAddOns(value(row, "Add-ons")).filter((name) => !offered.includes(name));
+  if (unknownAddOns.length > 0) {
+    const names = listOf(unknownAddOns.map((name) => `"${name}"`));
+    const which = unknownAddOns.length === 1 ? `Add-on ${names} is` : `Add-ons ${names} are`;
+    fail("Add-ons", `${which} not offered${offered.length > 0 ? ` (add-ons: ${listOf(offered)})` : ""}`);
+  }
+
+  const embroideredName = value(row, "Embroidered Name");
+  const threadColor = value(row, "Thread Color");
+  if (embroideredName && !threadColor) {
+    fail("Thread Color", "Thread Color is missing for the embroidered name");
+  }
+
+  if (!products) return errors;
+
+  const style = value(row, "Style");
+  const styleOptions = products.styles[style];
+  const productStyles = findProduct(products, product) ? stylesFor(products, product) : null;
+  if (style && !styleOptions) {
+    fail("Style", `Style "${style}" is not offered (styles: ${listOf(Object.keys(products.styles))})`);
+  } else if (style && productStyles && !productStyles.includes(style)) {
+    fail("Style", `Style "${style}" is not offered for ${product} (styles: ${listOf(productStyles)})`);
+  }
+  if (styleOptions) {
+    const size = value(row, "Size");
+    if (size && !styleOptions.sizes.includes(size)) {
+      fail("Size", `Size "${size}" is not a ${style} size (${listOf(styleOptions.sizes)})`);
+    }
+    // A product can list its own colors for the style
+    const colors = colorsFor(products, product, style);
+    const colorsOf = colors === styleOptions.colors ? style : `${style} ${product}`;
+    const color = value(row, "Color");
+    if (color && !colors.includes(color)) {
+      fail("Color", `Color "${color}" is not a ${colorsOf} color (${listOf(colors)})`);
+    }
+  }
+
+  const logo = value(row, "Logo");
+  const logos = listLogos(products).map((l) => l.name);
+  if (logo && !logos.includes(logo)) {
+    fail("Logo", `Logo "${logo}" is not offered (logos: ${listOf(logos)})`);
+  }
+
+  if (embroideredName) {
+    if (threadColor && !products.threadColors.includes(threadColor)) {
+      fail("Thread Color", `Thread Color "${threadColor}" is not offered (${listOf(products.threadColors)})`);
+    }
+    const maxLength = products.embroideredNameMaxLength;
+    if (maxLength && embroideredName.length > maxLength) {
+      fail("Embroidered Name", `Embroidered Name is ${embroideredName.length} characters (max ${maxLength})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Checks every order row
+ * @param {Array<Object>} rows - Order rows; _row is the sheet row number
+ * @param {Object|null} products - products.json, or null
+ * @param {Object} pricing - Pricing config
+ * @returns {Array<{row: number, email: string, column: string, value: string, message: string}>} Problems, in row order
+ */
+function validateRows(rows, products, pricing) {
+  return rows.flatMap((row, i) => validateRow(row, products, pricing).map((error) => ({
+    // Sheet rows start at 2, after the header
+    row: row._row || i + 2,
+    email: value(row, "Email"),
+    ...error,
+  })));
+}
+
+/**
+ * Checks products.json itself, so a typo there isn't reported against every row
+ * @param {Object} products - products.json
+ * @returns {string[]} Problems
+ */
+function checkProductOptions(products) {
+  const problems = [];
+  const isList = (list) => Array.isArray(list) && list.length > 0;
+
+  const styles = products.styles || {};
+
+  if (!isList(products.products)) problems.push("products must list at least one product");
+  if (Object.keys(styles).length === 0) {
+    problems.push("styles must have at least one style");
+  }
+  // A style's colors are needed unless every product in it lists its own
+  const named = isList(products.products) ? listProducts(products).filter((product) => product.name) : [];
+  const needsColors = (style) => named.length === 0 || named.some((product) =>
+    stylesFor(products, product.name).includes(style) && !isList(product.colors?.[style]));
+  for (const [style, options] of Object.entries(styles)) {
+    if (!isList(options.sizes)) problems.push(`style ${style} must list its sizes`);
+    if (!isList(options.colors) && needsColors(style)) problems.push(`style ${style} must list its colors`);
+  }
+  for (const product of isList(products.products) ? listProducts(products) : []) {
+    if (!product.name) {
+      problems.push("every product needs a name");
+      continue;
+    }
+    const unknown = [...(product.styles || []), ...Object.keys(product.colors || {})].filter((style) => !styles[style]);
+    if (unknown.length > 0) problems.push(`product ${product.name} has unknown style(s): ${listOf([...new Set(unknown)])}`);
+  }
+  if (!isList(products.logos)) problems.push("logos must list at least one logo");
+  else if (listLogos(products).some((logo) => !logo.name)) problems.push("every logo needs a name");
+  if (!Array.isArray(products.threadColors)) problems.push("threadColors must be a list");
+  return problems;
+}
+
+module.exports = {
+  REQUIRED_COLUMNS,
+  validateRow,
+  validateRows,
+  checkProductOptions,
+};